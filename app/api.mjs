@@ -0,0 +1,335 @@
+import { createHash, timingSafeEqual } from "crypto";
+import { resolve } from "path";
+import express from "express";
+
+import { EventStream } from "./events.mjs";
+import * as schemas from "./schemas.mjs";
+
+// errors are sent as {code, message, path} where path is the invalid field (or null)
+class ApiError extends Error {
+  constructor(status, code, message, path = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.path = path;
+  }
+}
+
+// validates a part of the request (body, query or params) and replaces it with the validated value (with its defaults)
+function validate(schema, source = "body") {
+  return function (req, res, next) {
+    const { error, value } = schema.validate(req[source], { convert: source !== "body" });
+    if (error) {
+      const [detail] = error.details;
+      return next(new ApiError(400, "invalid_request", detail.message, detail.path.join(".") || null));
+    }
+    req[source] = value;
+    return next();
+  };
+}
+
+// guards the admin routes: they require the admin token (Authorization: Bearer <token>) when the node has one
+// and are only served to the node's own host otherwise
+function admin(token) {
+  return function (req, res, next) {
+    if (token) {
+      const header = req.get("Authorization") || "";
+      if (header.startsWith("Bearer ") && isToken(header.slice(7), token)) return next();
+      return next(new ApiError(401, "unauthorized", "A valid admin token is required"));
+    }
+    if (isLoopback(req.socket.remoteAddress)) return next();
+    return next(new ApiError(403, "forbidden", "The admin routes are only served to the local host"));
+  };
+}
+
+// compares the tokens in constant time (their hashes have the same length)
+function isToken(value, token) {
+  const hash = (s) => createHash("sha256").update(s).digest();
+  return timingSafeEqual(hash(value), hash(token));
+}
+
+function isLoopback(address) {
+  return address === "::1" || /^(::ffff:)?127\./.test(address || "");
+}
+
+// sends the element or a 404 error if it does not exist
+function found(res, element, message) {
+  if (element === null || element === undefined) throw new ApiError(404, "not_found", message);
+  return res.send(element);
+}
+
+/**
+ * returns the express app of a node
+ * @param {object} server - the DotcoinServer instance
+ * @param {object} network - the DotcoinNetwork of the node
+ * @param {object} pool - the DotcoinPool of the node (or null)
+ * @param {object} webhooks - the WebhookDispatcher of the node (or null)
+ * @param {object} config - contains the admin token that guards the admin routes (see admin)
+ */
+export function createApp(server, network, pool = null, webhooks = null, config = {}) {
+  const app = express();
+  const guard = admin(config.adminToken);
+  const events = new EventStream(server);
+  app.use(express.json());
+
+  app.use(function (req, res, next) {
+    console.log("Request", req.method, req.url, req.body);
+    next();
+  });
+
+  app.get("/status/", async function (req, res, next) {
+    try {
+      const tip = await server.getTip();
+      return res.send({ tip: tip ? tip._id : null, peers: network.getPeers() });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/peers/", function (req, res) {
+    return res.send(network.getPeers());
+  });
+
+  // an admin route: the peers that announce themselves must have the admin token or run on the same host
+  app.put("/peers/", guard, validate(schemas.peer), function (req, res) {
+    network.addPeer(req.body.url);
+    return res.send(network.getPeers());
+  });
+
+  app.put("/transactions/", validate(schemas.transaction), async function (req, res, next) {
+    try {
+      const tx = await network.acceptTransaction(req.body);
+      return res.send(tx);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/transactions/:id/proof/", validate(schemas.id, "params"), async function (req, res, next) {
+    try {
+      const proof = await server.getTransactionProof(req.params.id);
+      return found(res, proof, `Transaction ${req.params.id} does not exist or is not confirmed`);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/transactions/:id/", validate(schemas.id, "params"), async function (req, res, next) {
+    try {
+      const transaction = await server.getTransaction(req.params.id);
+      return found(res, transaction, `Transaction ${req.params.id} does not exist`);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/transactions/", validate(schemas.transactionPage, "query"), async function (req, res, next) {
+    try {
+      const { page, limit, sort, unconfirmed } = req.query;
+      const transactions = await server.getTransactions(
+        page,
+        limit,
+        sort,
+        unconfirmed,
+      );
+      return res.send(transactions);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/mempool/expired/", validate(schemas.page, "query"), async function (req, res, next) {
+    try {
+      const { page, limit } = req.query;
+      const transactions = await server.getExpiredTransactions(page, limit);
+      return res.send(transactions);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  // an admin route (the node purges the expired transactions whenever the main chain moves anyway)
+  app.delete("/mempool/expired/", guard, async function (req, res, next) {
+    try {
+      const removed = await server.expireTransactions();
+      return res.send(removed);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.put("/blocks/", validate(schemas.blockData), async function (req, res, next) {
+    try {
+      const block = await network.acceptBlock(req.body);
+      return res.send(block);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/blocks/:id/", validate(schemas.id, "params"), async function (req, res, next) {
+    try {
+      const block = await server.getBlock(req.params.id);
+      return found(res, block, `Block ${req.params.id} does not exist`);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/blocks/", validate(schemas.page, "query"), async function (req, res, next) {
+    try {
+      const { page, limit, sort } = req.query;
+      const blocks = await server.getBlocks(page, limit, sort);
+      return res.send(blocks);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/headers/", validate(schemas.page, "query"), async function (req, res, next) {
+    try {
+      const { page, limit, sort } = req.query;
+      const headers = await server.getHeaders(page, limit, sort);
+      return res.send(headers);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/sync/blocks/", validate(schemas.blocksSince, "query"), async function (req, res, next) {
+    try {
+      const since = req.query.since
+        ? { hash: req.query.since }
+        : { height: req.query.height };
+      const data = await server.getBlocksSince(since, req.query.limit);
+      return res.send(data);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/sync/mempool/", validate(schemas.mempoolSince, "query"), async function (req, res, next) {
+    try {
+      const data = await server.getMempoolSince(req.query.since);
+      return res.send(data);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/mining/template/", async function (req, res, next) {
+    try {
+      const template = await server.getBlockTemplate();
+      return res.send(template);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/events/", validate(schemas.subscription, "query"), async function (req, res, next) {
+    try {
+      const keys = req.query.watch.split(",").filter((key) => key.length > 0);
+      await events.subscribe(req, res, req.query.events.split(","), keys);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  app.get("/utxo/:address/", validate(schemas.utxo, "params"), async function (req, res, next) {
+    try {
+      const utxo = await server.getUtxo(req.params.address);
+      return found(res, utxo, `Address ${req.params.address} has no utxo`);
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  if (pool) {
+    app.get("/pool/work/", validate(schemas.work, "query"), async function (req, res, next) {
+      try {
+        const work = await pool.getWork(req.query.address);
+        return res.send(work);
+      } catch (err) {
+        return next(err);
+      }
+    });
+
+    app.put("/pool/shares/", validate(schemas.share), async function (req, res, next) {
+      try {
+        const result = await pool.submitShare(req.body);
+        return res.send(result);
+      } catch (err) {
+        return next(err);
+      }
+    });
+
+    app.get("/pool/stats/", function (req, res) {
+      return res.send(pool.getStats());
+    });
+  }
+
+  if (webhooks) {
+    // the admin routes of the payment webhooks (see WebhookDispatcher)
+    app.use("/webhooks/", guard);
+
+    app.put("/webhooks/", validate(schemas.webhook), async function (req, res, next) {
+      try {
+        const webhook = await webhooks.register(req.body);
+        return res.send(webhook);
+      } catch (err) {
+        return next(err);
+      }
+    });
+
+    app.get("/webhooks/", function (req, res) {
+      return res.send(webhooks.getWebhooks());
+    });
+
+    app.delete("/webhooks/:id/", validate(schemas.webhookId, "params"), async function (req, res, next) {
+      try {
+        const webhook = await webhooks.unregister(req.params.id);
+        return found(res, webhook, `Webhook ${req.params.id} does not exist`);
+      } catch (err) {
+        return next(err);
+      }
+    });
+
+    app.get(
+      "/webhooks/:id/deliveries/",
+      validate(schemas.webhookId, "params"),
+      validate(schemas.page, "query"),
+      async function (req, res, next) {
+        try {
+          const { page, limit } = req.query;
+          const deliveries = await webhooks.getDeliveries(req.params.id, page, limit);
+          return found(res, deliveries, `Webhook ${req.params.id} does not exist`);
+        } catch (err) {
+          return next(err);
+        }
+      },
+    );
+  }
+
+  // the dot directories are not served (e.g the webhooks and their secrets, see WebhookDispatcher)
+  app.use(express.static(resolve(server.path), { dotfiles: "ignore" }));
+
+  app.use(function (req, res, next) {
+    return next(new ApiError(404, "not_found", `Route ${req.method} ${req.path} does not exist`));
+  });
+
+  app.use(function (err, req, res, next) {
+    if (err.name === "ValidationError") {
+      // the request has been rejected by the node (or the pool)
+      err = new ApiError(400, "rejected", err.message);
+    } else if (err.type === "entity.parse.failed") {
+      err = new ApiError(400, "invalid_json", "The body is not valid JSON");
+    } else if (err.name !== "ApiError") {
+      console.error(err);
+      err = new ApiError(500, "internal_error", "Internal server error");
+    }
+    return res.status(err.status).send({ code: err.code, message: err.message, path: err.path });
+  });
+
+  return app;
+}
@@ -4,27 +4,107 @@ import { Command } from "commander";
 import axios from "axios";
 import axiosRetry from "axios-retry";
 
-import { DotcoinClient } from "../core/client.mjs";
-import { readConfig, readMnemonic, writeMnemonic } from "./storage.mjs";
+import {
+  DotcoinClient,
+  checkPartialTransaction,
+  checkSignedTransaction,
+  checkUnsignedTransaction,
+  createMultisigAddress,
+} from "../core/client.mjs";
+import * as common from "../core/common.mjs";
+import { MiningEngine } from "../core/miner.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { HeaderChain } from "../core/spv.mjs";
+import { readEvents } from "./events.mjs";
+import { DatabaseWrite } from "../database/database-write.mjs";
+import { backends } from "../database/storage.mjs";
+import { decodeMultisigAddress } from "../utils/utils.mjs";
+import {
+  readConfig,
+  readIndexes,
+  readMnemonic,
+  readRecipients,
+  readTransactionFile,
+  writeIndexes,
+  writeMnemonic,
+  writeTransactionFile,
+} from "./storage.mjs";
 
 axiosRetry(axios, { retries: 5 });
 
 const databasePath = join("data", "client");
 
-async function syncDatabase(servername, path) {
+// the local database keeps track of the node and of the last changes of its transaction pool
+const syncFile = join(databasePath, "sync.json");
+
+// applies the blocks and pending transactions that are new since the last synchronization
+async function syncDatabase(servername, client) {
   mkdirSync(databasePath, { recursive: true });
-  const transactions = await axios
-    .get(`${servername}/transactions.db`, { responseType: "blob" })
-    .then(function (res) {
-      return res.data;
+  const state = existsSync(syncFile) ? JSON.parse(readFileSync(syncFile, "utf-8")) : {};
+  let since = state.node === servername ? state.time : 0;
+  // the node may get a new block in the meantime, in which case the synchronization starts again
+  for (let attempt = 0; attempt < 3; attempt++) {
+    let more = true;
+    while (more) {
+      const { data } = await axios.get(`${servername}/sync/blocks/`, {
+        params: { since: await client.getLocalTip() },
+      });
+      if (await client.applyBlocks(data)) {
+        console.log(`[warning] the local chain has been reorganized (fork: ${data.fork})`);
+      }
+      more = data.more;
+    }
+    const { data } = await axios.get(`${servername}/sync/mempool/`, {
+      params: { since },
     });
-  await writeFileSync(join(databasePath, "transactions.db"), transactions);
-  const blocks = await axios
-    .get(`${servername}/blocks.db`, { responseType: "blob" })
-    .then(function (res) {
-      return res.data;
+    await client.applyMempool(data);
+    since = data.time;
+    if (data.tip === (await client.getLocalTip())) break;
+  }
+  writeFileSync(syncFile, JSON.stringify({ node: servername, time: since }));
+}
+
+// turns an error response of the node ({code, message, path}) into an error of the CLI
+function nodeError(err) {
+  if (!err.response) throw err;
+  const { status, data } = err.response;
+  const message = data && data.message ? data.message + (data.path ? ` (${data.path})` : "") : data;
+  throw new Error(`${status >= 500 ? "[bug]" : "[error]"} ${message}`);
+}
+
+// a lock time is either a block height or a date (e.g 2030-01-01T00:00:00Z)
+function parseLockTime(value) {
+  if (!value) return 0;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  const timestamp = Date.parse(value);
+  if (isNaN(timestamp)) throw new Error(`[error] invalid lock time ${value}`);
+  return timestamp;
+}
+
+// opens the wallet file (or a watch-only wallet when an account public key is given)
+async function openWallet(options) {
+  const config = readConfig(options.config);
+  let client;
+  if (options.xpub) {
+    client = new DotcoinClient({ path: databasePath, xpub: options.xpub, ...config });
+  } else {
+    const mnemonic = await readMnemonic(options.wallet, options.password);
+    const indexes = readIndexes(options.wallet);
+    client = new DotcoinClient({
+      path: databasePath,
+      mnemonic,
+      indexes,
+      ...config,
     });
-  await writeFileSync(join(databasePath, "blocks.db"), blocks);
+  }
+  // a local copy made by an older version has no utxo index yet
+  await client.db.upgrade();
+  return client;
+}
+
+// saves the last used indexes of the wallet (watch-only wallets are not cached)
+function closeWallet(client, options) {
+  if (!client.isWatchOnly()) writeIndexes(options.wallet, client.getIndexes());
 }
 
 async function create(options) {
@@ -41,58 +121,385 @@ async function mnemonic(options) {
 }
 
 async function address(account, options) {
-  const mnemonic = await readMnemonic(options.wallet, options.password);
-  const config = readConfig(options.config);
-  const client = new DotcoinClient({ path: databasePath, mnemonic, ...config });
+  const client = await openWallet(options);
   const publicKey = await client.getReceivingAddress(parseInt(account));
   console.log(`The address for account ${account} is ${publicKey}`);
 }
 
+async function xpub(account, options) {
+  const client = await openWallet(options);
+  const publicKey = await client.getAccountPublicKey(parseInt(account));
+  console.log(`The account public key for account ${account} is ${publicKey}`);
+}
+
 async function balance(account, options) {
-  const mnemonic = await readMnemonic(options.wallet, options.password);
-  const config = readConfig(options.config);
-  await syncDatabase(options.node, config.path);
-  const client = new DotcoinClient({ path: databasePath, mnemonic, ...config });
-  const { usable, pending } = await client.getBalance(parseInt(account));
+  const client = await openWallet(options);
+  await syncDatabase(options.node, client);
+  const { usable, pending, locked } = await client.getBalance(parseInt(account));
+  closeWallet(client, options);
   console.log(
-    `The address for account ${account} has a balance of ${usable} (and pending: ${pending})`,
+    `The address for account ${account} has a balance of ${usable} (and pending: ${pending}, locked: ${locked})`,
   );
 }
 
+function historyToCsv(history) {
+  const header = "transaction,block,height,timestamp,status,direction,amount,fee,counterparties";
+  const lines = history.map(function (entry) {
+    return [
+      entry.transaction,
+      entry.block || "",
+      entry.height === null ? "" : entry.height,
+      entry.timestamp === null ? "" : new Date(entry.timestamp).toISOString(),
+      entry.status,
+      entry.direction,
+      entry.amount,
+      entry.fee === null ? "" : entry.fee,
+      entry.counterparties.map(({ address, amount }) => `${address}:${amount}`).join(";"),
+    ].join(",");
+  });
+  return [header, ...lines].join("\n") + "\n";
+}
+
+async function history(account, options) {
+  const client = await openWallet(options);
+  await syncDatabase(options.node, client);
+  const entries = await client.getHistory(parseInt(account));
+  closeWallet(client, options);
+  const output =
+    options.format == "csv"
+      ? historyToCsv(entries)
+      : JSON.stringify(entries, null, 2);
+  if (options.output) {
+    writeFileSync(options.output, output);
+    console.log(`${entries.length} transaction(s) exported to ${options.output}`);
+  } else {
+    console.log(output);
+  }
+}
+
 async function transfer(account, address, amount, options) {
-  const mnemonic = await readMnemonic(options.wallet, options.password);
-  const config = readConfig(options.config);
-  await syncDatabase(options.node, config.path);
-  const client = new DotcoinClient({ path: databasePath, mnemonic, ...config });
+  const client = await openWallet(options);
+  await syncDatabase(options.node, client);
   const transaction = await client.createTransaction(
     parseInt(account),
     address,
     parseInt(amount),
+    parseInt(options.fee),
+    options.strategy,
+    parseLockTime(options.lockTime),
+    parseInt(options.lock),
   );
+  closeWallet(client, options);
   await axios
     .put(`${options.node}/transactions/`, transaction)
     .then(function (res) {
-      if (res.status == 200)
-        return console.log(JSON.stringify(res.data, null, 2));
-      if (res.status == 400) throw new Error(`[error] ${res.data}`);
-      if (res.status == 500) throw new Error(`[bug] ${res.data}`);
-    });
+      return console.log(JSON.stringify(res.data, null, 2));
+    }, nodeError);
 }
 
-async function mine(account, options) {
-  const mnemonic = await readMnemonic(options.wallet, options.password);
-  const config = readConfig(options.config);
-  await syncDatabase(options.node, config.path);
-  const client = new DotcoinClient({ path: databasePath, mnemonic, ...config });
-  const blockData = await client.mine(parseInt(account));
+async function transferMany(account, file, options) {
+  const recipients = readRecipients(file);
+  const client = await openWallet(options);
+  await syncDatabase(options.node, client);
+  const transaction = await client.createBatchTransaction(
+    parseInt(account),
+    recipients,
+    parseInt(options.fee),
+    options.strategy,
+    parseLockTime(options.lockTime),
+  );
+  closeWallet(client, options);
+  await axios
+    .put(`${options.node}/transactions/`, transaction)
+    .then(function (res) {
+      return console.log(JSON.stringify(res.data, null, 2));
+    }, nodeError);
+}
+
+async function txBuild(account, file, options) {
+  const recipients = readRecipients(file);
+  const client = await openWallet(options);
+  await syncDatabase(options.node, client);
+  const unsigned = await client.buildTransaction(
+    parseInt(account),
+    recipients,
+    parseInt(options.fee),
+    options.strategy,
+    parseLockTime(options.lockTime),
+  );
+  closeWallet(client, options);
+  writeTransactionFile(options.output, unsigned);
+  console.log(
+    `unsigned transaction spending ${unsigned.inputs.length} input(s) (fee: ${unsigned.fee}) has been saved in ${options.output}`,
+  );
+}
+
+async function txSign(file, options) {
+  const unsigned = readTransactionFile(file);
+  checkUnsignedTransaction(unsigned);
+  const client = await openWallet(options);
+  const transaction = await client.signTransaction(unsigned);
+  writeTransactionFile(options.output, transaction);
+  for (const { address, amount } of transaction.utxoOuts) {
+    console.log(`${amount} to ${address}`);
+  }
+  console.log(`transaction ${transaction._id} (fee: ${unsigned.fee}) has been signed and saved in ${options.output}`);
+}
+
+async function txBroadcast(file, options) {
+  const data = readTransactionFile(file);
+  // a partially signed multisig transaction can be sent once it has enough signatures
+  if (data.multisig) checkPartialTransaction(data);
+  const transaction = data.multisig ? data.transaction : data;
+  checkSignedTransaction(transaction);
   await axios
-    .put(`${options.node}/blocks/`, blockData, { proxy: false })
+    .put(`${options.node}/transactions/`, transaction)
     .then(function (res) {
-      if (res.status == 200)
-        return console.log(JSON.stringify(blockData, null, 2));
-      if (res.status == 400) throw new Error(`[error] ${res.data}`);
-      if (res.status == 500) throw new Error(`[bug] ${res.data}`);
+      return console.log(JSON.stringify(res.data, null, 2));
+    }, nodeError);
+}
+
+async function multisigAddress(m, keys) {
+  const address = createMultisigAddress(parseInt(m), keys);
+  console.log(`The ${m}-of-${keys.length} multisig address is ${address}`);
+}
+
+async function multisigBuild(address, file, options) {
+  const recipients = readRecipients(file);
+  const config = readConfig(options.config);
+  const client = new DotcoinClient({ path: databasePath, ...config });
+  await syncDatabase(options.node, client);
+  const partial = await client.buildMultisigTransaction(
+    address,
+    recipients,
+    parseInt(options.fee),
+    options.strategy,
+    parseLockTime(options.lockTime),
+  );
+  writeTransactionFile(options.output, partial);
+  console.log(
+    `partially signed transaction spending ${partial.inputs.length} input(s) (fee: ${partial.fee}) has been saved in ${options.output}`,
+  );
+}
+
+async function multisigSign(account, file, options) {
+  const partial = readTransactionFile(file);
+  checkPartialTransaction(partial);
+  const client = await openWallet(options);
+  const signed = await client.cosignTransaction(parseInt(account), partial);
+  const output = options.output || file;
+  writeTransactionFile(output, signed);
+  for (const { address, amount } of signed.transaction.utxoOuts) {
+    console.log(`${amount} to ${address}`);
+  }
+  const { m } = decodeMultisigAddress(signed.multisig);
+  const count = Math.min(
+    ...signed.transaction.signatures.map((signatures) => signatures.filter((sig) => sig !== null).length),
+  );
+  console.log(`transaction (fee: ${signed.fee}) has ${count} of the ${m} required signatures and has been saved in ${output}`);
+}
+
+async function verifyTx(txId, options) {
+  const config = readConfig(options.config);
+  const chain = new HeaderChain(config);
+  // the headers are verified locally so that the node does not have to be trusted
+  const limit = 100;
+  for (let page = 0; ; page++) {
+    const { data: headers } = await axios.get(`${options.node}/headers/`, {
+      params: { page, limit, sort: 1 },
     });
+    await chain.addHeaders(headers);
+    if (headers.length < limit) break;
+  }
+  const { data: proof } = await axios.get(`${options.node}/transactions/${txId}/proof/`).catch(nodeError);
+  const { block, height, confirmations } = chain.verifyProof(proof);
+  console.log(
+    `transaction ${txId} is confirmed by block ${block} (height ${height}, ${confirmations} confirmation(s))`,
+  );
+}
+
+async function verifyChain(options) {
+  const config = readConfig(options.config);
+  if (!existsSync(options.data)) {
+    throw new Error(`[error] database directory ${options.data} does not exists`);
+  }
+  const server = new DotcoinServer({ path: options.data, ...config });
+  const report = await server.verifyChain();
+  if (report.differences) {
+    for (const { utxo, error } of report.differences) console.log(`UTXO ${utxo}: ${error}`);
+    throw new Error(
+      `[error] the chain is valid but ${report.differences.length} stored UTXO(s) differ from it (see rebuild-utxos)`,
+    );
+  }
+  if (!report.valid) {
+    const where = report.transaction ? `transaction ${report.transaction} of block` : "block";
+    throw new Error(`[error] ${where} ${report.block} (height ${report.height}) is invalid: ${report.error}`);
+  }
+  console.log(
+    `the chain is valid: ${report.blocks} block(s), ${report.transactions} transaction(s), ${report.utxos} UTXO(s) holding ${report.supply} coin(s)`,
+  );
+}
+
+async function rebuildUtxos(options) {
+  if (!existsSync(options.data)) {
+    throw new Error(`[error] database directory ${options.data} does not exists`);
+  }
+  const config = readConfig(options.config);
+  const db = new DatabaseWrite(options.data, false, config.storage);
+  const count = await db.rebuildUtxos();
+  console.log(`the utxo index of ${options.data} has been rebuilt (${count} utxo(s))`);
+}
+
+async function migrateStorage(options) {
+  const config = readConfig(options.config);
+  const from = options.from || config.storage || "nedb";
+  if (!backends[from] || !backends[options.to]) {
+    throw new Error(`[error] unknown storage backend (${Object.keys(backends).join(", ")})`);
+  }
+  if (from === options.to) throw new Error(`[error] the database is already stored with ${from}`);
+  if (from === "memory" || options.to === "memory") {
+    throw new Error("[error] the memory backend does not outlive the process");
+  }
+  if (!existsSync(options.data)) {
+    throw new Error(`[error] database directory ${options.data} does not exists`);
+  }
+  const source = new DatabaseWrite(options.data, false, from);
+  const target = new DatabaseWrite(options.data, false, options.to);
+  const counts = await target.copyFrom(source);
+  const summary = Object.entries(counts).map(([name, count]) => `${count} ${name}`).join(", ");
+  console.log(`${options.data} has been copied from ${from} to ${options.to} (${summary})`);
+  console.log(`set "storage": "${options.to}" in the config file to use it`);
+}
+
+async function mine(account, options) {
+  const client = await openWallet(options);
+  const engine = new MiningEngine(parseInt(options.threads));
+  try {
+    do {
+      const blockData = await mineBlock(client, parseInt(account), engine, options);
+      closeWallet(client, options);
+      await axios
+        .put(`${options.node}/blocks/`, blockData, { proxy: false })
+        .then(function () {
+          return console.log(JSON.stringify(blockData, null, 2));
+        }, nodeError);
+    } while (options.continuous);
+  } finally {
+    await engine.close();
+  }
+}
+
+// mines a block on the node's template, the search restarts whenever the node serves a new template (new tip or new transactions)
+async function mineBlock(client, account, engine, options) {
+  while (true) {
+    await syncDatabase(options.node, client);
+    const { data: template } = await axios.get(`${options.node}/mining/template/`);
+    const { block, coinbase, transactions } = await client.getBlockCandidate(account, template);
+    const timer = setInterval(async function () {
+      console.log(`[info] mining block ${template.height} at ${Math.round(engine.getHashRate())} H/s`);
+      try {
+        const { data: latest } = await axios.get(`${options.node}/mining/template/`);
+        if (common.getTemplateKey(latest) !== common.getTemplateKey(template)) engine.cancel();
+      } catch (err) {
+        // the search goes on with the current template
+      }
+    }, 5000);
+    const mined = await engine.mine(block, template.difficulty).finally(() => clearInterval(timer));
+    if (mined) return { block: mined, coinbase, transactions };
+    console.log("[info] the node has a new block template, mining restarts");
+  }
+}
+
+async function poolMine(account, options) {
+  const client = await openWallet(options);
+  // the payouts are sent to the account's receiving address
+  const address = await client.getReceivingAddress(parseInt(account));
+  const engine = new MiningEngine(parseInt(options.threads));
+  try {
+    while (true) {
+      const { data: work } = await axios.get(`${options.node}/pool/work/`, { params: { address } });
+      await mineShares(work, address, engine, options);
+    }
+  } finally {
+    await engine.close();
+  }
+}
+
+// submits the shares found in the nonce range of a job until the pool serves a new job (or a share is rejected)
+async function mineShares(work, address, engine, options) {
+  const timer = setInterval(async function () {
+    console.log(`[info] mining job ${work.job} at ${Math.round(engine.getHashRate())} H/s`);
+    try {
+      const { data: latest } = await axios.get(`${options.node}/pool/work/`, { params: { address } });
+      if (latest.job !== work.job) engine.cancel();
+    } catch (err) {
+      // the search goes on with the current job
+    }
+  }, 5000);
+  try {
+    let start = work.start;
+    while (start < work.start + work.count) {
+      const block = await engine.mine(work.block, work.shareDifficulty, start);
+      if (!block) return console.log("[info] the pool has a new job, mining restarts");
+      start = common.decodeNonce(block.nonce) + 1;
+      const { data } = await axios
+        .put(`${options.node}/pool/shares/`, { address, job: work.job, nonce: block.nonce })
+        .catch(function (err) {
+          if (err.response && err.response.status == 400) return { data: { rejected: err.response.data.message } };
+          throw err;
+        });
+      if (data.rejected) return console.log(`[warning] share rejected: ${data.rejected}`);
+      if (data.block) return console.log(`[info] the share is block ${data.block}`);
+      console.log(`[info] share ${block.nonce} accepted`);
+    }
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+async function watch(account, options) {
+  const client = await openWallet(options);
+  const xpub = await client.getAccountPublicKey(parseInt(account));
+  closeWallet(client, options);
+  const { data: stream } = await axios
+    .get(`${options.node}/events/`, {
+      params: { events: "payment,reorg", watch: xpub },
+      responseType: "stream",
+    })
+    .catch(nodeError);
+  console.log(`[info] watching the payments to account ${account} (press Ctrl+C to stop)`);
+  await readEvents(stream, function (type, data) {
+    if (type === "reorg") {
+      return console.log(`[warning] the chain has been reorganized (${data.disconnected.length} block(s) disconnected)`);
+    }
+    // the change of the account's own transactions is not an incoming payment
+    if (type !== "payment" || data.change) return;
+    const status = data.block ? `confirmed by block ${data.block}` : "pending";
+    console.log(`[payment] ${data.amount} dotcoin(s) to ${data.address} (transaction ${data.transaction}, ${status})`);
+  });
+  console.log("[info] the node closed the stream");
+}
+
+async function expired(options) {
+  if (options.purge) {
+    // purging is an admin route (see createApp)
+    const { adminToken } = readConfig(options.config);
+    const headers = adminToken ? { Authorization: `Bearer ${adminToken}` } : {};
+    await axios
+      .delete(`${options.node}/mempool/expired/`, { headers })
+      .then(function (res) {
+        console.log(`${res.data.length} transaction(s) have been purged`);
+        for (const txId of res.data) console.log(txId);
+      });
+  } else {
+    await axios
+      .get(`${options.node}/mempool/expired/`, {
+        params: { page: parseInt(options.page), limit: parseInt(options.limit) },
+      })
+      .then(function (res) {
+        console.log(JSON.stringify(res.data, null, 2));
+      });
+  }
 }
 
 const program = new Command();
@@ -119,15 +526,26 @@ program
   .command("address")
   .description("get receiving address")
   .argument("<account>", "account")
+  .option("-x, --xpub <key>", "account public key of a watch-only wallet")
   .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
   .option("-c, --config <configfile>", "config file", "./config.json")
   .option("-p, --password <password>", "password")
   .action(address);
 
+program
+  .command("xpub")
+  .description("export the account public key (to create a watch-only wallet)")
+  .argument("<account>", "account")
+  .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .option("-p, --password <password>", "password")
+  .action(xpub);
+
 program
   .command("balance")
   .description("get balance")
   .argument("<account>", "account")
+  .option("-x, --xpub <key>", "account public key of a watch-only wallet")
   .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
   .option("-c, --config <configfile>", "config file", "./config.json")
   .option("-p, --password <password>", "password")
@@ -138,12 +556,37 @@ program
   )
   .action(balance);
 
+program
+  .command("history")
+  .description("list the incoming and outgoing transactions of an account")
+  .argument("<account>", "account")
+  .option("-f, --format <format>", "output format (json or csv)", "json")
+  .option("-o, --output <file>", "export to a file instead of printing")
+  .option("-x, --xpub <key>", "account public key of a watch-only wallet")
+  .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .option("-p, --password <password>", "password")
+  .option(
+    "-n, --node <servername>",
+    "servername",
+    "https://dotcoin.seclab.space",
+  )
+  .action(history);
+
 program
   .command("transfer")
   .description("transfer coins")
   .argument("<account>", "account")
   .argument("<address>", "recipient's address")
   .argument("<amount>", "amount to transfer")
+  .option("-f, --fee <fee>", "fee left to the miner", "0")
+  .option(
+    "-s, --strategy <strategy>",
+    "coin selection strategy (in-order, largest-first, smallest-first, branch-and-bound, privacy)",
+    "in-order",
+  )
+  .option("-l, --lock-time <locktime>", "block height or date before which the transaction cannot be confirmed")
+  .option("-r, --lock <blocks>", "number of blocks after its confirmation before which the recipient cannot spend the payment", "0")
   .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
   .option("-c, --config <configfile>", "config file", "./config.json")
   .option("-p, --password <password>", "password")
@@ -154,10 +597,153 @@ program
   )
   .action(transfer);
 
+program
+  .command("transfer-many")
+  .description("transfer coins to several recipients in a single transaction")
+  .argument("<account>", "account")
+  .argument("<file>", "CSV (address,amount[,lock] per line) or JSON ([{address, amount, lock}]) file of recipients")
+  .option("-f, --fee <fee>", "fee left to the miner", "0")
+  .option(
+    "-s, --strategy <strategy>",
+    "coin selection strategy (in-order, largest-first, smallest-first, branch-and-bound, privacy)",
+    "in-order",
+  )
+  .option("-l, --lock-time <locktime>", "block height or date before which the transaction cannot be confirmed")
+  .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .option("-p, --password <password>", "password")
+  .option(
+    "-n, --node <servername>",
+    "servername",
+    "https://dotcoin.seclab.space",
+  )
+  .action(transferMany);
+
+program
+  .command("tx-build")
+  .description("build an unsigned transaction to several recipients (to be signed offline with tx-sign)")
+  .argument("<account>", "account")
+  .argument("<file>", "CSV (address,amount[,lock] per line) or JSON ([{address, amount, lock}]) file of recipients")
+  .option("-o, --output <file>", "unsigned transaction file", "./transaction.unsigned.json")
+  .option("-f, --fee <fee>", "fee left to the miner", "0")
+  .option(
+    "-s, --strategy <strategy>",
+    "coin selection strategy (in-order, largest-first, smallest-first, branch-and-bound, privacy)",
+    "in-order",
+  )
+  .option("-l, --lock-time <locktime>", "block height or date before which the transaction cannot be confirmed")
+  .option("-x, --xpub <key>", "account public key of a watch-only wallet")
+  .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .option("-p, --password <password>", "password")
+  .option(
+    "-n, --node <servername>",
+    "servername",
+    "https://dotcoin.seclab.space",
+  )
+  .action(txBuild);
+
+program
+  .command("tx-sign")
+  .description("sign an unsigned transaction (does not need a node)")
+  .argument("<file>", "unsigned transaction file")
+  .option("-o, --output <file>", "signed transaction file", "./transaction.signed.json")
+  .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .option("-p, --password <password>", "password")
+  .action(txSign);
+
+program
+  .command("tx-broadcast")
+  .description("send a signed transaction to the node")
+  .argument("<file>", "signed transaction file")
+  .option(
+    "-n, --node <servername>",
+    "servername",
+    "https://dotcoin.seclab.space",
+  )
+  .action(txBroadcast);
+
+program
+  .command("multisig-address")
+  .description("create an address that requires m signatures out of the cosigners' receiving addresses")
+  .argument("<m>", "number of required signatures")
+  .argument("<keys...>", "cosigners' receiving addresses")
+  .action(multisigAddress);
+
+program
+  .command("multisig-build")
+  .description("build a partially signed transaction that spends the funds of a multisig address")
+  .argument("<address>", "multisig address")
+  .argument("<file>", "CSV (address,amount[,lock] per line) or JSON ([{address, amount, lock}]) file of recipients")
+  .option("-o, --output <file>", "partially signed transaction file", "./transaction.multisig.json")
+  .option("-f, --fee <fee>", "fee left to the miner", "0")
+  .option(
+    "-s, --strategy <strategy>",
+    "coin selection strategy (in-order, largest-first, smallest-first, branch-and-bound, privacy)",
+    "in-order",
+  )
+  .option("-l, --lock-time <locktime>", "block height or date before which the transaction cannot be confirmed")
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .option(
+    "-n, --node <servername>",
+    "servername",
+    "https://dotcoin.seclab.space",
+  )
+  .action(multisigBuild);
+
+program
+  .command("multisig-sign")
+  .description("add the signatures of a cosigner to a partially signed transaction (send it with tx-broadcast once complete)")
+  .argument("<account>", "account of the cosigner")
+  .argument("<file>", "partially signed transaction file")
+  .option("-o, --output <file>", "partially signed transaction file (the input file by default)")
+  .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .option("-p, --password <password>", "password")
+  .action(multisigSign);
+
+program
+  .command("verify-tx")
+  .description("verify that a transaction is confirmed using the block headers and a merkle proof (without trusting the node)")
+  .argument("<txid>", "transaction _id")
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .option(
+    "-n, --node <servername>",
+    "servername",
+    "https://dotcoin.seclab.space",
+  )
+  .action(verifyTx);
+
+program
+  .command("verify-chain")
+  .description("replay the whole chain of a node's database from the genesis block and report the first invalid block or transaction")
+  .option("-d, --data <directory>", "database directory of the node", join("data", "server"))
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .action(verifyChain);
+
+program
+  .command("rebuild-utxos")
+  .description("rebuild the utxo index of a database (the node's or the local copy) from its transactions")
+  .option("-d, --data <directory>", "database directory", join("data", "server"))
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .action(rebuildUtxos);
+
+program
+  .command("migrate-storage")
+  .description("copy a database (the node's or the local copy) to another storage backend")
+  .requiredOption("--to <backend>", "storage backend to copy the database to (nedb or log)")
+  .option("--from <backend>", "storage backend of the database (defaults to the config file's)")
+  .option("-d, --data <directory>", "database directory", join("data", "server"))
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .action(migrateStorage);
+
 program
   .command("mine")
   .description("mine the next block")
   .argument("<account>", "account")
+  .option("-T, --threads <threads>", "number of mining threads", "1")
+  .option("--continuous", "keep mining block after block")
   .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
   .option("-c, --config <configfile>", "config file", "./config.json")
   .option("-p, --password <password>", "password")
@@ -168,4 +754,48 @@ program
   )
   .action(mine);
 
+program
+  .command("pool-mine")
+  .description("join the mining pool of a node and submit shares (the payouts are sent to the account)")
+  .argument("<account>", "account")
+  .option("-T, --threads <threads>", "number of mining threads", "1")
+  .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .option("-p, --password <password>", "password")
+  .option(
+    "-n, --node <servername>",
+    "servername",
+    "https://dotcoin.seclab.space",
+  )
+  .action(poolMine);
+
+program
+  .command("watch")
+  .description("print the payments received by the account as they reach the node (pending, then confirmed)")
+  .argument("<account>", "account")
+  .option("-x, --xpub <key>", "account public key of a watch-only wallet")
+  .option("-w, --wallet <walletfile>", "wallet file", "./wallet.bin")
+  .option("-c, --config <configfile>", "config file", "./config.json")
+  .option("-p, --password <password>", "password")
+  .option(
+    "-n, --node <servername>",
+    "servername",
+    "https://dotcoin.seclab.space",
+  )
+  .action(watch);
+
+program
+  .command("expired")
+  .description("list (or purge) the expired transactions of the node's transaction pool")
+  .option("--purge", "remove the expired transactions and release their inputs")
+  .option("--page <page>", "page index", "0")
+  .option("--limit <limit>", "number of transactions per page", "10")
+  .option("-c, --config <configfile>", "config file (its adminToken is sent to purge)", "./config.json")
+  .option(
+    "-n, --node <servername>",
+    "servername",
+    "https://dotcoin.seclab.space",
+  )
+  .action(expired);
+
 program.parse();
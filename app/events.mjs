@@ -0,0 +1,135 @@
+import { AddressWatcher } from "../core/watcher.mjs";
+
+export const eventTypes = ["block", "transaction", "reorg", "payment"];
+
+// a comment is sent periodically so that proxies do not close idle streams
+const KEEP_ALIVE = 15000;
+
+export class EventStream {
+  /**
+   * pushes the events of a node to its subscribers as Server-Sent Events
+   * - block: a block connected to the main chain
+   * - transaction: a transaction accepted in the transaction pool
+   * - reorg: the _ids of the blocks disconnected from and connected to the main chain (followed by their block events)
+   * - payment: an output paid to a watched key, once pending and once confirmed (only for subscribers watching keys)
+   *   change is true for the change addresses of an account (i.e the change of its own transactions)
+   * @param {object} server - the DotcoinServer instance (its write path emits the events)
+   * @param {object} config - contains the gap limit used to watch the child addresses of the keys
+   */
+  constructor(server, config = {}) {
+    this.server = server;
+    this.gapLimit = config.gapLimit || 20;
+    this.subscribers = new Set(); // {res, events, watcher}
+    this.id = 0; // the id of the last event sent
+    this.queue = Promise.resolve(); // the events are published in the order they are emitted
+    server.events.on("transaction", (tx) => this.enqueue(() => this.publishTransaction(tx)));
+    server.events.on("block", (block) => this.enqueue(() => this.publishBlock(block)));
+    server.events.on("reorg", (reorg) => this.enqueue(() => this.publish("reorg", reorg)));
+    this.timer = setInterval(() => {
+      for (const { res } of this.subscribers) res.write(":\n\n");
+    }, KEEP_ALIVE);
+    this.timer.unref();
+  }
+
+  /**
+   * registers a subscriber and starts its stream (until the client disconnects)
+   * @param {object} req - the HTTP request
+   * @param {object} res - the HTTP response
+   * @param {array<string>} events - the event types the subscriber wants
+   * @param {array<string>} keys - the addresses and account public keys whose payments are pushed (see AddressWatcher)
+   */
+  async subscribe(req, res, events, keys) {
+    let watcher = null;
+    if (keys.length > 0) {
+      watcher = new AddressWatcher(keys, (addresses) => this.server.db.getUtxos(addresses), this.gapLimit);
+      await watcher.scan();
+    }
+    const subscriber = { res, events: new Set(events), watcher };
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(":\n\n");
+    this.subscribers.add(subscriber);
+    req.on("close", () => this.subscribers.delete(subscriber));
+  }
+
+  /**
+   * stops the keep-alive timer and ends the streams
+   */
+  close() {
+    clearInterval(this.timer);
+    for (const { res } of this.subscribers) res.end();
+    this.subscribers.clear();
+  }
+
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch((err) => console.log(`Event stream failed: ${err.message}`));
+  }
+
+  publish(type, data, subscribers = this.subscribers) {
+    for (const { res, events } of subscribers) {
+      if (!events.has(type)) continue;
+      res.write(`id: ${++this.id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  }
+
+  publishTransaction(tx) {
+    this.publish("transaction", tx);
+    this.publishPayments([tx], null);
+  }
+
+  async publishBlock(block) {
+    this.publish("block", block);
+    if (![...this.subscribers].some(({ watcher }) => watcher)) return;
+    const transactions = await this.server.db.getTransactionsByBlocks([block._id]);
+    this.publishPayments(transactions, block._id);
+  }
+
+  // sends a payment event to each subscriber for every output paid to one of its watched keys
+  publishPayments(transactions, block) {
+    for (const subscriber of this.subscribers) {
+      if (!subscriber.watcher) continue;
+      for (const tx of transactions) {
+        for (const { address, amount, lock } of tx.utxoOuts) {
+          const watched = subscriber.watcher.match(address);
+          if (!watched) continue;
+          const payment = { address, amount, transaction: tx._id, block, watched: watched.key, change: watched.change };
+          if (lock) payment.lock = lock;
+          this.publish("payment", payment, [subscriber]);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * reads a stream of Server-Sent Events and calls back with the type and the (JSON) data of each event
+ * resolves when the stream ends
+ * @param {object} stream - the readable stream of the HTTP response
+ * @param {function} callback - called with (type, data) for each event
+ */
+export function readEvents(stream, callback) {
+  return new Promise(function (resolve, reject) {
+    let buffer = "";
+    stream.setEncoding("utf-8");
+    stream.on("data", function (chunk) {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\n\n")) >= 0) {
+        const message = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        let type = "message";
+        const data = [];
+        for (const line of message.split("\n")) {
+          if (line.startsWith("event: ")) type = line.slice(7);
+          if (line.startsWith("data: ")) data.push(line.slice(6));
+        }
+        if (data.length > 0) callback(type, JSON.parse(data.join("\n")));
+      }
+    });
+    stream.on("end", resolve);
+    stream.on("error", reject);
+  });
+}
@@ -0,0 +1,201 @@
+import axios from "axios";
+
+import * as utils from "../utils/utils.mjs";
+
+function normalize(url) {
+  return url.replace(/\/+$/, "");
+}
+
+export class DotcoinNetwork {
+  /**
+   * connects a Dotcoin server to its peers
+   * @param {object} server - the DotcoinServer instance
+   * @param {object} config - contains the node's own url, the list of peer urls
+   * and the admin token shared with the peers (to announce the node to them, see createApp)
+   */
+  constructor(server, config = {}) {
+    this.server = server;
+    this.url = config.url ? normalize(config.url) : null;
+    this.peers = [];
+    this.http = axios.create({ timeout: config.timeout || 5000, proxy: false });
+    this.syncing = null;
+    this.adminToken = config.adminToken || null;
+    for (const peer of config.peers || []) this.addPeer(peer);
+  }
+
+  /**
+   * returns the list of peer urls
+   */
+  getPeers() {
+    return [...this.peers];
+  }
+
+  /**
+   * adds a peer to the list (ignores the node itself and duplicates)
+   * @param {string} url - the peer's base url (e.g http://localhost:3001)
+   */
+  addPeer(url) {
+    if (typeof url !== "string" || url.length === 0) return;
+    url = normalize(url);
+    if (url === this.url || this.peers.includes(url)) return;
+    this.peers.push(url);
+    console.log(`Peer ${url} has been added`);
+  }
+
+  /**
+   * catches up with the peers and announces the node to them
+   */
+  async connect() {
+    await this.synchronize();
+    if (this.url) {
+      const headers = this.adminToken ? { Authorization: `Bearer ${this.adminToken}` } : {};
+      await Promise.allSettled(
+        this.peers.map((peer) =>
+          this.http.put(`${peer}/peers/`, { url: this.url }, { headers }),
+        ),
+      );
+    }
+  }
+
+  /**
+   * verifies and adds a transaction, then relays it to the peers (if it was not known already)
+   * @param {object} txParams - the transaction data
+   */
+  async acceptTransaction(txParams) {
+    const known = await this.server.getTransaction(txParams._id);
+    if (known) return known;
+    const tx = await this.server.addTransaction(txParams);
+    await this.broadcast("/transactions/", txParams);
+    return tx;
+  }
+
+  /**
+   * verifies and adds a block, then relays it to the peers (if it was not known already)
+   * when the block builds on data the node does not have, the node catches up with its peers first
+   * @param {object} blockData - the block, its coinbase and the list of confirmed transaction _ids
+   */
+  async acceptBlock({ block, coinbase, transactions }) {
+    const hash = utils.getBlockHash(block);
+    const known = await this.server.getBlock(hash);
+    if (known) return known;
+    if (!(await this.hasDependencies(block, transactions))) {
+      await this.synchronize();
+      const imported = await this.server.getBlock(hash);
+      if (imported) return imported;
+    }
+    const saved = await this.server.addBlock(block, coinbase, transactions);
+    await this.broadcast("/blocks/", { block, coinbase, transactions });
+    return saved;
+  }
+
+  /**
+   * returns true if the previous block and all transactions referenced by the block are known
+   */
+  async hasDependencies(block, transactions) {
+    if (block.previous && !(await this.server.getBlock(block.previous)))
+      return false;
+    for (const txEntry of transactions) {
+      const txId = typeof txEntry === "object" ? txEntry._id : txEntry;
+      if (!(await this.server.getTransaction(txId))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * sends data to every peer (failures are logged and ignored)
+   */
+  async broadcast(route, data) {
+    const results = await Promise.allSettled(
+      this.peers.map((peer) => this.http.put(`${peer}${route}`, data)),
+    );
+    results.forEach(function (result, i) {
+      if (result.status === "rejected") {
+        console.log(`Relay to ${this.peers[i]}${route} failed: ${describe(result.reason)}`);
+      }
+    }, this);
+  }
+
+  /**
+   * catches up with all peers (only one synchronization runs at a time)
+   */
+  synchronize() {
+    if (!this.syncing) {
+      this.syncing = this.synchronizePeers().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async synchronizePeers() {
+    for (const peer of this.peers) {
+      try {
+        await this.synchronizeWith(peer);
+      } catch (err) {
+        console.log(`Synchronization with ${peer} failed: ${describe(err)}`);
+      }
+    }
+  }
+
+  /**
+   * imports the blocks and the pending transactions that the peer has and this node does not
+   * @param {string} peer - the peer's base url
+   */
+  async synchronizeWith(peer) {
+    const { data: status } = await this.http.get(`${peer}/status/`);
+    for (const url of status.peers || []) this.addPeer(url);
+    if (status.tip && !(await this.server.getBlock(status.tip))) {
+      await this.paginate(peer, "/blocks/", {}, async (block) => {
+        if (await this.server.getBlock(block._id)) return;
+        try {
+          // the missing transactions are given to the node with the block (they replace the conflicting ones of its pool)
+          const transactions = [];
+          for (const txId of block.transactions) {
+            const known = await this.server.getTransaction(txId);
+            transactions.push(known ? txId : await this.fetchTransaction(peer, txId));
+          }
+          await this.server.addBlock(block, block.coinbase, transactions);
+        } catch (err) {
+          console.log(`Block ${block._id} from ${peer} has been skipped: ${describe(err)}`);
+        }
+      });
+    }
+    await this.paginate(peer, "/transactions/", { unconfirmed: true }, async (tx) => {
+      if (await this.server.getTransaction(tx._id)) return;
+      await this.server.addTransaction(tx);
+    });
+  }
+
+  async fetchTransaction(peer, txId) {
+    try {
+      const { data } = await this.http.get(`${peer}/transactions/${txId}/`);
+      return data;
+    } catch (err) {
+      if (err.response && err.response.status === 404) {
+        throw new Error(`Peer ${peer} does not have transaction ${txId}`);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * walks through a paginated collection of a peer, from the oldest element to the latest one
+   */
+  async paginate(peer, route, params, callback) {
+    const limit = 100;
+    for (let page = 0; ; page++) {
+      const { data } = await this.http.get(`${peer}${route}`, {
+        params: { ...params, page, limit, sort: 1 },
+      });
+      for (const element of data) await callback(element);
+      if (data.length < limit) return;
+    }
+  }
+}
+
+// the nodes send their errors as {code, message, path}
+function describe(err) {
+  if (!err.response) return err.message;
+  const { status, data } = err.response;
+  return `${status} ${data && data.message ? data.message : data}`;
+}
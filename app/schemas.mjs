@@ -0,0 +1,120 @@
+import Joi from "joi";
+
+import { eventTypes } from "./events.mjs";
+import * as utils from "../utils/utils.mjs";
+
+// the schemas check the shape of the requests and the encoding of their hashes, addresses and signatures,
+// the node (see DotcoinServer) verifies their content
+
+// hashes, nonces and signatures are base58-encoded with a checksum
+const base58 = Joi.string()
+  .custom((value, helpers) => (utils.isBase58(value) ? value : helpers.error("any.invalid")))
+  .messages({ "any.invalid": "{{#label}} must be base58-encoded with a valid checksum" });
+
+// an extended public key or a multisig address
+const address = Joi.string()
+  .custom((value, helpers) => (utils.isAddress(value) ? value : helpers.error("any.invalid")))
+  .messages({ "any.invalid": "{{#label}} must be an extended key or a multisig address" });
+
+const amount = Joi.number().integer().min(1);
+
+const utxoOut = Joi.object({
+  address: address.required(),
+  amount: amount.required(),
+  lock: Joi.number().integer().min(0),
+});
+
+// a signature is a string, or the list of the cosigners' signatures (null when missing) for a multisig input
+const signature = Joi.alternatives().try(base58, Joi.array().items(base58.allow(null)));
+
+export const transaction = Joi.object({
+  _id: base58.required(),
+  utxoIns: Joi.array().items(address).required(),
+  utxoOuts: Joi.array().items(utxoOut).min(1).required(),
+  signatures: Joi.array().items(signature).required(),
+  lockTime: Joi.number().integer().min(0),
+});
+
+export const blockData = Joi.object({
+  block: Joi.object({
+    _id: base58.allow(null),
+    previous: base58.allow(null).required(),
+    height: Joi.number().integer().min(0).required(),
+    timestamp: Joi.number().integer().min(0).required(),
+    difficulty: Joi.number().integer().min(0).required(),
+    root: base58.required(),
+    nonce: base58.required(),
+  }).required(),
+  coinbase: Joi.object({
+    _id: base58.required(),
+    utxoIns: Joi.array().max(0).required(),
+    utxoOuts: Joi.array().items(utxoOut).min(1).required(),
+    lockTime: Joi.number().integer().min(0),
+  }).required(),
+  // the confirmed transactions are given by _id (or as transactions)
+  transactions: Joi.array()
+    .items(base58, Joi.object({ _id: base58.required() }).unknown())
+    .required(),
+});
+
+export const peer = Joi.object({
+  url: Joi.string().uri({ scheme: ["http", "https"] }).required(),
+});
+
+export const share = Joi.object({
+  address: address.required(),
+  job: Joi.string().required(),
+  nonce: base58.required(),
+});
+
+export const id = Joi.object({
+  id: base58.required(),
+});
+
+export const utxo = Joi.object({
+  address: address.required(),
+});
+
+export const page = Joi.object({
+  page: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(1000).default(10),
+  sort: Joi.number().valid(1, -1).default(-1),
+});
+
+export const transactionPage = page.keys({
+  unconfirmed: Joi.boolean().default(false),
+});
+
+export const blocksSince = Joi.object({
+  since: base58,
+  height: Joi.number().integer().min(0),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+}).oxor("since", "height");
+
+export const mempoolSince = Joi.object({
+  since: Joi.number().integer().min(0).default(0),
+});
+
+export const work = Joi.object({
+  address: address.required(),
+});
+
+// comma-separated lists (e.g events=block,payment)
+const eventList = new RegExp(`^(${eventTypes.join("|")})(,(${eventTypes.join("|")}))*$`);
+
+export const subscription = Joi.object({
+  events: Joi.string().pattern(eventList, "event types").default(eventTypes.join(",")),
+  watch: Joi.string().default(""),
+});
+
+export const webhook = Joi.object({
+  // an address, a receiving address or an account public key (see AddressWatcher)
+  key: address.required(),
+  url: Joi.string().uri({ scheme: ["http", "https"] }).required(),
+  confirmations: Joi.number().integer().min(1).max(1000).default(1),
+  secret: Joi.string().min(16).required(),
+});
+
+export const webhookId = Joi.object({
+  id: Joi.string().hex().length(16).required(),
+});
@@ -18,6 +18,65 @@ export function readConfig(filename) {
   }
 }
 
+export function readRecipients(filename) {
+  if (!existsSync(filename)) {
+    throw new Error(`[error] recipients file ${filename} does not exists`);
+  }
+  const content = readFileSync(filename, "utf-8");
+  if (filename.endsWith(".json")) {
+    return JSON.parse(content).map(function ({ address, amount, lock }) {
+      return toRecipient(address, amount, lock);
+    });
+  }
+  // CSV file with one "address,amount[,lock]" line per recipient (an optional header line is skipped)
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+    .map((line) => line.split(",").map((field) => field.trim()))
+    .filter(([address, amount]) => !(address == "address" && amount == "amount"))
+    .map(function ([address, amount, lock]) {
+      return toRecipient(address, amount, lock);
+    });
+}
+
+// the relative lock (in blocks) of a recipient is optional
+function toRecipient(address, amount, lock) {
+  const recipient = { address, amount: parseInt(amount) };
+  if (lock !== undefined && lock !== "") recipient.lock = parseInt(lock);
+  return recipient;
+}
+
+export function readTransactionFile(filename) {
+  if (!existsSync(filename)) {
+    throw new Error(`[error] transaction file ${filename} does not exists`);
+  }
+  try {
+    return JSON.parse(readFileSync(filename, "utf-8"));
+  } catch (err) {
+    throw new Error(`[error] transaction file ${filename} is not valid JSON`);
+  }
+}
+
+export function writeTransactionFile(filename, data) {
+  return writeFileSync(filename, JSON.stringify(data, null, 2));
+}
+
+// the last used child indexes of a wallet are cached next to the wallet file
+function indexesFile(walletFilename) {
+  return `${walletFilename}.indexes.json`;
+}
+
+export function readIndexes(walletFilename) {
+  const filename = indexesFile(walletFilename);
+  if (!existsSync(filename)) return {};
+  return JSON.parse(readFileSync(filename, "utf-8"));
+}
+
+export function writeIndexes(walletFilename, indexes) {
+  return writeFileSync(indexesFile(walletFilename), JSON.stringify(indexes, null, 2));
+}
+
 function encryptData(password, plaintext) {
   const key = pbkdf2(sha256, password, salt, { c: 32, dkLen: 32 });
   const nonce = randomBytes(24);
@@ -0,0 +1,320 @@
+import axios from "axios";
+import { randomBytes } from "crypto";
+import { join } from "path";
+import { hmac } from "@noble/hashes/hmac";
+import { sha256 } from "@noble/hashes/sha256";
+import { bytesToHex } from "@noble/hashes/utils";
+
+import { AddressWatcher } from "../core/watcher.mjs";
+import { openCollection } from "../database/storage.mjs";
+import {
+  addElement,
+  getElement,
+  getElements,
+  updateElement,
+  removeElements,
+} from "../database/database-core.mjs";
+
+// the number of due deliveries attempted in a row before looking for the next ones
+const BATCH = 100;
+
+export class WebhookDispatcher {
+  /**
+   * notifies the registered URLs of the payments to their watched key (an address or an account public key)
+   * - payment.pending: once the payment is accepted in the transaction pool
+   * - payment.confirmed: once the block confirming the payment is buried under confirmations - 1 blocks
+   * - payment.reverted: once the block of a confirmed payment is disconnected by a reorganization
+   *   (the payment is confirmed again by the block of the new main chain that confirms it, if any)
+   * (the change of an account's own transactions is not notified)
+   * each payment is delivered once per event (and block) as a POST request whose JSON body is signed with the webhook's secret
+   * (the X-Dotcoin-Signature header is sha256=<HMAC-SHA256 of the body in hex>)
+   * a delivery that fails (network error or non-2xx response) is attempted again after retryDelay, 2 x retryDelay, ...
+   * until maxAttempts attempts have failed
+   * the webhooks and their deliveries are stored in the .webhooks directory of the node's database
+   * (a dot directory, so that the secrets are not served with the database files, see createApp)
+   * @param {object} server - the DotcoinServer instance (its write path emits the events)
+   * @param {object} config - contains the gap limit, maxAttempts, retryDelay (ms) and the request timeout (ms)
+   */
+  constructor(server, config = {}) {
+    this.server = server;
+    this.gapLimit = config.gapLimit || 20;
+    this.maxAttempts = config.maxAttempts || 8;
+    this.retryDelay = config.retryDelay || 1000;
+    this.http = axios.create({ timeout: config.timeout || 5000, proxy: false });
+    const path = join(server.path, ".webhooks");
+    this.collection = openCollection(server.storage, path, "webhooks");
+    this.deliveries = openCollection(server.storage, path, "deliveries");
+    this.webhooks = new Map(); // _id -> {webhook, watcher}
+    this.queue = Promise.resolve(); // the events are processed in the order they are emitted
+    this.timer = null;
+    this.running = null;
+    this.wakeUp = false;
+    this.closed = false;
+    this.listeners = {
+      transaction: (tx) => this.enqueue(() => this.notifyPending(tx)),
+      block: (block) => this.enqueue(() => this.notifyConfirmed(block)),
+      reorg: ({ disconnected }) => this.enqueue(() => this.notifyReverted(disconnected)),
+    };
+    for (const [event, listener] of Object.entries(this.listeners)) server.events.on(event, listener);
+  }
+
+  /**
+   * loads the registered webhooks and resumes their pending deliveries
+   */
+  async load() {
+    for (const webhook of await getElements(this.collection, {}, 0, Number.MAX_SAFE_INTEGER, 1)) {
+      await this.watch(webhook);
+    }
+    this.wake();
+  }
+
+  /**
+   * registers a webhook and returns it (without its secret)
+   * @param {object} data - {key, url, confirmations, secret}
+   */
+  async register(data) {
+    const { key, url, confirmations, secret } = data;
+    const webhook = { _id: randomBytes(8).toString("hex"), key, url, confirmations, secret };
+    // the watcher checks the key before the webhook is stored
+    const watcher = await this.getWatcher(key);
+    await addElement(this.collection, webhook);
+    this.webhooks.set(webhook._id, { webhook, watcher });
+    return hideSecret(webhook);
+  }
+
+  /**
+   * returns the registered webhooks (without their secrets)
+   */
+  getWebhooks() {
+    return [...this.webhooks.values()].map(({ webhook }) => hideSecret(webhook));
+  }
+
+  /**
+   * removes a webhook and its deliveries, returns the webhook (without its secret) or null if it does not exist
+   * @param {string} id - the _id of the webhook
+   */
+  async unregister(id) {
+    const entry = this.webhooks.get(id);
+    if (!entry) return null;
+    this.webhooks.delete(id);
+    await removeElements(this.collection, { _id: id });
+    await removeElements(this.deliveries, { webhook: id });
+    return hideSecret(entry.webhook);
+  }
+
+  /**
+   * returns the deliveries of a webhook (the latest first) or null if the webhook does not exist
+   * a delivery is {_id, webhook, output, event, payload, status, attempts, nextAttempt, responseStatus, error, deliveredAt}
+   * where status is pending (waiting for its next attempt), delivered, failed
+   * or cancelled (a confirmation whose block has been disconnected before it was delivered)
+   * @param {string} id - the _id of the webhook
+   * @param {number} page - the page index
+   * @param {number} limit - the number of deliveries per page
+   */
+  async getDeliveries(id, page, limit) {
+    if (!this.webhooks.has(id)) return null;
+    return getElements(this.deliveries, { webhook: id }, page, limit, -1);
+  }
+
+  /**
+   * stops listening to the node and retrying (the pending deliveries are resumed by load)
+   * then closes the collections once the current events and attempts are over
+   */
+  async close() {
+    this.closed = true;
+    for (const [event, listener] of Object.entries(this.listeners)) this.server.events.off(event, listener);
+    clearTimeout(this.timer);
+    await this.queue;
+    await this.running;
+    this.collection.close();
+    this.deliveries.close();
+  }
+
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch((err) => console.log(`Webhook dispatch failed: ${err.message}`));
+  }
+
+  async getWatcher(key) {
+    const watcher = new AddressWatcher([key], (addresses) => this.server.db.getUtxos(addresses), this.gapLimit);
+    await watcher.scan();
+    return watcher;
+  }
+
+  async watch(webhook) {
+    this.webhooks.set(webhook._id, { webhook, watcher: await this.getWatcher(webhook.key) });
+  }
+
+  async notifyPending(tx) {
+    for (const entry of this.webhooks.values()) {
+      await this.notify(entry, "payment.pending", tx, null, 0);
+    }
+    this.wake();
+  }
+
+  async notifyConfirmed(block) {
+    // the block confirmed by a given number of confirmations is looked up once for all the webhooks
+    const confirmed = new Map(); // confirmations -> {block, transactions}
+    for (const entry of this.webhooks.values()) {
+      const { confirmations } = entry.webhook;
+      if (!confirmed.has(confirmations)) {
+        confirmed.set(confirmations, await this.getConfirmed(block, confirmations));
+      }
+      const target = confirmed.get(confirmations);
+      if (!target) continue;
+      for (const tx of target.transactions) {
+        await this.notify(entry, "payment.confirmed", tx, target.block._id, confirmations);
+      }
+    }
+    this.wake();
+  }
+
+  // retracts the confirmations of the disconnected blocks: the ones delivered (or failed) are followed by a payment.reverted delivery
+  // and the ones not delivered yet are cancelled
+  async notifyReverted(blocks) {
+    const confirmed = await getElements(
+      this.deliveries,
+      { event: "payment.confirmed", "payload.block": { $in: blocks } },
+      0,
+      Number.MAX_SAFE_INTEGER,
+      1,
+    );
+    for (const delivery of confirmed) {
+      const entry = this.webhooks.get(delivery.webhook);
+      if (!entry || delivery.status === "cancelled") continue;
+      if (delivery.status === "pending") {
+        await updateElement(this.deliveries, { _id: delivery._id }, { $set: { status: "cancelled" } });
+        continue;
+      }
+      const { delivery: id, event, ...payload } = delivery.payload;
+      await this.addDelivery(entry.webhook, "payment.reverted", delivery.output, { ...payload, confirmations: 0 });
+    }
+    this.wake();
+  }
+
+  // returns the block (and its transactions) that the new tip gives the number of confirmations (or null if the chain is too short)
+  async getConfirmed(tip, confirmations) {
+    let block = tip;
+    for (let i = 1; i < confirmations && block; i++) {
+      block = block.previous ? await this.server.getBlock(block.previous) : null;
+    }
+    if (!block) return null;
+    const transactions = await this.server.db.getTransactionsByBlocks([block._id]);
+    return { block, transactions };
+  }
+
+  // records a delivery for every output of the transaction paid to the webhook's key
+  async notify({ webhook, watcher }, event, tx, block, confirmations) {
+    for (const [index, { address, amount, lock }] of tx.utxoOuts.entries()) {
+      const watched = watcher.match(address);
+      if (!watched || watched.change) continue;
+      const payload = { address, amount, transaction: tx._id, block, confirmations, watched: webhook.key };
+      if (lock) payload.lock = lock;
+      await this.addDelivery(webhook, event, index, payload);
+    }
+  }
+
+  // records a delivery once per output, event and block (a payment can be confirmed again after a reorganization)
+  async addDelivery(webhook, event, output, payload) {
+    const _id = [webhook._id, payload.transaction, output, event, ...(payload.block ? [payload.block] : [])].join("-");
+    if (await getElement(this.deliveries, { _id })) return;
+    await addElement(this.deliveries, {
+      _id,
+      webhook: webhook._id,
+      output,
+      event,
+      payload: { delivery: _id, event, ...payload },
+      status: "pending",
+      attempts: 0,
+      nextAttempt: Date.now(),
+      responseStatus: null,
+      error: null,
+      deliveredAt: null,
+    });
+  }
+
+  // starts attempting the due deliveries, or attempts them again once the current attempts are over
+  wake() {
+    if (this.closed) return;
+    if (this.running) {
+      this.wakeUp = true;
+      return;
+    }
+    this.running = this.processDeliveries()
+      .catch((err) => console.log(`Webhook delivery failed: ${err.message}`))
+      .finally(() => {
+        this.running = null;
+        if (this.wakeUp) {
+          this.wakeUp = false;
+          this.wake();
+        }
+      });
+  }
+
+  // attempts the due deliveries, then sets a timer for the next one
+  async processDeliveries() {
+    clearTimeout(this.timer);
+    const due = await getElements(
+      this.deliveries,
+      { status: "pending", nextAttempt: { $lte: Date.now() } },
+      0,
+      BATCH,
+      { nextAttempt: 1 },
+    );
+    for (const delivery of due) {
+      if (this.closed) return;
+      await this.attempt(delivery);
+    }
+    const [next] = await getElements(this.deliveries, { status: "pending" }, 0, 1, { nextAttempt: 1 });
+    if (!next || this.closed) return;
+    this.timer = setTimeout(() => this.wake(), Math.max(0, next.nextAttempt - Date.now()));
+    this.timer.unref();
+  }
+
+  async attempt(delivery) {
+    const entry = this.webhooks.get(delivery.webhook);
+    if (!entry) return;
+    const { url, secret } = entry.webhook;
+    const body = JSON.stringify(delivery.payload);
+    const attempts = delivery.attempts + 1;
+    try {
+      const res = await this.http.post(url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Dotcoin-Event": delivery.event,
+          "X-Dotcoin-Delivery": delivery._id,
+          "X-Dotcoin-Signature": `sha256=${sign(secret, body)}`,
+        },
+      });
+      await updateElement(this.deliveries, { _id: delivery._id }, {
+        $set: { status: "delivered", attempts, responseStatus: res.status, error: null, deliveredAt: Date.now() },
+      });
+    } catch (err) {
+      const status = attempts >= this.maxAttempts ? "failed" : "pending";
+      await updateElement(this.deliveries, { _id: delivery._id }, {
+        $set: {
+          status,
+          attempts,
+          nextAttempt: Date.now() + this.retryDelay * 2 ** (attempts - 1),
+          responseStatus: err.response ? err.response.status : null,
+          error: err.message,
+        },
+      });
+    }
+  }
+}
+
+/**
+ * returns the signature of a webhook delivery, i.e the HMAC-SHA256 of its body in hex
+ * (the receiver compares it to the X-Dotcoin-Signature header without the sha256= prefix)
+ * @param {string} secret - the secret shared with the receiver
+ * @param {string} body - the raw body of the request
+ */
+export function sign(secret, body) {
+  return bytesToHex(hmac(sha256, secret, body));
+}
+
+// the secret is never sent back (the receiver already knows it)
+function hideSecret(webhook) {
+  const { secret, ...result } = webhook;
+  return result;
+}
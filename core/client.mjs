@@ -1,10 +1,11 @@
 /* Copyright (C) 2023 Thierry Sans - All Rights Reserved
  */
 
-import { DatabaseRead } from "../database/database-read.mjs";
+import { DatabaseWrite } from "../database/database-write.mjs";
 
 import * as utils from "../utils/utils.mjs";
 import * as common from "./common.mjs";
+import * as coinSelection from "./coin-selection.mjs";
 
 export class ClientError extends Error {
   constructor(message) {
@@ -16,31 +17,90 @@ export class ClientError extends Error {
 export class DotcoinClient {
   /**
        * initializes the Dotcoin client
-       * @param {object} config - contains the mnemonic, the mining difficulty, the transaction limit, the coinbase amount and the NeDB path
+       * @param {object} config - contains the mnemonic (or the account public key of a watch-only wallet), the mining difficulty and its retargeting parameters, the transaction limit, the coinbase amount, the database path and its storage backend
        */
   constructor(config) {
-    this.mnemonic = config.mnemonic || common.createMnemonic(); // mnemonic for genesis block
-    this.difficulty = config.difficulty || 1; // mining difficulty
+    this.xpub = config.xpub || null; // account public key of a watch-only wallet (that cannot sign)
+    this.mnemonic = this.xpub ? null : config.mnemonic || common.createMnemonic(); // mnemonic for genesis block
+    this.difficulty = config.difficulty || 1; // initial mining difficulty (number of '1' prefixing the block _id)
+    this.interval = config.interval || 10; // the difficulty is retargeted every 10 blocks
+    this.blockTime = config.blockTime || 60; // target time between blocks (in seconds)
     this.limit = config.limit || 1024; // each block can have up to 2^10 transactions (including coinbase)
     this.amount = config.amount || 100; // coinbase amount
+    this.gapLimit = config.gapLimit || 20; // wallet scans stop after 20 consecutive unused addresses on a branch
+    this.indexes = config.indexes || {}; // last used child index of each account branch {[account]: {receive, change}}
     this.path = config.path || "data"; // database path
-    this.db = new DatabaseRead(this.path);
+    this.storage = config.storage || "nedb"; // storage backend of the database (see database/storage.mjs)
+    this.db = new DatabaseWrite(this.path, false, this.storage); // local copy of the chain (see applyBlocks and applyMempool)
+    this.keys = {}; // account keys derived from the mnemonic (computing the seed is slow)
 }
 
   /**
    * returns the mnemonic as a string
    */
   getMnemonic() {
+    if (this.isWatchOnly()) {
+      throw new ClientError("A watch-only wallet has no mnemonic");
+    }
     return this.mnemonic;
   }
 
+  /**
+   * returns true if the wallet was created from an account public key (and cannot sign)
+   */
+  isWatchOnly() {
+    return this.xpub !== null;
+  }
+
+  /**
+   * returns the account public key (i.e the key from which a watch-only wallet derives all the account's addresses)
+   * @param {number} account - the wallet account index
+   */
+  async getAccountPublicKey(account) {
+    if (this.isWatchOnly()) {
+      await this.getAccountKeys(account); // checks that the account is the one being watched
+      return this.xpub;
+    }
+    const { publicKey } = await common.getAccountKeys(this.mnemonic, account);
+    return publicKey;
+  }
+
+  /**
+   * returns the last used child index of each account branch (that can be given back to the constructor as config.indexes)
+   */
+  getIndexes() {
+    return this.indexes;
+  }
+
+  /**
+   * returns the receiving and changing key pairs for the given wallet's account
+   * (only the public keys for a watch-only wallet)
+   * @param {number} account - the wallet account index
+   */
+  async getAccountKeys(account) {
+    if (this.isWatchOnly()) {
+      const keys = common.getWatchKeys(this.xpub);
+      if (keys.depth !== 3 || keys.account !== account) {
+        throw new ClientError(`The watch-only wallet does not watch account ${account}`);
+      }
+      return { receive: keys.receive, change: keys.change };
+    }
+    if (!this.keys[account]) {
+      this.keys[account] = {
+        receive: await common.getReceiveKeys(this.mnemonic, account),
+        change: await common.getChangeKeys(this.mnemonic, account),
+      };
+    }
+    return this.keys[account];
+  }
+
   /**
    * returns the receiving key (i.e public key) as a string
    * @param {number} account - the wallet account index
    */
   async getReceivingAddress(account) {
-    const {publicKey} = await common.getReceiveKeys(this.mnemonic, account);
-    return publicKey;
+    const { receive } = await this.getAccountKeys(account);
+    return receive.publicKey;
   }
 
   /**
@@ -50,151 +110,331 @@ export class DotcoinClient {
   async getBalance(account) {
     let totalUsable = 0;
     let totalPending = 0;
-    let childIndex = 0;
-
-    while (true) {
+    let totalLocked = 0;
+    const tip = await this.db.getTip();
+    for (const utxo of await this.scanAccount(account)) {
+        if (utxo.txIn) continue; //spent UTXOs
+        if (!utxo.block) {
+            totalPending += utxo.amount; // pending UTXO
+        } else if (await this.isLocked(utxo, tip)) {
+            totalLocked += utxo.amount; // confirmed UTXO that cannot be spent yet
+        } else {
+            totalUsable += utxo.amount; // confirmed UTXO
+        }
+    }
+    return { usable: totalUsable, pending: totalPending, locked: totalLocked };
+}
 
-        // Derive receiving and change addresses dynamically using childIndex
-        const { publicKey: receiveParentKey } = await common.getReceiveKeys(this.mnemonic, account);
-        const { publicKey: changeParentKey } = await common.getChangeKeys(this.mnemonic, account);
+  /**
+   * returns true if a confirmed utxo cannot be spent by the next block yet (because of its relative lock)
+   * @param {object} utxo - the utxo
+   * @param {object} tip - the tip of the main chain
+   */
+  async isLocked(utxo, tip) {
+    if (!utxo.lock || !utxo.block) return false;
+    const block = await this.db.getBlock(utxo.block);
+    const height = tip ? tip.height + 1 : 0;
+    return height < block.height + utxo.lock;
+  }
 
-        const receiveAddress = common.getChildKeys(receiveParentKey, childIndex).publicKey;
-        const changeAddress = common.getChildKeys(changeParentKey, childIndex).publicKey;
+  /**
+   * returns all utxos (spent or not) received by the wallet account
+   * (each utxo is tagged with its child index and its branch type: receive or change)
+   * the receive and change branches are scanned until `gapLimit` consecutive unused addresses,
+   * starting with all the addresses up to the last used index cached for the account
+   * @param {number} account - the wallet account index
+   */
+  async scanAccount(account) {
+    const { receive, change } = await this.getAccountKeys(account);
+    const cached = this.indexes[account] || { receive: -1, change: -1 };
+    const receiveScan = await this.scanBranch(receive.publicKey, cached.receive);
+    const changeScan = await this.scanBranch(change.publicKey, cached.change);
+    this.indexes[account] = {
+      receive: receiveScan.lastUsed,
+      change: changeScan.lastUsed,
+    };
+    const utxos = [
+      ...receiveScan.utxos.map((utxo) => ({ ...utxo, type: "receive" })),
+      ...changeScan.utxos.map((utxo) => ({ ...utxo, type: "change" })),
+    ];
+    // ordered by child index (receive first) as when walking both branches together
+    // (the sort is stable so the utxos of an address paid several times stay the oldest first)
+    return utxos.sort(
+      (a, b) => a.childIndex - b.childIndex || (a.type === b.type ? 0 : a.type === "receive" ? -1 : 1),
+    );
+  }
 
-        // Fetch UTXOs for the derived receiving and change addresses
-        let receiveUtxos = await this.db.getUtxo(receiveAddress);
-        let changeUtxos = await this.db.getUtxo(changeAddress);
+  /**
+   * returns the utxos received by the child addresses of a branch key and the last used child index
+   * @param {string} parentKey - base58-encoded branch public key (or multisig address)
+   * @param {number} lastUsed - the last used child index known so far (-1 if none)
+   */
+  async scanBranch(parentKey, lastUsed) {
+    const utxos = [];
+    let start = 0;
+    let end = lastUsed + 1 + this.gapLimit;
+    while (start < end) {
+      const addresses = [];
+      for (let childIndex = start; childIndex < end; childIndex++) {
+        addresses.push(common.getChildAddress(parentKey, childIndex));
+      }
+      for (const utxo of await this.db.getUtxos(addresses)) {
+        const childIndex = start + addresses.indexOf(utxo.address);
+        utxos.push({ ...utxo, childIndex });
+        lastUsed = Math.max(lastUsed, childIndex);
+      }
+      start = end;
+      end = lastUsed + 1 + this.gapLimit;
+    }
+    return { utxos, lastUsed };
+  }
 
-        // Break the loop if no UTXOs are found for both receiving and change addresses
-        if (!receiveUtxos && !changeUtxos) {
-            break;
-        }
+  /**
+   * returns the confirmed, unspent and unlocked utxos of the wallet account
+   * (each utxo is tagged with its child index and its branch type: receive or change)
+   * @param {number} account - the wallet account index
+   */
+  async getSpendableUtxos(account) {
+    return this.filterSpendable(await this.scanAccount(account));
+  }
 
-        receiveUtxos = Array.isArray(receiveUtxos) ? receiveUtxos : receiveUtxos ? [receiveUtxos] : [];
-        changeUtxos = Array.isArray(changeUtxos) ? changeUtxos : changeUtxos ? [changeUtxos] : [];
-        const allUtxos = [...receiveUtxos, ...changeUtxos];
-
-        for (const utxo of allUtxos) {
-            if (utxo.txIn) continue; //spent UTXOs
-            if (utxo.block) {
-                totalUsable += utxo.amount; // confirmed UTXO
-            } else {
-                totalPending += utxo.amount; // pending UTXO
-            }
-        }
-        // Increment childIndex to derive the next set of addresses
-        childIndex++;
+  /**
+   * returns the utxos that are confirmed, unspent and not timelocked
+   * (an input spends the oldest unspent utxo of its address, so the utxos of an address paid several times
+   * are spendable up to the first one that is pending or locked)
+   * @param {array<object>} utxos - the utxos (the oldest first for an address paid several times)
+   */
+  async filterSpendable(utxos) {
+    const tip = await this.db.getTip();
+    const spendable = [];
+    const blocked = new Set(); // the addresses whose next unspent utxo is pending or locked
+    for (const utxo of utxos) {
+      if (utxo.txIn) continue;      // spent
+      if (blocked.has(utxo.address)) continue;
+      if (!utxo.block || (await this.isLocked(utxo, tip))) {
+        blocked.add(utxo.address); // unconfirmed or relative lock
+        continue;
+      }
+      spendable.push(utxo);
     }
-    return { usable: totalUsable, pending: totalPending };
-}
-
+    return spendable;
+  }
 
+  /**
+   * returns every transaction that pays or spends the addresses of the wallet account
+   * (oldest first, pending transactions last) as a list of
+   * {transaction, direction, amount, fee, counterparties, block, height, timestamp, status}
+   * where amount is the net change of the account balance (negative for outgoing transactions)
+   * and counterparties are the outputs that do not belong to the account
+   * @param {number} account - the wallet account index
+   */
+  async getHistory(account) {
+    const utxos = await this.scanAccount(account);
+    const owned = new Set(utxos.map((utxo) => utxo.address));
+    const txIds = new Set();
+    for (const utxo of utxos) {
+      txIds.add(utxo.transaction);
+      if (utxo.txIn) txIds.add(utxo.txIn);
+    }
+    const history = [];
+    for (const txId of txIds) {
+      const tx = await this.db.getTransaction(txId);
+      if (!tx) continue;
+      // an address paid several times owns several outputs: the transaction sent the ones it spends
+      const sent = utxos
+        .filter((utxo) => utxo.txIn === tx._id)
+        .reduce((sum, utxo) => sum + utxo.amount, 0);
+      const received = tx.utxoOuts
+        .filter((utxo) => owned.has(utxo.address))
+        .reduce((sum, utxo) => sum + utxo.amount, 0);
+      const block = tx.block ? await this.db.getBlock(tx.block) : null;
+      history.push({
+        transaction: tx._id,
+        direction: sent > 0 ? "outgoing" : "incoming",
+        amount: received - sent,
+        fee: tx.utxoIns.length > 0 ? tx.fee : null, // coinbase transactions have no fee
+        counterparties: tx.utxoOuts
+          .filter((utxo) => !owned.has(utxo.address))
+          .map(({ address, amount }) => ({ address, amount })),
+        block: tx.block || null,
+        height: block ? block.height : null,
+        timestamp: block ? block.timestamp : null,
+        status: tx.block ? "confirmed" : "pending",
+      });
+    }
+    return history.sort(function (a, b) {
+      if (a.height === null || b.height === null) return (a.height === null) - (b.height === null);
+      return a.height - b.height;
+    });
+  }
 
   /**
    * returns a transaction candidate
    * @param {number} account - the wallet account index
    * @param {string} address - recipient's receiving address (i.e public key)
    * @param {number} amount - the number of dotcoin to transfer
+   * @param {number} fee - the number of dotcoin left to the miner that confirms the transaction
+   * @param {string} strategy - the coin selection strategy (in-order, largest-first, smallest-first, branch-and-bound or privacy)
+   * @param {number} lockTime - the block height (or the timestamp in milliseconds) before which the transaction cannot be confirmed (0 for none)
+   * @param {number} lock - the number of blocks after its confirmation before which the recipient cannot spend the payment (0 for none)
    */
-  async createTransaction(account, address, amount) {
-    let total = 0;
-    const selectedUtxos = [];
-    const tx = { utxoIns: [], utxoOuts: [], signatures: [] };
-  
-    // same logic as getBalance 
-    let childIndex = 0;
-    while (total < amount) {
-      
-      const { publicKey: receiveParentKey } = await common.getReceiveKeys(this.mnemonic, account);
-      const { publicKey: changeParentKey } = await common.getChangeKeys(this.mnemonic, account);
-      const receiveAddress = common.getChildKeys(receiveParentKey, childIndex).publicKey;
-      const changeAddress = common.getChildKeys(changeParentKey, childIndex).publicKey;
-  
-      
-      let receiveUtxos = await this.db.getUtxo(receiveAddress);
-      let changeUtxos = await this.db.getUtxo(changeAddress);
-  
-      
-      receiveUtxos = Array.isArray(receiveUtxos) ? receiveUtxos : receiveUtxos ? [receiveUtxos] : [];
-      changeUtxos = Array.isArray(changeUtxos) ? changeUtxos : changeUtxos ? [changeUtxos] : [];
-      const allUtxos = [...receiveUtxos, ...changeUtxos];
-  
-      
-      if (allUtxos.length === 0 && childIndex > 0) {
-        break;
+  async createTransaction(account, address, amount, fee = 0, strategy = "in-order", lockTime = 0, lock = 0) {
+    const recipient = lock ? { address, amount, lock } : { address, amount };
+    return this.createBatchTransaction(account, [recipient], fee, strategy, lockTime);
+  }
+
+  /**
+   * returns a transaction candidate that pays several recipients at once (one output per recipient plus change)
+   * @param {number} account - the wallet account index
+   * @param {array<object>} recipients - the list of {address, amount, lock} where address is the recipient's receiving address (i.e public key) and lock is an optional relative lock (in blocks)
+   * @param {number} fee - the number of dotcoin left to the miner that confirms the transaction
+   * @param {string} strategy - the coin selection strategy (in-order, largest-first, smallest-first, branch-and-bound or privacy)
+   * @param {number} lockTime - the block height (or the timestamp in milliseconds) before which the transaction cannot be confirmed (0 for none)
+   */
+  async createBatchTransaction(account, recipients, fee = 0, strategy = "in-order", lockTime = 0) {
+    if (this.isWatchOnly()) {
+      throw new ClientError("A watch-only wallet cannot sign transactions");
+    }
+    const unsigned = await this.buildTransaction(account, recipients, fee, strategy, lockTime);
+    return this.signTransaction(unsigned);
+  }
+
+  /**
+   * returns an unsigned transaction that can be signed on another machine (see signTransaction)
+   * as {account, transaction, inputs, fee} where inputs lists the {address, amount, path} of each spent utxo
+   * (a watch-only wallet can build unsigned transactions)
+   * @param {number} account - the wallet account index
+   * @param {array<object>} recipients - the list of {address, amount, lock} where address is the recipient's receiving address (i.e public key) and lock is an optional relative lock (in blocks)
+   * @param {number} fee - the number of dotcoin left to the miner that confirms the transaction
+   * @param {string} strategy - the coin selection strategy (in-order, largest-first, smallest-first, branch-and-bound or privacy)
+   * @param {number} lockTime - the block height (or the timestamp in milliseconds) before which the transaction cannot be confirmed (0 for none)
+   */
+  async buildTransaction(account, recipients, fee = 0, strategy = "in-order", lockTime = 0) {
+    const keys = await this.getAccountKeys(account);
+    const { selectedUtxos, tx } = await this.prepareTransaction(
+      await this.getSpendableUtxos(account),
+      recipients,
+      fee,
+      strategy,
+      keys.change.publicKey,
+      lockTime,
+    );
+    const inputs = selectedUtxos.map(function (utxo) {
+      return {
+        address: utxo.address,
+        amount: utxo.amount,
+        path: common.getDerivationPath(account, utxo.type, utxo.childIndex),
+      };
+    });
+    const unsigned = { account, transaction: tx, inputs, fee };
+    checkUnsignedTransaction(unsigned);
+    return unsigned;
+  }
+
+  /**
+   * selects the utxos that pay the recipients and the fee and returns them with the transaction (without signatures)
+   * @param {array<object>} utxos - the spendable utxos
+   * @param {array<object>} recipients - the list of {address, amount, lock} where address is the recipient's receiving address (i.e public key) and lock is an optional relative lock (in blocks)
+   * @param {number} fee - the number of dotcoin left to the miner that confirms the transaction
+   * @param {string} strategy - the coin selection strategy (in-order, largest-first, smallest-first, branch-and-bound or privacy)
+   * @param {string} changeKey - the parent key of the change address
+   * @param {number} lockTime - the block height (or the timestamp in milliseconds) before which the transaction cannot be confirmed (0 for none)
+   */
+  async prepareTransaction(utxos, recipients, fee, strategy, changeKey, lockTime = 0) {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new ClientError("No recipient");
+    }
+    for (const { address, amount, lock = 0 } of recipients) {
+      if (typeof address !== "string" || !Number.isInteger(amount) || amount <= 0) {
+        throw new ClientError(`Invalid recipient ${address} for amount ${amount}`);
       }
-  
-      for (const utxo of allUtxos) {
-        if (utxo.txIn) continue;      // spent
-        if (!utxo.block) continue;     // unconfirmed
-        if (total >= amount) break;
-  
-        total += utxo.amount;
-        // UTXO came from the receive or change
-        const type = utxo.address === receiveAddress ? 'receive' : 'change';
-        selectedUtxos.push({ ...utxo, childIndex, type });
-        tx.utxoIns.push(utxo.address);
+      if (!Number.isInteger(lock) || lock < 0) {
+        throw new ClientError(`Invalid relative lock ${lock} for recipient ${address}`);
       }
-      childIndex++;
     }
-  
-    if (total < amount) {
+    if (!Number.isInteger(fee) || fee < 0) {
+      throw new ClientError("Invalid transaction fee");
+    }
+    if (!Number.isInteger(lockTime) || lockTime < 0) {
+      throw new ClientError(`Invalid lock time ${lockTime}`);
+    }
+    const select = coinSelection.strategies[strategy];
+    if (!select) {
+      throw new ClientError(`Unknown coin selection strategy ${strategy}`);
+    }
+    const amount = recipients.reduce((sum, recipient) => sum + recipient.amount, 0);
+    const required = amount + fee; // the inputs must cover the amounts and the fee
+    const tx = { utxoIns: [], utxoOuts: [], signatures: [] };
+    if (lockTime) tx.lockTime = lockTime;
+
+    // an input spends the oldest unspent utxo of its address so the utxos of an address are selected together
+    // (the address is then given once per utxo)
+    const coins = new Map();
+    for (const utxo of utxos) {
+      const coin = coins.get(utxo.address) || { ...utxo, amount: 0, utxos: [] };
+      coin.amount += utxo.amount;
+      coin.utxos.push(utxo);
+      coins.set(utxo.address, coin);
+    }
+    const selectedCoins = select([...coins.values()], required);
+    if (!selectedCoins) {
       throw new ClientError("Insufficient funds");
     }
+    const selectedUtxos = selectedCoins.flatMap((coin) => coin.utxos);
+    const total = selectedUtxos.reduce((sum, utxo) => sum + utxo.amount, 0);
+    tx.utxoIns.push(...selectedUtxos.map((utxo) => utxo.address));
   
-    // creaut UTxO outs for recipient and change (if needed)
-    const change = total - amount;
+    // creaut UTxO outs for recipients and change (if needed)
+    const change = total - required;
     if (change < 0) {
       throw new ClientError("Invalid transaction amount");
     }
-  
+
+    // Get a fresh address for each recipient (recipients sharing the same receiving key get distinct child addresses)
+    const used = new Set();
+    for (const { address, amount, lock } of recipients) {
+      const recipientAddress = await this.getUnusedAddress(address, used);
+      used.add(recipientAddress);
+      tx.utxoOuts.push(lock ? { address: recipientAddress, amount, lock } : { address: recipientAddress, amount });
+    }
+
     // Get change add if needed.
-    let changeAddressForOutput;
     if (change > 0) {
-      let changeChildIndex = 0;
-      const { publicKey: changeParentKey } = await common.getChangeKeys(this.mnemonic, account);
-      while (true) {
-        const derivedChangeAddress = common.getChildKeys(changeParentKey, changeChildIndex).publicKey;
-        const utxo = await this.db.getUtxo(derivedChangeAddress);
-        if (!utxo) {
-          changeAddressForOutput = derivedChangeAddress;
-          break;
-        }
-        changeChildIndex++;
-      }
-    }
-  
-    // Get recipient address
-    let recipientAddress;
-    let recipientChildIndex = 0;
-    while (true) {
-      const derivedRecipientAddress = common.getChildKeys(address, recipientChildIndex).publicKey;
-      const utxo = await this.db.getUtxo(derivedRecipientAddress);
-      if (!utxo) {
-        recipientAddress = derivedRecipientAddress;
-        break;
-      }
-      recipientChildIndex++;
+      const changeAddress = await this.getUnusedAddress(changeKey, used);
+      tx.utxoOuts.push({ address: changeAddress, amount: change });
     }
-  
-    const utxoOuts = [{ address: recipientAddress, amount }];
-    if (change > 0) {
-      utxoOuts.push({ address: changeAddressForOutput, amount: change });
+    return { selectedUtxos, tx };
+  }
+
+  /**
+   * returns the signed transaction (ready to be sent to the server) for an unsigned transaction
+   * the wallet derives the key of each input from its path and refuses to sign an input it does not own
+   * (signing does not need the database so that it can be done on an offline machine)
+   * @param {object} unsigned - the unsigned transaction (as returned by buildTransaction)
+   */
+  async signTransaction(unsigned) {
+    if (this.isWatchOnly()) {
+      throw new ClientError("A watch-only wallet cannot sign transactions");
     }
-    tx.utxoOuts.push(...utxoOuts);
-  
+    checkUnsignedTransaction(unsigned);
+    const keys = await this.getAccountKeys(unsigned.account);
+    const tx = {
+      utxoIns: [...unsigned.transaction.utxoIns],
+      utxoOuts: unsigned.transaction.utxoOuts.map(copyUtxo),
+      signatures: [],
+    };
+    if (unsigned.transaction.lockTime) tx.lockTime = unsigned.transaction.lockTime;
+
     // Compute the transaction hash (without signatures)
     const txHash = utils.getTransactionHash(tx);
   
     // For each UTXO, sign the transaction hash using appropriate key 
-    for (const utxoObj of selectedUtxos) {
-      let keyPair;
-      if (utxoObj.type === "receive") {
-        const { privateKey: parentPrivateKey } = await common.getReceiveKeys(this.mnemonic, account);
-        keyPair = common.getChildKeys(parentPrivateKey, utxoObj.childIndex);
-      } else {
-        const { privateKey: parentPrivateKey } = await common.getChangeKeys(this.mnemonic, account);
-        keyPair = common.getChildKeys(parentPrivateKey, utxoObj.childIndex);
+    for (const input of unsigned.inputs) {
+      const { type, childIndex } = common.parseDerivationPath(input.path);
+      const { privateKey: parentPrivateKey } = keys[type];
+      const keyPair = common.getChildKeys(parentPrivateKey, childIndex);
+      if (keyPair.publicKey !== input.address) {
+        throw new ClientError(`Input ${input.address} does not belong to the wallet (${input.path})`);
       }
       const signature = common.signHash(txHash, keyPair.privateKey);
       tx.signatures.push(signature);
@@ -202,57 +442,410 @@ export class DotcoinClient {
   
     // Calculate the transaction ID (hash) including the signatures
     tx._id = utils.getTransactionHash(tx);
-  
+    checkSignedTransaction(tx);
     return tx;
   }
 
+  /**
+   * returns the confirmed, unspent and unlocked utxos received by the child addresses of a multisig address
+   * (each utxo is tagged with its child index)
+   * @param {string} address - the multisig address (as returned by createMultisigAddress)
+   */
+  async getMultisigUtxos(address) {
+    const { utxos } = await this.scanBranch(address, -1);
+    return this.filterSpendable(utxos);
+  }
+
+  /**
+   * returns a partially signed transaction that spends the funds of a multisig address (the change goes back to it)
+   * as {multisig, transaction, inputs, fee} where inputs lists the {address, amount, childIndex} of each spent utxo
+   * and the signature of each input is the list of the cosigners' signatures (null until they sign, see cosignTransaction)
+   * @param {string} multisig - the multisig address (as returned by createMultisigAddress)
+   * @param {array<object>} recipients - the list of {address, amount, lock} where address is the recipient's receiving address (i.e public key) and lock is an optional relative lock (in blocks)
+   * @param {number} fee - the number of dotcoin left to the miner that confirms the transaction
+   * @param {string} strategy - the coin selection strategy (in-order, largest-first, smallest-first, branch-and-bound or privacy)
+   * @param {number} lockTime - the block height (or the timestamp in milliseconds) before which the transaction cannot be confirmed (0 for none)
+   */
+  async buildMultisigTransaction(multisig, recipients, fee = 0, strategy = "in-order", lockTime = 0) {
+    if (!utils.isMultisigAddress(multisig)) {
+      throw new ClientError(`${multisig} is not a multisig address`);
+    }
+    const { keys } = utils.decodeMultisigAddress(multisig);
+    const { selectedUtxos, tx } = await this.prepareTransaction(
+      await this.getMultisigUtxos(multisig),
+      recipients,
+      fee,
+      strategy,
+      multisig,
+      lockTime,
+    );
+    tx.signatures = selectedUtxos.map(() => keys.map(() => null));
+    tx._id = utils.getTransactionHash(tx);
+    const inputs = selectedUtxos.map(function ({ address, amount, childIndex }) {
+      return { address, amount, childIndex };
+    });
+    const partial = { multisig, transaction: tx, inputs, fee };
+    checkPartialTransaction(partial);
+    return partial;
+  }
+
+  /**
+   * returns the partially signed transaction with the signatures of the wallet account added
+   * the account's receiving key must be one of the cosigners' keys of the multisig address
+   * (signing does not need the database so that it can be done on an offline machine)
+   * @param {number} account - the wallet account index
+   * @param {object} partial - the partially signed transaction (as returned by buildMultisigTransaction)
+   */
+  async cosignTransaction(account, partial) {
+    if (this.isWatchOnly()) {
+      throw new ClientError("A watch-only wallet cannot sign transactions");
+    }
+    checkPartialTransaction(partial);
+    const { receive } = await this.getAccountKeys(account);
+    const position = utils.decodeMultisigAddress(partial.multisig).keys.indexOf(receive.publicKey);
+    if (position < 0) {
+      throw new ClientError(`Account ${account} is not a cosigner of ${partial.multisig}`);
+    }
+    const tx = {
+      utxoIns: [...partial.transaction.utxoIns],
+      utxoOuts: partial.transaction.utxoOuts.map(copyUtxo),
+      signatures: partial.transaction.signatures.map((signatures) => [...signatures]),
+    };
+    if (partial.transaction.lockTime) tx.lockTime = partial.transaction.lockTime;
+    const txHash = utils.getTransactionHash({ ...tx, signatures: [] });
+    partial.inputs.forEach(function (input, i) {
+      const keyPair = common.getChildKeys(receive.privateKey, input.childIndex);
+      tx.signatures[i][position] = common.signHash(txHash, keyPair.privateKey);
+    });
+    tx._id = utils.getTransactionHash(tx);
+    return { ...partial, transaction: tx };
+  }
+
+  /**
+   * returns the first child address of a parent key that has never received any utxo
+   * @param {string} parentKey - base58-encoded parent public key (or multisig address)
+   * @param {Set<string>} excluded - addresses that must not be returned (e.g already used in the transaction being built)
+   */
+  async getUnusedAddress(parentKey, excluded = new Set()) {
+    for (let childIndex = 0; ; childIndex++) {
+      const address = common.getChildAddress(parentKey, childIndex);
+      if (excluded.has(address)) continue;
+      const utxo = await this.db.getUtxo(address);
+      if (!utxo) return address;
+    }
+  }
+
+  /**
+   * returns the _id of the tip of the local chain (or null if there is none), i.e the block to synchronize from
+   */
+  async getLocalTip() {
+    const tip = await this.db.getTip();
+    return tip ? tip._id : null;
+  }
+
+  /**
+   * applies the blocks received from a node (as returned by the GET /sync/blocks/ route) to the local database
+   * when the local tip has been reorganized away, the local blocks after the fork point are rolled back first
+   * returns true if the local chain has been reorganized
+   * @param {object} data - {fork, blocks, transactions} where fork is the last common block (null to start over)
+   */
+  async applyBlocks({ fork, blocks, transactions }) {
+    const tip = await this.db.getTip();
+    const reorganized = !!tip && fork !== tip._id;
+    if (reorganized) await this.rollback(fork);
+    for (const tx of transactions) {
+      await this.db.replaceTransaction(tx);
+    }
+    for (const tx of transactions) {
+      if (tx.utxoIns.length > 0) await this.db.spendUtxos(tx._id, tx.utxoIns);
+    }
+    for (const block of blocks) {
+      await this.db.addBlock(block);
+    }
+    return reorganized;
+  }
+
+  /**
+   * removes the local blocks after the fork point (or all data if there is none)
+   * their transactions go back to the transaction pool and their coinbases are removed
+   * @param {string} fork - the _id of the last block to keep
+   */
+  async rollback(fork) {
+    const block = fork ? await this.db.getBlock(fork) : null;
+    if (!block) return this.db.clear();
+    const disconnected = await this.db.getBlocksByHeight(block.height, Infinity);
+    for (const { transactions } of disconnected) {
+      await this.db.unconfirmTransactions(transactions);
+    }
+    await this.db.removeTransactions(disconnected.map(({ coinbase }) => coinbase._id));
+    await this.db.removeBlocks(disconnected.map(({ _id }) => _id));
+  }
+
+  /**
+   * applies the changes of the transaction pool received from a node (as returned by the GET /sync/mempool/ route)
+   * pending transactions that the node does not have anymore are removed and the utxos they spend are released
+   * @param {object} data - {transactions, pool} where pool lists the _ids of all the node's pending transactions
+   */
+  async applyMempool({ transactions, pool }) {
+    for (const tx of transactions) {
+      await this.db.replaceTransaction(tx);
+    }
+    for (const tx of transactions) {
+      await this.db.spendUtxos(tx._id, tx.utxoIns);
+    }
+    const pending = new Set(pool);
+    const dropped = (await this.db.getTransactions(0, Number.MAX_SAFE_INTEGER, 1, true)).filter(
+      (tx) => !pending.has(tx._id),
+    );
+    if (dropped.length > 0) {
+      await this.db.releaseUtxos(dropped.map((tx) => tx._id));
+      await this.db.removeTransactions(dropped.map((tx) => tx._id));
+    }
+  }
+
+  /**
+   * returns the template of the next block built from the local copy of the chain (see common.getBlockTemplate)
+   */
+  async getBlockTemplate() {
+    const pending = await this.db.getTransactions(0, Number.MAX_SAFE_INTEGER, 1, true);
+    return common.getBlockTemplate(
+      await this.db.getTip(),
+      pending,
+      (tx) => this.db.getInputs(tx),
+      (hash) => this.db.getBlock(hash),
+      this,
+    );
+  }
 
   /**
    * returns a block candidate
    * @param {number} account - the wallet account index that will receives the coinbase amount
+   * @param {object} template - the block template served by the node (built from the local copy of the chain by default)
    */
-  async mine(account) {
-      let childIndex = 0;
-      let publicKey;
-      const { publicKey: parentKey } = await common.getReceiveKeys(this.mnemonic, account);
-      // Find the first available public key
-      while (true) {
-          const derivedKey = common.getChildKeys(parentKey, childIndex).publicKey;
-          const utxo = await this.db.getUtxo(derivedKey);
-          if (!utxo) {
-              publicKey = derivedKey;
-              break;
-          }
-          childIndex++;
+  async mine(account, template = null) {
+      if (!template) template = await this.getBlockTemplate();
+      const { block, coinbase, transactions } = await this.getBlockCandidate(account, template);
+      const minedBlock = common.findNonce(block, template.difficulty);
+      return { block: minedBlock, coinbase, transactions };
+  }
+
+  /**
+   * returns the block data built on a template, except for the nonce and the _id of the block (see MiningEngine)
+   * @param {number} account - the wallet account index that will receives the coinbase amount
+   * @param {object} template - the block template served by the node
+   */
+  async getBlockCandidate(account, template) {
+      if (template.transactions.length + 1 > template.limit) {
+          throw new ClientError(`The template exceeds the limit of ${template.limit} transactions`);
       }
+      // Find the first available public key
+      const publicKey = await this.getUnusedAddress(await this.getReceivingAddress(account));
 
       const coinbase = {
           _id: null,
           utxoIns: [],
-          utxoOuts: [{ address: publicKey, amount: this.amount}],
+          utxoOuts: [{ address: publicKey, amount: template.reward }],
       };
       coinbase._id = utils.getTransactionHash(coinbase);
-      const unconfirmedTxs = await this.db.getTransactions(0, 100, 1, true);
-
-      let transactionsToMine = [coinbase, ...unconfirmedTxs];
-
-      const lastBlocks = await this.db.getBlocks(0, 1, -1);
-      const lastBlock = lastBlocks.length > 0 ? lastBlocks[0] : null;
 
-      const txIds = transactionsToMine.map((tx) => tx._id);
+      const txIds = [coinbase._id, ...template.transactions.map((tx) => tx._id)];
       const blockCandidate = {
           _id: null,
-          previous: lastBlock ? lastBlock._id : null,
+          previous: template.previous,
+          height: template.height,
+          timestamp: Math.max(Date.now(), template.medianTimePast + 1),
+          difficulty: template.difficulty,
           root: utils.getMerkleRoot(txIds),
           nonce: null,
       };
-      const minedBlock = common.findNonce(blockCandidate, this.difficulty);
-      minedBlock._id = utils.getBlockHash(minedBlock);
+      return { block: blockCandidate, coinbase, transactions: template.transactions.map(tx => tx._id) };
+  }
+
+}
+
+/**
+ * throws a ClientError if the unsigned transaction is malformed
+ * (inputs and outputs must be consistent, the fee must be the difference between the inputs and the outputs
+ * and each input path must belong to the transaction's account)
+ * @param {object} unsigned - the unsigned transaction {account, transaction, inputs, fee}
+ */
+export function checkUnsignedTransaction(unsigned) {
+  if (!unsigned || typeof unsigned !== "object" || !unsigned.transaction) {
+    throw new ClientError("Malformed unsigned transaction");
+  }
+  const { account, transaction, inputs, fee } = unsigned;
+  if (!Number.isInteger(account) || account < 0) {
+    throw new ClientError("Invalid account in unsigned transaction");
+  }
+  if (!Array.isArray(transaction.signatures) || transaction.signatures.length !== 0) {
+    throw new ClientError("The transaction has already been signed");
+  }
+  if (!Array.isArray(inputs) || !Array.isArray(transaction.utxoIns) || inputs.length === 0 || inputs.length !== transaction.utxoIns.length) {
+    throw new ClientError("Mismatch between the transaction inputs and their description");
+  }
+  let totalInput = 0;
+  inputs.forEach(function (input, i) {
+    if (!input || input.address !== transaction.utxoIns[i]) {
+      throw new ClientError(`Input ${i} does not match the transaction`);
+    }
+    if (!Number.isInteger(input.amount) || input.amount <= 0) {
+      throw new ClientError(`Invalid amount for input ${input.address}`);
+    }
+    let path;
+    try {
+      path = common.parseDerivationPath(input.path);
+    } catch (err) {
+      throw new ClientError(`Invalid derivation path ${input.path}`);
+    }
+    if (path.account !== account) {
+      throw new ClientError(`Input ${input.address} does not belong to account ${account}`);
+    }
+    totalInput += input.amount;
+  });
+  checkTransactionParams(transaction);
+  const totalOutput = transaction.utxoOuts.reduce((sum, utxo) => sum + utxo.amount, 0);
+  if (totalOutput > totalInput || fee !== totalInput - totalOutput) {
+    throw new ClientError(`Invalid transaction fee ${fee} (inputs: ${totalInput}, outputs: ${totalOutput})`);
+  }
+}
 
-      for (const tx of unconfirmedTxs) {
-          tx.block = minedBlock._id;
+/**
+ * throws a ClientError if the signed transaction is malformed
+ * (each input must be signed and the _id must be the hash of the transaction)
+ * @param {object} tx - the signed transaction
+ */
+export function checkSignedTransaction(tx) {
+  if (!tx || typeof tx !== "object") {
+    throw new ClientError("Malformed signed transaction");
+  }
+  checkTransactionParams(tx);
+  if (!Array.isArray(tx.signatures) || tx.signatures.length !== tx.utxoIns.length) {
+    throw new ClientError("Mismatch between number of UTXO inputs and signatures");
+  }
+  const txHash = utils.getTransactionHash({ ...tx, signatures: [] });
+  tx.utxoIns.forEach(function (address, i) {
+    let isValid;
+    try {
+      if (utils.isMultisigAddress(address)) {
+        const { m } = utils.decodeMultisigAddress(address);
+        const count = common.countMultisigSignatures(txHash, address, tx.signatures[i]);
+        if (count >= 0 && count < m) {
+          throw new ClientError(`UTXO ${address} requires ${m} signatures but only ${count} were given`);
+        }
+        isValid = count >= m;
+      } else {
+        isValid = common.verifySignature(txHash, address, tx.signatures[i]);
       }
-      return { block: minedBlock, coinbase, transactions: unconfirmedTxs.map(tx => tx._id) };
+    } catch (err) {
+      if (err.name === "ClientError") throw err;
+      isValid = false;
+    }
+    if (!isValid) throw new ClientError(`Invalid signature for UTXO ${address}`);
+  });
+  if (tx._id !== utils.getTransactionHash(tx)) {
+    throw new ClientError("The transaction _id does not match its content");
   }
+}
+
+/**
+ * throws a ClientError if the partially signed multisig transaction is malformed
+ * (each input must be a child address of the multisig address, the fee must be the difference between the inputs and the outputs
+ * and the signatures that are already given must be valid)
+ * @param {object} partial - the partially signed transaction {multisig, transaction, inputs, fee}
+ */
+export function checkPartialTransaction(partial) {
+  if (!partial || typeof partial !== "object" || !partial.transaction) {
+    throw new ClientError("Malformed partially signed transaction");
+  }
+  const { multisig, transaction, inputs, fee } = partial;
+  try {
+    utils.decodeMultisigAddress(multisig);
+  } catch (err) {
+    throw new ClientError(`Invalid multisig address ${multisig}`);
+  }
+  if (!Array.isArray(inputs) || !Array.isArray(transaction.utxoIns) || inputs.length === 0 || inputs.length !== transaction.utxoIns.length) {
+    throw new ClientError("Mismatch between the transaction inputs and their description");
+  }
+  if (!Array.isArray(transaction.signatures) || transaction.signatures.length !== inputs.length) {
+    throw new ClientError("Mismatch between number of UTXO inputs and signatures");
+  }
+  checkTransactionParams(transaction);
+  const txHash = utils.getTransactionHash({ ...transaction, signatures: [] });
+  let totalInput = 0;
+  inputs.forEach(function (input, i) {
+    if (!input || input.address !== transaction.utxoIns[i]) {
+      throw new ClientError(`Input ${i} does not match the transaction`);
+    }
+    if (!Number.isInteger(input.amount) || input.amount <= 0) {
+      throw new ClientError(`Invalid amount for input ${input.address}`);
+    }
+    if (!Number.isInteger(input.childIndex) || input.childIndex < 0 || common.getChildAddress(multisig, input.childIndex) !== input.address) {
+      throw new ClientError(`Input ${input.address} does not belong to ${multisig}`);
+    }
+    if (common.countMultisigSignatures(txHash, input.address, transaction.signatures[i]) < 0) {
+      throw new ClientError(`Invalid signature for UTXO ${input.address}`);
+    }
+    totalInput += input.amount;
+  });
+  const totalOutput = transaction.utxoOuts.reduce((sum, utxo) => sum + utxo.amount, 0);
+  if (totalOutput > totalInput || fee !== totalInput - totalOutput) {
+    throw new ClientError(`Invalid transaction fee ${fee} (inputs: ${totalInput}, outputs: ${totalOutput})`);
+  }
+  if (transaction._id !== utils.getTransactionHash(transaction)) {
+    throw new ClientError("The transaction _id does not match its content");
+  }
+}
+
+/**
+ * returns the multisig address that requires m signatures out of the given cosigners' receiving keys
+ * (the keys are sorted so that the address does not depend on the order in which the cosigners are listed)
+ * @param {number} m - the number of required signatures
+ * @param {array<string>} keys - the cosigners' receiving addresses (i.e public keys)
+ */
+export function createMultisigAddress(m, keys) {
+  if (!Array.isArray(keys) || keys.length === 0 || keys.length > 15) {
+    throw new ClientError("A multisig address needs between 1 and 15 keys");
+  }
+  if (!Number.isInteger(m) || m < 1 || m > keys.length) {
+    throw new ClientError(`Invalid number of signatures ${m} out of ${keys.length} keys`);
+  }
+  if (new Set(keys).size !== keys.length) {
+    throw new ClientError("Duplicate cosigner key");
+  }
+  for (const key of keys) {
+    let isPublic;
+    try {
+      isPublic = common.getChildKeys(key, 0).privateKey === undefined;
+    } catch (err) {
+      isPublic = false;
+    }
+    if (!isPublic) throw new ClientError(`Invalid cosigner key ${key}`);
+  }
+  return utils.encodeMultisigAddress(m, [...keys].sort());
+}
+
+// checks the inputs and outputs shared by unsigned and signed transactions
+function checkTransactionParams(tx) {
+  if (!Array.isArray(tx.utxoIns) || tx.utxoIns.length === 0 || !Array.isArray(tx.utxoOuts) || tx.utxoOuts.length === 0) {
+    throw new ClientError("The transaction must have inputs and outputs");
+  }
+  if (new Set(tx.utxoOuts.map((utxo) => utxo && utxo.address)).size !== tx.utxoOuts.length) {
+    throw new ClientError("Duplicate UTXO output");
+  }
+  for (const utxo of tx.utxoOuts) {
+    if (!utxo || typeof utxo.address !== "string" || !Number.isInteger(utxo.amount) || utxo.amount <= 0) {
+      throw new ClientError("Invalid UTXO output");
+    }
+    if ("lock" in utxo && !(Number.isInteger(utxo.lock) && utxo.lock >= 0)) {
+      throw new ClientError(`Invalid relative lock for UTXO ${utxo.address}`);
+    }
+  }
+  if ("lockTime" in tx && !(Number.isInteger(tx.lockTime) && tx.lockTime >= 0)) {
+    throw new ClientError(`Invalid lock time ${tx.lockTime}`);
+  }
+}
 
+// copies the fields of a utxo that are committed in the transaction hash
+function copyUtxo({ address, amount, lock }) {
+  return lock ? { address, amount, lock } : { address, amount };
 }
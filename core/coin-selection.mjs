@@ -0,0 +1,100 @@
+/* Copyright (C) 2023 Thierry Sans - All Rights Reserved
+ */
+
+/*
+ * each strategy takes the list of spendable utxos (as returned by DotcoinClient.getSpendableUtxos)
+ * and the amount to cover, and returns the selected utxos or null if the utxos cannot cover the amount
+ */
+
+function total(utxos) {
+  return utxos.reduce((sum, utxo) => sum + utxo.amount, 0);
+}
+
+function accumulate(utxos, target) {
+  const selected = [];
+  let sum = 0;
+  for (const utxo of utxos) {
+    if (sum >= target) break;
+    selected.push(utxo);
+    sum += utxo.amount;
+  }
+  return sum >= target ? selected : null;
+}
+
+/**
+ * selects the utxos in the order they are found when walking the child indexes
+ * @param {array<object>} utxos - the spendable utxos
+ * @param {number} target - the amount to cover
+ */
+export function inOrder(utxos, target) {
+  return accumulate(utxos, target);
+}
+
+/**
+ * selects the largest utxos first (fewest inputs)
+ * @param {array<object>} utxos - the spendable utxos
+ * @param {number} target - the amount to cover
+ */
+export function largestFirst(utxos, target) {
+  return accumulate([...utxos].sort((a, b) => b.amount - a.amount), target);
+}
+
+/**
+ * selects the smallest utxos first (consolidates dust)
+ * @param {array<object>} utxos - the spendable utxos
+ * @param {number} target - the amount to cover
+ */
+export function smallestFirst(utxos, target) {
+  return accumulate([...utxos].sort((a, b) => a.amount - b.amount), target);
+}
+
+/**
+ * searches (depth-first, with a bounded number of tries) for a set of utxos that matches the amount exactly
+ * so that the transaction needs no change output
+ * falls back to largest-first when there is no exact match
+ * @param {array<object>} utxos - the spendable utxos
+ * @param {number} target - the amount to cover
+ */
+export function branchAndBound(utxos, target) {
+  const sorted = [...utxos].sort((a, b) => b.amount - a.amount);
+  const remaining = []; // remaining[i] is the total of the utxos from index i
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    remaining[i] = sorted[i].amount + (remaining[i + 1] || 0);
+  }
+  let tries = 100000;
+  const selected = [];
+  function search(index, sum) {
+    if (sum === target) return true;
+    if (index >= sorted.length || sum > target) return false;
+    if (sum + remaining[index] < target || --tries < 0) return false;
+    selected.push(sorted[index]);
+    if (search(index + 1, sum + sorted[index].amount)) return true;
+    selected.pop();
+    return search(index + 1, sum);
+  }
+  if (search(0, 0)) return selected;
+  return largestFirst(utxos, target);
+}
+
+/**
+ * avoids linking the receive and change branches together by spending utxos from a single branch
+ * (the branch that covers the amount with the fewest inputs), mixing them only as a last resort
+ * @param {array<object>} utxos - the spendable utxos
+ * @param {number} target - the amount to cover
+ */
+export function privacy(utxos, target) {
+  const candidates = ["receive", "change"]
+    .map((type) => largestFirst(utxos.filter((utxo) => utxo.type === type), target))
+    .filter((selection) => selection !== null)
+    .sort((a, b) => a.length - b.length || total(a) - total(b));
+  if (candidates.length > 0) return candidates[0];
+  return largestFirst(utxos, target);
+}
+
+export const strategies = {
+  "in-order": inOrder,
+  "largest-first": largestFirst,
+  "smallest-first": smallestFirst,
+  "branch-and-bound": branchAndBound,
+  privacy,
+};
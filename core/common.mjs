@@ -3,7 +3,7 @@
 
 import { generateMnemonic, mnemonicToSeed } from "@scure/bip39";
 import { wordlist } from "@scure/bip39/wordlists/english";
-import { HDKey } from "@scure/bip32";
+import { HDKey, HARDENED_OFFSET } from "@scure/bip32";
 import { randomBytes } from "crypto";
 import { keccak_256 } from "@noble/hashes/sha3";
 import { base58check } from "@scure/base";
@@ -19,6 +19,37 @@ export function createMnemonic() {
     return generateMnemonic(wordlist,128); // this is for 12 words
 }
 
+/**
+ * returns the account key pair (public and private) for the given wallet's account
+ * the receiving and changing keys are the children 1 and 0 of the account key
+ * so that the account public key is enough to derive all the account's addresses
+ * @param {string} mnemonic - the wallet's mnemonic phrase
+ * @param {number} account - the wallet account index
+ */
+export async function getAccountKeys(mnemonic, account) {
+    const seed = await mnemonicToSeed(mnemonic);
+    const root = HDKey.fromMasterSeed(seed);
+    const accountKey = root.derive(`m/44'/1'/${account}'`);
+    return {
+        privateKey: accountKey.privateExtendedKey,
+        publicKey: accountKey.publicExtendedKey,
+    };
+}
+
+/**
+ * returns the account index as well as the receiving and changing public keys for the given account public key
+ * @param {string} accountKey - base58-encoded account public key (as returned by getAccountKeys)
+ */
+export function getWatchKeys(accountKey) {
+    const key = HDKey.fromExtendedKey(accountKey);
+    return {
+        depth: key.depth,
+        account: key.index - HARDENED_OFFSET,
+        receive: getChildKeys(key.publicExtendedKey, 1),
+        change: getChildKeys(key.publicExtendedKey, 0),
+    };
+}
+
 /**
  * returns the receiving key for the given wallet's account
  * @param {string} mnemonic - the wallet's mnemonic phrase
@@ -53,6 +84,31 @@ export async function getChangeKeys(mnemonic, account) {
 
 }
 
+/**
+ * returns the derivation path of an account address (e.g m/44'/1'/0'/1/3 for the 4th receiving address of account 0)
+ * @param {number} account - the wallet account index
+ * @param {string} type - the branch of the address (receive or change)
+ * @param {number} childIndex - the child key index
+ */
+export function getDerivationPath(account, type, childIndex) {
+    return `m/44'/1'/${account}'/${type === "receive" ? 1 : 0}/${childIndex}`;
+}
+
+/**
+ * returns the {account, type, childIndex} of a derivation path (as returned by getDerivationPath)
+ * throws an error if the path is not the path of an account address
+ * @param {string} path - the derivation path
+ */
+export function parseDerivationPath(path) {
+    const match = /^m\/44'\/1'\/(\d+)'\/([01])\/(\d+)$/.exec(path);
+    if (!match) throw new Error(`Invalid derivation path ${path}`);
+    return {
+        account: parseInt(match[1]),
+        type: match[2] === "1" ? "receive" : "change",
+        childIndex: parseInt(match[3]),
+    };
+}
+
 /**
  * returns the child key(s) for the given parent's key
  * if the parent's key is a public key, it returns the child public key only {publicKey: ...}
@@ -75,6 +131,18 @@ export function getChildKeys(key, index) {
     }
 }
 
+/**
+ * returns the child address of a parent address
+ * for a multisig address, the child address requires m signatures out of the children of the cosigners' keys
+ * @param {string} address - base58-encoded public key or multisig address
+ * @param {number} index - the child key index
+ */
+export function getChildAddress(address, index) {
+    if (!utils.isMultisigAddress(address)) return getChildKeys(address, index).publicKey;
+    const { m, keys } = utils.decodeMultisigAddress(address);
+    return utils.encodeMultisigAddress(m, keys.map((key) => getChildKeys(key, index).publicKey));
+}
+
 /**
  * returns the base58-encoded signature for a given hash
  * @param {string} hash - base58-encoded hash
@@ -100,25 +168,201 @@ export function verifySignature(hash, publicKey, sig) {
     return isValid;
   }
 
+/**
+ * returns the number of valid signatures of a multisig input (or -1 if any given signature is invalid)
+ * the signatures are listed in the order of the keys of the multisig address (null for a missing signature)
+ * @param {string} hash - base58-encoded hash
+ * @param {string} address - the multisig address
+ * @param {array<string>} signatures - base58-encoded signatures
+ */
+export function countMultisigSignatures(hash, address, signatures) {
+    const { keys } = utils.decodeMultisigAddress(address);
+    if (!Array.isArray(signatures) || signatures.length !== keys.length) return -1;
+    let count = 0;
+    for (let i = 0; i < keys.length; i++) {
+        if (signatures[i] === null) continue;
+        if (typeof signatures[i] !== "string" || !verifySignature(hash, keys[i], signatures[i])) return -1;
+        count++;
+    }
+    return count;
+}
+
+/**
+ * lock times below this value are block heights, the others are timestamps (in milliseconds)
+ */
+export const LOCKTIME_THRESHOLD = 500000000;
+
+/**
+ * returns the {height, timestamp} from which a transaction can be confirmed
+ * i.e the height of the block and the median time past of its parent that satisfy both
+ * the absolute lock time of the transaction and the relative locks (in blocks) of the outputs it spends
+ * @param {object} tx - the transaction
+ * @param {number} pendingHeight - the height assumed for the inputs that are not confirmed yet
+ * @param {function} getInputs - async function that retrieves the utxo spent by each input of a transaction (see DatabaseRead.getInputs)
+ * @param {function} getBlock - async function that retrieves a block given its hash
+ */
+export async function getLockedUntil(tx, pendingHeight, getInputs, getBlock) {
+    let height = 0;
+    let timestamp = 0;
+    if (tx.lockTime) {
+        if (tx.lockTime < LOCKTIME_THRESHOLD) height = tx.lockTime;
+        else timestamp = tx.lockTime;
+    }
+    for (const utxo of await getInputs(tx)) {
+        if (!utxo || !utxo.lock) continue;
+        const block = utxo.block ? await getBlock(utxo.block) : null;
+        const confirmed = block ? block.height : pendingHeight;
+        height = Math.max(height, confirmed + utxo.lock);
+    }
+    return { height, timestamp };
+}
+
+/**
+ * returns true if the transaction can be confirmed by a block of the given height
+ * @param {object} tx - the transaction
+ * @param {number} height - the height of the block
+ * @param {number} medianTimePast - the median time past of the block's parent
+ * @param {function} getInputs - async function that retrieves the utxo spent by each input of a transaction (see DatabaseRead.getInputs)
+ * @param {function} getBlock - async function that retrieves a block given its hash
+ */
+export async function isFinal(tx, height, medianTimePast, getInputs, getBlock) {
+    const lockedUntil = await getLockedUntil(tx, height, getInputs, getBlock);
+    return height >= lockedUntil.height && medianTimePast >= lockedUntil.timestamp;
+}
+
+/**
+ * returns the nonce (base58-encoded) of a nonce counter
+ * @param {number} counter - the nonce counter
+ */
+export function encodeNonce(counter) {
+    return base58.encode(utils.stringToUint8Array(counter.toString()));
+}
+
+/**
+ * returns the nonce counter of a nonce (base58-encoded)
+ * @param {string} nonce - the nonce
+ */
+export function decodeNonce(nonce) {
+    return parseInt(new TextDecoder().decode(base58.decode(nonce)));
+}
+
+/**
+ * returns the first nonce counter among start, start + step, start + 2 * step... (count of them)
+ * for which the block hash satisfies the difficulty (or null if there is none)
+ * the header bytes are computed once and the hash is checked without being encoded
+ * @param {object} block - the block candidate (its nonce is ignored)
+ * @param {number} difficulty - the number of leading zero bits of the block _id
+ * @param {number} start - the first nonce counter
+ * @param {number} step - the gap between two nonce counters (i.e the number of threads sharing the nonce space)
+ * @param {number} count - the number of nonce counters to try
+ */
+export function searchNonce(block, difficulty, start, step, count) {
+    const header = utils.getHeaderBytes(block);
+    for (let i = 0, counter = start; i < count; i++, counter += step) {
+        const nonce = utils.stringToUint8Array(counter.toString());
+        const input = new Uint8Array(header.length + nonce.length);
+        input.set(header);
+        input.set(nonce, header.length);
+        if (utils.countLeadingZeroBits(keccak_256(input)) >= difficulty) return counter;
+    }
+    return null;
+}
+
 /**
  * returns the complete block data that includes a valid nonce that matches the difficulty and the block _id
- * @param {object} block - incomplete block that includes the previous block _id, the merkle root hash and the timestamp
- * @param {number} difficulty - the number of '1' that should prefix the block _id;
+ * (the search is single-threaded and blocks the event loop, see MiningEngine for the multi-threaded one)
+ * @param {object} block - incomplete block that includes the previous block _id, the height, the timestamp, the difficulty and the merkle root hash
+ * @param {number} difficulty - the number of leading zero bits of the block _id
  */
 export function findNonce(block, difficulty) {
-    const prefix = "1".repeat(difficulty);
-    let nonce = 0;
-
-    while (true) {
-        const nonceArray = new Uint8Array([...(nonce.toString())].map(c => c.charCodeAt(0)));
-        block.nonce = base58.encode(nonceArray); 
-        const blockId = utils.getBlockHash(block);
-        if (blockId.startsWith(prefix)) {
-            block._id = blockId;
-            return block;
+    const counter = searchNonce(block, difficulty, 0, 1, Infinity);
+    block.nonce = encodeNonce(counter);
+    block._id = utils.getBlockHash(block);
+    return block;
+}
+
+/**
+ * returns the template of the next block: its parent, height, difficulty, the median time past that its timestamp must exceed,
+ * the coinbase value (the coinbase amount plus the fees) and the ordered list of transactions that it should confirm
+ * the transactions are taken in the order they entered the transaction pool (so that a transaction always comes after the ones it spends)
+ * skipping the non-final ones (and the ones that depend on them) until the block is full (limit includes the coinbase)
+ * @param {object} tip - the tip of the main chain (or null)
+ * @param {array<object>} pending - the unconfirmed transactions (oldest first)
+ * @param {function} getInputs - async function that retrieves the utxo spent by each input of a transaction (see DatabaseRead.getInputs)
+ * @param {function} getBlock - async function that retrieves a block given its hash
+ * @param {object} config - contains the difficulty parameters, the transaction limit and the coinbase amount
+ */
+export async function getBlockTemplate(tip, pending, getInputs, getBlock, config) {
+    const height = tip ? tip.height + 1 : 0;
+    const medianTimePast = await getMedianTimePast(tip, getBlock);
+    const excluded = new Set();
+    const transactions = [];
+    for (const tx of pending) {
+        if (transactions.length >= config.limit - 1) break;
+        let final = await isFinal(tx, height, medianTimePast, getInputs, getBlock);
+        for (const utxo of await getInputs(tx)) {
+            if (utxo && excluded.has(utxo.transaction)) final = false;
         }
-        nonce++;
+        if (final) transactions.push(tx);
+        else excluded.add(tx._id);
     }
+    const fees = transactions.reduce((sum, tx) => sum + (tx.fee || 0), 0);
+    return {
+        previous: tip ? tip._id : null,
+        height,
+        difficulty: await getDifficulty(tip, getBlock, config),
+        medianTimePast,
+        limit: config.limit,
+        reward: config.amount + fees,
+        transactions,
+    };
+}
+
+/**
+ * returns a key that changes whenever a block template changes (new tip or new transactions to confirm)
+ * @param {object} template - the block template
+ */
+export function getTemplateKey(template) {
+    return [template.previous, ...template.transactions.map((tx) => tx._id)].join(",");
 }
 
+/**
+ * returns the median timestamp of the last blocks of a chain (up to 11 blocks)
+ * a new block must have a timestamp strictly greater than the median time past of its parent
+ * @param {object} parent - the block at the top of the chain (or null)
+ * @param {function} getBlock - async function that retrieves a block given its hash
+ */
+export async function getMedianTimePast(parent, getBlock) {
+    const timestamps = [];
+    let block = parent;
+    while (block && timestamps.length < 11) {
+        timestamps.push(block.timestamp);
+        block = block.previous ? await getBlock(block.previous) : null;
+    }
+    if (timestamps.length === 0) return 0;
+    timestamps.sort((a, b) => a - b);
+    return timestamps[Math.floor(timestamps.length / 2)];
+}
 
+/**
+ * returns the difficulty (number of leading zero bits) that the child of a given block must satisfy
+ * the difficulty is retargeted every `interval` blocks so that blocks are mined every `blockTime` seconds
+ * (by at most 2 bits, i.e a factor 4, up or down at each retarget)
+ * @param {object} parent - the parent block (or null for the genesis block)
+ * @param {function} getBlock - async function that retrieves a block given its hash
+ * @param {object} config - contains the initial difficulty (number of '1' prefixing the block _id), the retarget interval and the target block time
+ */
+export async function getDifficulty(parent, getBlock, config) {
+    if (!parent) return 8 * config.difficulty;
+    const height = parent.height + 1;
+    if (height % config.interval !== 0) return parent.difficulty;
+    let first = parent;
+    for (let i = 1; i < config.interval && first.previous; i++) {
+        first = await getBlock(first.previous);
+    }
+    if (first.height === parent.height) return parent.difficulty;
+    const expected = (parent.height - first.height) * config.blockTime * 1000;
+    const actual = Math.max(parent.timestamp - first.timestamp, 1);
+    const adjustment = Math.max(-2, Math.min(2, Math.round(Math.log2(expected / actual))));
+    return Math.max(1, parent.difficulty + adjustment);
+}
@@ -0,0 +1,31 @@
+/* Copyright (C) 2023 Thierry Sans - All Rights Reserved
+ */
+
+import { parentPort } from "worker_threads";
+
+import * as common from "./common.mjs";
+
+// the nonce space is searched by chunks so that the thread can receive a new search (or a stop) in between
+const chunk = 10000;
+
+let job = null;
+
+parentPort.on("message", function (message) {
+  job = message.type === "start" ? { ...message } : null;
+  if (job) setImmediate(search, job);
+});
+
+// searches the next chunk of nonce counters of a search (unless it has been stopped or replaced)
+function search(current) {
+  if (job !== current) return;
+  const counter = common.searchNonce(current.block, current.difficulty, current.start, current.step, chunk);
+  if (counter !== null) {
+    const hashes = (counter - current.start) / current.step + 1;
+    parentPort.postMessage({ type: "found", job: current.job, hashes, counter });
+    job = null;
+    return;
+  }
+  parentPort.postMessage({ type: "progress", job: current.job, hashes: chunk });
+  current.start += chunk * current.step;
+  setImmediate(search, current);
+}
@@ -0,0 +1,103 @@
+/* Copyright (C) 2023 Thierry Sans - All Rights Reserved
+ */
+
+import { Worker } from "worker_threads";
+
+import * as common from "./common.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const workerFile = new URL("./miner-worker.mjs", import.meta.url);
+
+export class MiningEngine {
+  /**
+   * initializes a pool of mining threads that share the nonce space
+   * (thread i tries the nonce counters start + i, start + i + threads, start + i + 2 * threads...)
+   * @param {number} threads - the number of worker threads
+   */
+  constructor(threads = 1) {
+    if (!Number.isInteger(threads) || threads < 1) {
+      throw new Error(`Invalid number of threads ${threads}`);
+    }
+    this.workers = [];
+    for (let i = 0; i < threads; i++) {
+      const worker = new Worker(workerFile);
+      worker.on("message", (message) => this.onMessage(message));
+      worker.on("error", (err) => this.onError(err));
+      this.workers.push(worker);
+    }
+    this.job = 0; // the id of the last search (messages of the previous ones are ignored)
+    this.current = null; // the running search {id, block, resolve, reject}
+    this.hashes = 0; // the number of hashes computed by the last search
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * searches the nonce of a block candidate on all threads and resolves with the complete block
+   * or with null if the search is cancelled (a new search cancels the running one)
+   * @param {object} block - the block candidate (see DotcoinClient.getBlockCandidate)
+   * @param {number} difficulty - the number of leading zero bits of the block _id
+   * @param {number} start - the first nonce counter to try (e.g to resume a search)
+   */
+  mine(block, difficulty, start = 0) {
+    this.cancel();
+    const id = ++this.job;
+    this.hashes = 0;
+    this.startedAt = Date.now();
+    return new Promise((resolve, reject) => {
+      this.current = { id, block: { ...block }, resolve, reject };
+      this.workers.forEach((worker, i) => {
+        worker.postMessage({ type: "start", job: id, block, difficulty, start: start + i, step: this.workers.length });
+      });
+    });
+  }
+
+  /**
+   * stops the running search (if any), which resolves with null
+   */
+  cancel() {
+    if (!this.current) return;
+    const { resolve } = this.current;
+    this.stop();
+    resolve(null);
+  }
+
+  /**
+   * returns the number of hashes per second of the last search
+   */
+  getHashRate() {
+    const elapsed = (Date.now() - this.startedAt) / 1000;
+    return elapsed > 0 ? this.hashes / elapsed : 0;
+  }
+
+  /**
+   * cancels the running search and terminates the threads
+   */
+  async close() {
+    this.cancel();
+    await Promise.all(this.workers.map((worker) => worker.terminate()));
+  }
+
+  onMessage({ type, job, hashes, counter }) {
+    if (!this.current || job !== this.current.id) return;
+    this.hashes += hashes;
+    if (type === "found") {
+      const { block, resolve } = this.current;
+      this.stop();
+      block.nonce = common.encodeNonce(counter);
+      block._id = utils.getBlockHash(block);
+      resolve(block);
+    }
+  }
+
+  onError(err) {
+    if (!this.current) return;
+    const { reject } = this.current;
+    this.stop();
+    reject(err);
+  }
+
+  stop() {
+    this.current = null;
+    for (const worker of this.workers) worker.postMessage({ type: "stop" });
+  }
+}
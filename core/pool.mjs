@@ -0,0 +1,266 @@
+/* Copyright (C) 2023 Thierry Sans - All Rights Reserved
+ */
+
+import { join } from "path";
+import AsyncLock from "async-lock";
+
+import { ValidationError } from "./server.mjs";
+import * as utils from "../utils/utils.mjs";
+import * as common from "./common.mjs";
+import { openCollection } from "../database/storage.mjs";
+import {
+  addElement,
+  getElement,
+  getElements,
+  updateElement,
+  updateElements,
+  removeElements,
+} from "../database/database-core.mjs";
+
+// each work request gets its own range of nonce counters so that miners do not search the same nonces
+const RANGE = 2 ** 32;
+// the jobs, the ranges and the shares are changed under this lock (see getWork and submitShare)
+const JOBS = "jobs";
+
+export class DotcoinPool {
+  /**
+   * initializes a mining pool on top of a node
+   * miners search blocks at a lower difficulty (shares) and the coinbase of the blocks found is paid out
+   * to the miners proportionally to the work of the shares they submitted since the previous block (a round)
+   * the shares of the current round and the closed rounds are stored in the .pool directory of the node's database
+   * @param {object} network - the DotcoinNetwork of the node (blocks and payouts are relayed to its peers)
+   * @param {object} client - the pool's wallet (it receives the coinbase and pays the miners)
+   * @param {object} config - contains the pool's wallet account, the share difficulty (number of leading zero bits) and the pool fee (in percent)
+   */
+  constructor(network, client, config = {}) {
+    this.network = network;
+    this.server = network.server;
+    this.client = client;
+    this.account = config.account || 0;
+    this.shareDifficulty = config.shareDifficulty || 4;
+    this.fee = config.fee || 0;
+    this.jobs = new Map(); // the current job (it replaces the previous ones): id -> {block, coinbase, transactions, difficulty, next, ranges}
+    this.jobCount = 0;
+    this.template = null; // the key of the last template (see getTemplateKey)
+    this.submitted = new Set(); // the shares (job:nonce) already submitted
+    this.shares = new Map(); // the work of the current round: miner address -> work
+    this.rounds = []; // the rounds closed by a block: {block, reward, shares, payout}
+    const path = join(this.server.path, ".pool");
+    this.shareCollection = openCollection(this.server.storage, path, "shares", ["round"]);
+    this.roundCollection = openCollection(this.server.storage, path, "rounds");
+    this.lock = new AsyncLock();
+  }
+
+  /**
+   * loads the shares of the current round and the closed rounds, then pays the rounds that have not been paid yet
+   */
+  async load() {
+    // the shares of a round whose block was found while the round was being closed
+    const closing = await getElements(this.shareCollection, { round: { $ne: null } }, 0, Number.MAX_SAFE_INTEGER, 1);
+    for (const [round, reward] of new Map(closing.map(({ round, reward }) => [round, reward]))) {
+      await this.closeRound(round, reward);
+    }
+    this.rounds = (await getElements(this.roundCollection, {}, 0, Number.MAX_SAFE_INTEGER, 1)).map(toRound);
+    this.shares = sumShares(await getElements(this.shareCollection, { round: null }, 0, Number.MAX_SAFE_INTEGER, 1));
+    await this.payout();
+  }
+
+  /**
+   * closes the collections
+   */
+  close() {
+    this.shareCollection.close();
+    this.roundCollection.close();
+  }
+
+  /**
+   * returns a job for a miner: the block candidate (without its nonce), the share difficulty and the range of nonce counters to search
+   * a new job is created whenever the node's template changes (new tip or new transactions)
+   * and it replaces the previous jobs with their ranges
+   * @param {string} address - the miner's receiving address (its payouts are sent to it)
+   */
+  getWork(address) {
+    return this.lock.acquire(JOBS, () => this.assignWork(address));
+  }
+
+  /**
+   * returns a job for a miner (within the jobs lock)
+   * @param {string} address - the miner's receiving address
+   */
+  async assignWork(address) {
+    checkMinerAddress(address);
+    const template = await this.server.getBlockTemplate();
+    const key = common.getTemplateKey(template);
+    if (key !== this.template) {
+      const { block, coinbase, transactions } = await this.client.getBlockCandidate(this.account, template);
+      this.clearJobs();
+      const id = String(++this.jobCount);
+      this.jobs.set(id, { block, coinbase, transactions, difficulty: template.difficulty, next: 0, ranges: new Map() });
+      this.template = key;
+    }
+    const [[id, job]] = [...this.jobs.entries()].slice(-1);
+    const start = job.next;
+    job.next += RANGE;
+    // a miner can only submit the nonces of the ranges it was given
+    job.ranges.set(address, [...(job.ranges.get(address) || []), start]);
+    return {
+      job: id,
+      block: job.block,
+      difficulty: job.difficulty,
+      shareDifficulty: Math.min(this.shareDifficulty, job.difficulty),
+      start,
+      count: RANGE,
+    };
+  }
+
+  /**
+   * verifies a share and credits its work to the miner (its nonce must belong to a range of nonce counters given to the miner for the job)
+   * when the share meets the network difficulty, the block is submitted to the node and the round is paid out
+   * returns {accepted, block} where block is the _id of the block found (or null)
+   * (the shares are checked and credited one at a time so that a share is never credited twice and no share is lost when a round closes)
+   * @param {object} share - the miner's address, the job and the nonce found
+   */
+  submitShare(share) {
+    return this.lock.acquire(JOBS, () => this.admitShare(share));
+  }
+
+  /**
+   * verifies and credits a share (within the jobs lock)
+   * @param {object} share - the miner's address, the job and the nonce found
+   */
+  async admitShare({ address, job: id, nonce }) {
+    checkMinerAddress(address);
+    const job = this.jobs.get(id);
+    if (!job) throw new ValidationError(`Job ${id} is unknown or stale`);
+    const tip = await this.server.getTip();
+    if ((tip ? tip._id : null) !== job.block.previous) {
+      // the node's tip has moved since the job was created
+      this.clearJobs();
+      throw new ValidationError(`Job ${id} is unknown or stale`);
+    }
+    const key = `${id}:${nonce}`;
+    if (this.submitted.has(key)) throw new ValidationError("Duplicate share");
+    let counter;
+    let hash;
+    try {
+      counter = common.decodeNonce(nonce);
+      hash = utils.getBlockHash({ ...job.block, nonce });
+    } catch (err) {
+      throw new ValidationError("Invalid nonce");
+    }
+    if (!Number.isSafeInteger(counter) || common.encodeNonce(counter) !== nonce) throw new ValidationError("Invalid nonce");
+    const ranges = job.ranges.get(address) || [];
+    if (!ranges.some((start) => counter >= start && counter < start + RANGE)) {
+      throw new ValidationError(`Nonce ${nonce} is outside the ranges given to ${address} for job ${id}`);
+    }
+    const shareDifficulty = Math.min(this.shareDifficulty, job.difficulty);
+    if (utils.getLeadingZeroBits(hash) < shareDifficulty) {
+      throw new ValidationError("Share does not satisfy the share difficulty");
+    }
+    this.submitted.add(key);
+    const work = utils.getWork(shareDifficulty);
+    await addElement(this.shareCollection, { _id: hash, address, work, round: null });
+    this.shares.set(address, (this.shares.get(address) || 0) + work);
+    if (utils.getLeadingZeroBits(hash) < job.difficulty) return { accepted: true, block: null };
+    // the share is a block: the jobs are stale from now on and the round is closed
+    this.clearJobs();
+    const block = { ...job.block, nonce, _id: hash };
+    await this.network.acceptBlock({ block, coinbase: job.coinbase, transactions: job.transactions });
+    // the shares are marked with their round first so that load can close the round again after a crash
+    const reward = job.coinbase.utxoOuts[0].amount;
+    await updateElements(this.shareCollection, { round: null }, { $set: { round: hash, reward } });
+    this.shares = new Map();
+    await this.closeRound(hash, reward);
+    await this.payout();
+    return { accepted: true, block: hash };
+  }
+
+  /**
+   * records the round closed by a block from its shares, then removes them
+   * @param {string} block - the _id of the block found
+   * @param {number} reward - the coinbase amount of the block
+   */
+  async closeRound(block, reward) {
+    if (!(await getElement(this.roundCollection, { _id: block }))) {
+      const shares = await getElements(this.shareCollection, { round: block }, 0, Number.MAX_SAFE_INTEGER, 1);
+      const round = { block, reward, shares: Object.fromEntries(sumShares(shares)), payout: null };
+      await addElement(this.roundCollection, { _id: block, ...round });
+      this.rounds.push(round);
+    }
+    await removeElements(this.shareCollection, { round: block });
+  }
+
+  /**
+   * pays the rounds that have not been paid yet with one batch transaction per round
+   * (each miner gets its share of the coinbase minus the pool fee, rounded down)
+   */
+  async payout() {
+    for (const round of this.rounds.filter((round) => !round.payout)) {
+      const total = Object.values(round.shares).reduce((sum, work) => sum + work, 0);
+      const reward = Math.floor((round.reward * (100 - this.fee)) / 100);
+      const recipients = Object.entries(round.shares)
+        .map(([address, work]) => ({ address, amount: Math.floor((reward * work) / total) }))
+        .filter(({ amount }) => amount > 0);
+      if (recipients.length === 0) {
+        await this.setPayout(round, "none");
+        continue;
+      }
+      try {
+        const txParams = await this.client.createBatchTransaction(this.account, recipients);
+        const tx = await this.network.acceptTransaction(txParams);
+        await this.setPayout(round, tx._id);
+      } catch (err) {
+        // the round will be paid with the next one
+        console.log(`Payout of block ${round.block} failed: ${err.message}`);
+      }
+    }
+  }
+
+  // records the payout of a round (the _id of its batch transaction, or none)
+  async setPayout(round, payout) {
+    round.payout = payout;
+    await updateElement(this.roundCollection, { _id: round.block }, { $set: { payout } });
+  }
+
+  /**
+   * drops the jobs (when they are stale) so that the next work request creates a new one
+   */
+  clearJobs() {
+    this.jobs.clear();
+    this.submitted.clear();
+    this.template = null;
+  }
+
+  /**
+   * returns the share difficulty, the pool fee, the work of each miner in the current round and the closed rounds
+   */
+  getStats() {
+    return {
+      shareDifficulty: this.shareDifficulty,
+      fee: this.fee,
+      shares: Object.fromEntries(this.shares),
+      rounds: [...this.rounds],
+    };
+  }
+}
+
+// throws a ValidationError if the miner's address cannot receive payouts
+function checkMinerAddress(address) {
+  try {
+    common.getChildAddress(address, 0);
+  } catch (err) {
+    throw new ValidationError(`Invalid miner address ${address}`);
+  }
+}
+
+// returns the work of each miner of the given shares (miner address -> work)
+function sumShares(shares) {
+  const result = new Map();
+  for (const { address, work } of shares) result.set(address, (result.get(address) || 0) + work);
+  return result;
+}
+
+// a stored round without its _id (the _id is the block)
+function toRound({ block, reward, shares, payout }) {
+  return { block, reward, shares, payout };
+}
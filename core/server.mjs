@@ -1,11 +1,18 @@
 /* Copyright (C) 2023 Thierry Sans - All Rights Reserved
  */
 
+import { EventEmitter } from "events";
+import AsyncLock from "async-lock";
+
+import { DatabaseView } from "../database/database-view.mjs";
 import { DatabaseWrite } from "../database/database-write.mjs";
 
 import * as utils from "../utils/utils.mjs";
 import * as common from "./common.mjs";
 
+// the changes to the database (transaction admission, block connection and expiry) are serialized through this lock
+const WRITE = "write";
+
 export class ValidationError extends Error {
   constructor(message) {
     super(message);
@@ -16,125 +23,137 @@ export class ValidationError extends Error {
 export class DotcoinServer {
   /**
    * initializes the Dotcoin server
-   * @param {object} config - contains the mnemonic, the mining difficulty, the transaction limit, the coinbase amount and the NeDB path
+   * @param {object} config - contains the mining difficulty and its retargeting parameters, the transaction limit, the coinbase amount, the transaction pool expiry the database path and its storage backend
    */
   constructor(config) {
-    this.difficulty = config.difficulty || 1;
+    this.difficulty = config.difficulty || 1; // initial mining difficulty (number of '1' prefixing the block _id)
+    this.interval = config.interval || 10; // the difficulty is retargeted every 10 blocks
+    this.blockTime = config.blockTime || 60; // target time between blocks (in seconds)
+    this.drift = config.drift || 7200; // how far in the future a block timestamp can be (in seconds)
     this.limit = config.limit || 1024; // each block can have up to 2^10 transactions (including coinbase)
     this.amount = config.amount || 100; // coinbase amount
+    this.expiry = config.expiry || 100; // pending transactions expire after 100 blocks
+    this.expiryAge = config.expiryAge || 86400; // or after a day (in seconds)
+    this.poolSize = config.poolSize || 8192; // the transaction pool holds up to 2^13 pending transactions
     this.path = config.path || "data";
-    this.db = new DatabaseWrite(this.path);
+    this.storage = config.storage || "nedb"; // storage backend (see database/storage.mjs)
+    this.db = new DatabaseWrite(this.path, true, this.storage);
+    this.lock = new AsyncLock();
+    this.events = new EventEmitter(); // emits "transaction", "block" and "reorg" once the changes are committed
+  }
+
+  /**
+   * applies again the changes interrupted by a crash and releases the utxos spent by transactions that do not exist
+   * (should be called on startup, see DatabaseWrite.recover)
+   */
+  recover() {
+    return this.lock.acquire(WRITE, () => this.db.recover());
   }
 
   /**
    * verifies (!!) and adds a transaction to the transaction pool
+   * (transactions are added one at a time so that two of them cannot spend the same utxo)
    * @param {object} txParams - the transaction data
    */
-  async addTransaction(txParams) {
-    // Check that the number of signatures matches the number of UTXO inputs.
-    if (txParams.utxoIns.length !== txParams.signatures.length) {
-      throw new ValidationError(
-        `Mismatch between number of UTXO inputs and signatures.`
-      );
+  addTransaction(txParams) {
+    return this.lock.acquire(WRITE, () => this.admitTransaction(txParams));
+  }
+
+  /**
+   * verifies and adds a transaction to the transaction pool (within the write lock)
+   * (the transactions given in full with a block are verified when the block is connected, see getConnectChanges)
+   * @param {object} txParams - the transaction data
+   */
+  async admitTransaction(txParams) {
+    checkTransactionId(txParams);
+    if (await this.db.getTransaction(txParams._id)) {
+      throw new ValidationError(`Transaction ${txParams._id} already exists`);
     }
-  
-    // recalc transaction hash for validation (without signatures)
-    const txWithoutSignatures = { ...txParams, signatures: [] };
-    const txHash = utils.getTransactionHash(txWithoutSignatures);
-  
-    // check UTXO inputs, check for dup, and verify sig
-    const seenInputs = new Set();
-    for (const utxoIn of txParams.utxoIns) {
-      if (seenInputs.has(utxoIn)) {
-        throw new ValidationError(`Duplicate UTXO input detected: ${utxoIn}`);
-      }
-      seenInputs.add(utxoIn);
-  
-      const utxo = await this.db.getUtxo(utxoIn);
-      if (!utxo) {
-        throw new ValidationError(
-          `UTXO ${utxoIn} is not confirmed or does not exist.`
-        );
-      }
-  
-      const signatureIndex = txParams.utxoIns.indexOf(utxoIn);
-      const signature = txParams.signatures[signatureIndex];
-      const derivedKey = utxo.address;
-  
-      const isValid = common.verifySignature(txHash, derivedKey, signature);
-      if (!isValid) {
-        throw new ValidationError(`Invalid signature for UTXO ${utxoIn}`);
-      }
+    // the pool is capped since transactions locked far in the future can wait in it for long (and each block template reads it)
+    if ((await this.db.getUnconfirmedTransactionIds()).length >= this.poolSize) {
+      throw new ValidationError(`Transaction pool is full (${this.poolSize} pending transactions)`);
     }
   
-    const addresses = new Set();
-    for (const utxoOut of txParams.utxoOuts) {
-      if (addresses.has(utxoOut.address)) {
+    // check UTXO inputs
+    // (an address given several times as input spends as many of its utxos, see DatabaseRead.getInputs)
+    const inputs = await this.db.getInputs(txParams);
+    for (const [i, utxoIn] of txParams.utxoIns.entries()) {
+      if (!inputs[i]) {
         throw new ValidationError(
-          `Duplicate address found in outputs: ${utxoOut.address}`
+          `UTXO ${utxoIn} is not confirmed or does not exist.`
         );
       }
-      addresses.add(utxoOut.address);
-      if (!utxoOut.amount || utxoOut.amount <= 0) {
+      if (inputs[i].txIn) {
         throw new ValidationError(
-          `Invalid amount for address ${utxoOut.address}: Amount must be greater than 0.`
+          `UTXO ${utxoIn} has already been spent by transaction ${inputs[i].txIn}`
         );
       }
     }
-  
-    //total inputs cover total outputs.
-    let totalInput = 0;
-    for (const utxoIn of txParams.utxoIns) {
-      const utxo = await this.db.getUtxo(utxoIn);
-      if (utxo) {
-        totalInput += utxo.amount;
-      }
-    }
-    const totalOutput = txParams.utxoOuts.reduce(
-      (sum, utxoOut) => sum + utxoOut.amount,
-      0
-    );
-    if (totalInput < totalOutput) {
-      throw new ValidationError(
-        `Insufficient input amount: total inputs ${totalInput} is less than total outputs ${totalOutput}.`
-      );
-    }
-  
-    // Mark UTXOs as spent
-    for (const inputAddress of txParams.utxoIns) {
-      try {
-        await this.db.spendUtxos(txParams._id, [inputAddress]);
-      } catch (err) {
-        console.error(`Error marking UTXO ${inputAddress} as spent:`, err);
-        throw err;
-      }
-    }
+    checkTransaction(txParams, inputs);
   
     // Add transaction to the pool (with block set to null)
-    try {
-      await this.db.addTransaction({ ...txParams, block: null });
-    } catch (err) {
-      console.error(`Error adding transaction ${txHash}:`, err);
-      throw err;
-    }
+    const record = await this.getTransactionRecord(txParams, inputs, (hash) => this.db.getBlock(hash));
+    // the inputs are marked as spent and the transaction is added at once
+    await this.db.commit([
+      { op: "spend", txIn: record._id, utxos: inputs.map((utxo) => utxo._id) },
+      { op: "addTransaction", data: record },
+    ]);
+    const tx = await this.db.getTransaction(record._id);
+    this.events.emit("transaction", tx);
+    return tx;
+  }
+
+  /**
+   * returns the record of a verified transaction as it enters the transaction pool
+   * (a transaction that is not final yet waits in the pool and its expiry starts once it can be confirmed)
+   * @param {object} txParams - the transaction data
+   * @param {array<object>} inputs - the utxo spent by each input of the transaction
+   * @param {function} getBlock - async function that retrieves a block given its hash
+   */
+  async getTransactionRecord(txParams, inputs, getBlock) {
+    const tip = await this.db.getTip();
+    const tipHeight = tip ? tip.height : -1;
+    const lockedUntil = await common.getLockedUntil(txParams, tipHeight + 1, async () => inputs, getBlock);
+    // the height at which a transaction locked until a date becomes final is estimated from the target block time
+    const waitBlocks = Math.ceil(Math.max(0, lockedUntil.timestamp - Date.now()) / (this.blockTime * 1000));
+    const totalInput = inputs.reduce((sum, utxo) => sum + utxo.amount, 0);
+    const totalOutput = txParams.utxoOuts.reduce((sum, utxo) => sum + utxo.amount, 0);
+    const record = {
+      _id: txParams._id,
+      utxoIns: txParams.utxoIns,
+      utxoOuts: txParams.utxoOuts.map(sanitizeUtxo),
+      signatures: txParams.signatures,
+      fee: totalInput - totalOutput, // the surplus goes to the miner
+      entryHeight: Math.max(tipHeight + waitBlocks, lockedUntil.height - 1), // the transaction expires when it stays too long in the pool
+      entryTime: new Date(Math.max(Date.now(), lockedUntil.timestamp)),
+      block: null,
+    };
+    if (txParams.lockTime) record.lockTime = txParams.lockTime;
+    return record;
   }
 
 
   /**
    * verifies (!!) and adds a block to the database
    * it should also verify (!!) add the coinbase transaction and verify (!!) and update all transactions confirmed by the block
+   * blocks on a side branch are kept and the main chain is reorganized when a branch gets more cumulative work
    * @param {object} block - the block data
    * @param {object} coinbase - the block's coinbase transaction
    * @param {array<string>} transactions - the list of transaction _ids (non including the coinbase one) that are confirmed by the block
+   * (a transaction that the node does not have can be given in full, see admitBlock)
    */
-  async addBlock(block, coinbase, transactions) {
+  addBlock(block, coinbase, transactions) {
+    return this.lock.acquire(WRITE, () => this.admitBlock(block, coinbase, transactions));
+  }
+
+  async admitBlock(block, coinbase, transactions) {
     const blockHash = utils.getBlockHash(block);
   
-    // Verify the block's hash
-    if (!blockHash.startsWith("1".repeat(this.difficulty))) {
-      throw new ValidationError("Block hash does not satisfy difficulty");
+    if (await this.db.getBlock(blockHash)) {
+      throw new ValidationError(`Block ${blockHash} already exists`);
     }
 
+    let parent = null;
     if (block.previous) {
       const previousBlock = await this.db.getBlock(block.previous);
       if (!previousBlock) {
@@ -143,10 +162,44 @@ export class DotcoinServer {
       if (previousBlock._id !== block.previous) {
         throw new ValidationError(`Previous block ID mismatch: expected ${block.previous}, got ${previousBlock._id}`);
       }
+      parent = previousBlock;
+    }
+
+    // Verify the block's header
+    const height = parent ? parent.height + 1 : 0;
+    if (block.height !== height) {
+      throw new ValidationError(`Invalid block height: expected ${height}, got ${block.height}`);
+    }
+    const getBlock = (hash) => this.db.getBlock(hash);
+    const difficulty = await common.getDifficulty(parent, getBlock, this);
+    if (block.difficulty !== difficulty) {
+      throw new ValidationError(`Invalid block difficulty: expected ${difficulty}, got ${block.difficulty}`);
+    }
+    if (!Number.isInteger(block.timestamp)) {
+      throw new ValidationError("Invalid block timestamp");
+    }
+    const medianTimePast = await common.getMedianTimePast(parent, getBlock);
+    if (block.timestamp <= medianTimePast) {
+      throw new ValidationError(`Block timestamp ${block.timestamp} is not after the median time past ${medianTimePast}`);
+    }
+    if (block.timestamp > Date.now() + this.drift * 1000) {
+      throw new ValidationError(`Block timestamp ${block.timestamp} is too far in the future`);
+    }
+
+    // Verify the block's hash
+    if (utils.getLeadingZeroBits(blockHash) < difficulty) {
+      throw new ValidationError("Block hash does not satisfy difficulty");
     }
   
+    // Verify the block's size (the limit includes the coinbase transaction)
+    if (transactions.length + 1 > this.limit) {
+      throw new ValidationError(`Block exceeds the limit of ${this.limit} transactions`);
+    }
+
     // fetch transaction
+    // the transactions that the node does not have can be given in full: they are verified and added when the block is connected
     const fetchedTxs = [];
+    const given = []; // the transactions given in full
     for (const txEntry of transactions) {
       let txId;
       if (typeof txEntry === "object" && txEntry !== null && "_id" in txEntry) {
@@ -155,10 +208,14 @@ export class DotcoinServer {
         txId = txEntry;
       }
       const tx = await this.db.getTransaction(txId);
-      if (!tx) {
+      if (tx) {
+        fetchedTxs.push(tx);
+      } else if (typeof txEntry === "object" && Array.isArray(txEntry.utxoIns)) {
+        given.push(txEntry);
+        fetchedTxs.push(txEntry);
+      } else {
         throw new ValidationError(`Transaction ${txId} does not exist`);
       }
-      fetchedTxs.push(tx);
     }
   
     const txHashes = fetchedTxs.map((tx) => {
@@ -174,20 +231,18 @@ export class DotcoinServer {
     if (block.root !== root) {
       throw new ValidationError("Invalid Merkle root");
     }
-  
-    // Verify the coinbase transaction.
+
+    // Verify the coinbase transaction (the fees that it can claim are checked when the block is connected, see getConnectChanges)
     if (
       coinbase.utxoIns.length > 0 ||
       coinbase.utxoOuts.length !== 1 ||
-      coinbase.utxoOuts[0].amount !== this.amount
+      !(coinbase.utxoOuts[0].amount > 0) ||
+      "lock" in coinbase.utxoOuts[0] ||
+      "lockTime" in coinbase
     ) {
       throw new ValidationError("Invalid coinbase transaction");
     }
   
-    // Save the block.
-    block._id = blockHash;
-    await this.db.addBlock(block);
-  
     // to array
     const txIds = transactions.map((txEntry) => {
       if (typeof txEntry === "object" && txEntry !== null && "_id" in txEntry) {
@@ -195,12 +250,422 @@ export class DotcoinServer {
       }
       return txEntry;
     });
-    await this.db.confirmTransactions(block._id, txIds);
-  
-    coinbase.block = block._id;
-    await this.db.addTransaction(coinbase);
+
+    // The block is saved along with its coinbase and the ordered list of its transactions
+    // so that it can be (re)connected to the main chain and replayed by peers
+    const record = {
+      _id: blockHash,
+      previous: block.previous,
+      height: block.height,
+      timestamp: block.timestamp,
+      difficulty: block.difficulty,
+      root: block.root,
+      nonce: block.nonce,
+      chainwork: (parent ? parent.chainwork : 0) + utils.getWork(difficulty),
+      coinbase: {
+        _id: coinbaseHash,
+        utxoIns: [],
+        utxoOuts: coinbase.utxoOuts.map(({ address, amount }) => ({ address, amount })),
+      },
+      transactions: txIds,
+    };
+    // the transactions given in full are kept with the block so that they can be verified whenever its branch is connected
+    if (given.length > 0) record.given = given.map(copyTransaction);
+
+    const tip = await this.db.getTip();
+    if (!tip || tip._id === record.previous) {
+      // the block extends the main chain: it is added and connected at once (with the transactions given in full)
+      const changes = await this.getBranchChanges([], [record]);
+      await this.db.commit([{ op: "addBlock", data: record }, ...changes]);
+      const savedBlock = await this.db.getBlock(record._id);
+      this.events.emit("block", savedBlock);
+      await this.purgeExpired();
+      return savedBlock;
+    }
+    if (record.chainwork > tip.chainwork) {
+      // the block makes its branch heavier than the main chain
+      const { disconnected, connected } = await this.findBranches(tip, record);
+      await this.reorganize(record, disconnected, connected);
+      await this.purgeExpired();
+      return this.db.getBlock(record._id);
+    }
+    // the block extends a side branch
+    const savedBlock = await this.db.addBlock(record);
+    console.log(`Block ${savedBlock._id} is on a side branch (main chain tip ${tip._id})`);
+    return savedBlock;
+  }
+
+  /**
+   * replays the main chain from the genesis block and returns a report
+   * every block header (hash, previous link, height, difficulty, timestamp and proof-of-work), size, merkle root and coinbase
+   * as well as every transaction (hash, signatures, amounts, timelocks and double spends) is checked again
+   * while the utxo set is rebuilt from scratch and then compared to the stored utxos
+   * the report is {valid, blocks, transactions, utxos, supply} or, at the first error,
+   * {valid: false, height, block, transaction, error} where transaction is null when the block itself is invalid
+   * when the chain is valid but the stored utxos differ from the rebuilt ones, the report is
+   * {valid: false, blocks, transactions, utxos, supply, differences} where differences is a list of {utxo, error}
+   */
+  async verifyChain() {
+    const tip = await this.db.getTip();
+    const blocks = new Map();
+    for (const block of await this.db.getBlocksByHeight(-1, Infinity)) blocks.set(block._id, block);
+    const chain = [];
+    for (let block = tip; block; block = blocks.get(block.previous)) chain.unshift(block);
+    const confirmed = new Map();
+    for (const tx of await this.db.getTransactionsByBlocks(chain.map((block) => block._id))) {
+      confirmed.set(tx._id, tx);
+    }
+    const getBlock = async (hash) => blocks.get(hash);
+    // rebuilt utxo set: transaction _id:output -> {address, amount, lock, block, transaction, txIn}
+    const outputs = new Map();
+    // the outputs of each address in the order of the chain
+    const paid = new Map();
+    // the inputs of a transaction are resolved as the node does (see DatabaseRead.getInputs):
+    // the outputs that the stored utxos mark as spent by the transaction come first
+    const entries = await this.db.getUtxoEntries();
+    const marks = new Map(entries.map((entry) => [entry._id, entry.txIn]));
+    const getInputs = async function (tx) {
+      const utxos = [...new Set(tx.utxoIns)].flatMap((address) =>
+        (paid.get(address) || []).map(function (key) {
+          const utxo = outputs.get(key);
+          return { ...utxo, _id: key, txIn: utxo.txIn || (marks.get(key) === tx._id ? tx._id : undefined) };
+        }),
+      );
+      return utils.selectInputs(tx, utxos);
+    };
+    const addOutputs = function (tx, block) {
+      for (const [output, { address, amount, lock }] of tx.utxoOuts.entries()) {
+        const key = `${tx._id}:${output}`;
+        outputs.set(key, { address, amount, lock, block: block._id, transaction: tx._id });
+        paid.set(address, [...(paid.get(address) || []), key]);
+      }
+    };
+    const replayed = new Set(); // the transactions (and coinbases) replayed so far
+    let transactions = 0;
+    let parent = null;
+    for (const block of chain) {
+      const fail = (error, transaction = null) => ({
+        valid: false,
+        height: block.height,
+        block: block._id,
+        transaction,
+        error,
+      });
+      // malformed records (e.g. edited by hand) are reported rather than thrown
+      try {
+        // header
+        if (utils.getBlockHash(block) !== block._id) return fail("Block hash does not match its header");
+        if (block.previous !== (parent ? parent._id : null)) return fail("Invalid previous block");
+        if (block.height !== (parent ? parent.height + 1 : 0)) return fail("Invalid block height");
+        const difficulty = await common.getDifficulty(parent, getBlock, this);
+        if (block.difficulty !== difficulty) return fail(`Invalid block difficulty: expected ${difficulty}`);
+        const medianTimePast = await common.getMedianTimePast(parent, getBlock);
+        if (!Number.isInteger(block.timestamp) || block.timestamp <= medianTimePast) {
+          return fail("Block timestamp is not after the median time past");
+        }
+        if (utils.getLeadingZeroBits(block._id) < difficulty) return fail("Block hash does not satisfy difficulty");
+        // content
+        if (block.transactions.length + 1 > this.limit) return fail(`Block exceeds the limit of ${this.limit} transactions`);
+        const coinbaseHash = utils.getTransactionHash(block.coinbase);
+        if (coinbaseHash !== block.coinbase._id) return fail("Coinbase hash does not match its content", block.coinbase._id);
+        const txs = [];
+        for (const txId of block.transactions) {
+          const tx = confirmed.get(txId);
+          if (!tx) return fail("Transaction is missing or not confirmed by the block", txId);
+          if (utils.getTransactionHash(tx) !== tx._id) return fail("Transaction hash does not match its content", txId);
+          txs.push(tx);
+        }
+        if (utils.getMerkleRoot([coinbaseHash, ...block.transactions]) !== block.root) {
+          return fail("Invalid Merkle root");
+        }
+        let fees = 0;
+        for (const tx of txs) {
+          if (replayed.has(tx._id)) return fail("Transaction is confirmed twice", tx._id);
+          const error = await checkReplayedTransaction(tx, block, medianTimePast, getInputs, getBlock);
+          if (error) return fail(error, tx._id);
+          let totalInput = 0;
+          for (const { _id } of await getInputs(tx)) {
+            const utxo = outputs.get(_id);
+            totalInput += utxo.amount;
+            utxo.txIn = tx._id;
+          }
+          const totalOutput = tx.utxoOuts.reduce((sum, utxo) => sum + utxo.amount, 0);
+          fees += totalInput - totalOutput;
+          addOutputs(tx, block);
+          replayed.add(tx._id);
+          transactions++;
+        }
+        const [reward] = block.coinbase.utxoOuts;
+        if (
+          block.coinbase.utxoIns.length > 0 ||
+          block.coinbase.utxoOuts.length !== 1 ||
+          !(reward.amount > 0) ||
+          reward.amount > this.amount + fees ||
+          "lock" in reward ||
+          "lockTime" in block.coinbase
+        ) {
+          return fail("Invalid coinbase transaction", block.coinbase._id);
+        }
+        // a coinbase paying the same amount to the same address as a previous one would have the same _id
+        if (replayed.has(coinbaseHash)) return fail("Coinbase already exists", coinbaseHash);
+        addOutputs(block.coinbase, block);
+        replayed.add(coinbaseHash);
+      } catch (err) {
+        return fail(`Malformed record: ${err.message}`);
+      }
+      parent = block;
+    }
+    let count = 0;
+    let supply = 0;
+    for (const utxo of outputs.values()) {
+      if (utxo.txIn) continue;
+      supply += utxo.amount;
+      count++;
+    }
+    const report = { valid: true, blocks: chain.length, transactions, utxos: count, supply };
+    const pending = new Set(await this.db.getUnconfirmedTransactionIds());
+    const differences = compareUtxos(outputs, entries, pending);
+    if (differences.length > 0) return { ...report, valid: false, differences };
+    return report;
+  }
+
+  /**
+   * returns the blocks to disconnect from the main chain (from the tip down to the fork point)
+   * and the blocks to connect (from the fork point up to the new tip)
+   * @param {object} tip - the current tip of the main chain
+   * @param {object} block - the new tip
+   */
+  async findBranches(tip, block) {
+    const disconnected = [];
+    const connected = [];
+    let a = tip;
+    let b = block;
+    while ((a || b) && !(a && b && a._id === b._id)) {
+      if (!b || (a && a.height >= b.height)) {
+        disconnected.push(a);
+        a = a.previous ? await this.db.getBlock(a.previous) : null;
+      } else {
+        connected.unshift(b);
+        b = b.previous ? await this.db.getBlock(b.previous) : null;
+      }
+    }
+    return { disconnected, connected };
+  }
+
+  /**
+   * verifies (!!) the blocks of the connected branch once the disconnected branch is dropped
+   * and returns the changes that switch the main chain from one to the other (see getConnectChanges)
+   * nothing is written: the blocks are checked against a view of the database with the changes applied (see DatabaseView)
+   * @param {array<object>} disconnected - the blocks to disconnect (from the tip down to the fork point)
+   * @param {array<object>} connected - the blocks to connect (from the fork point up to the new tip)
+   */
+  async getBranchChanges(disconnected, connected) {
+    const view = new DatabaseView(this.db);
+    for (const block of disconnected) {
+      view.apply(await this.getDisconnectChanges(block));
+    }
+    for (const block of connected) {
+      view.apply(await this.getConnectChanges(view, block));
+    }
+    return view.changes;
+  }
+
+  /**
+   * verifies (!!) a block against the view of the main chain that it extends and returns the changes that connect it:
+   * the transactions given in full are added (they replace the pending transactions that spend the same utxos),
+   * the transactions are confirmed and the coinbase is added
+   * every transaction must spend outputs confirmed before it, by a previous block or by a previous transaction of the block
+   * and be final at the height of the block and the median time past of its branch
+   * @param {object} view - the view of the database with the previous blocks of the branch connected (see DatabaseView)
+   * @param {object} block - the block record
+   */
+  async getConnectChanges(view, block) {
+    const getBlock = (hash) => view.getBlock(hash);
+    const parent = block.previous ? await view.getBlock(block.previous) : null;
+    const medianTimePast = await common.getMedianTimePast(parent, getBlock);
+    const given = new Map((block.given || []).map((tx) => [tx._id, tx]));
+    const confirmed = new Set(block.transactions);
+    const connected = new Set(); // the transactions of the block connected so far
+    const changes = [];
+    let fees = 0;
+    for (const txId of block.transactions) {
+      if (connected.has(txId)) {
+        throw new ValidationError(`Transaction ${txId} is confirmed twice by block ${block._id}`);
+      }
+      let tx = await view.getTransaction(txId);
+      let inputs;
+      if (tx) {
+        if (tx.block) {
+          throw new ValidationError(
+            `Transaction ${txId} is already confirmed by block ${tx.block}`
+          );
+        }
+        inputs = await view.getInputs(tx);
+        if (inputs.some((utxo) => !utxo || utxo.txIn !== txId)) {
+          throw new ValidationError(
+            `Transaction ${txId} is not valid on the branch of block ${block._id}`
+          );
+        }
+      } else if (given.has(txId)) {
+        const txParams = given.get(txId);
+        checkTransactionId(txParams);
+        inputs = await view.getInputs(txParams);
+        const conflicts = [];
+        for (const [i, utxoIn] of txParams.utxoIns.entries()) {
+          const utxo = inputs[i];
+          if (!utxo) {
+            throw new ValidationError(`UTXO ${utxoIn} does not exist on the branch of block ${block._id}`);
+          }
+          if (utxo.txIn) {
+            const spender = await view.getTransaction(utxo.txIn);
+            if (!spender || spender.block || connected.has(spender._id)) {
+              throw new ValidationError(
+                `UTXO ${utxoIn} has already been spent by transaction ${utxo.txIn}`
+              );
+            }
+            conflicts.push(spender._id);
+          }
+        }
+        checkTransaction(txParams, inputs);
+        // the pending transactions that spend the same utxos are evicted (as well as the transactions spending their outputs)
+        const evicted = [...new Set([...conflicts, ...(await this.findSpenders(conflicts))])];
+        for (const evictedId of evicted) {
+          if (confirmed.has(evictedId)) {
+            throw new ValidationError(`Transaction ${evictedId} of the block spends an output of a conflicting transaction`);
+          }
+        }
+        if (evicted.length > 0) {
+          console.log(`Transactions ${evicted.join(",")} conflict with transaction ${txId} of a block and are evicted`);
+        }
+        tx = await this.getTransactionRecord(txParams, inputs, getBlock);
+        const txChanges = [
+          ...getEvictChanges(evicted),
+          { op: "spend", txIn: txId, utxos: inputs.map((utxo) => utxo._id) },
+          { op: "addTransaction", data: tx },
+        ];
+        view.apply(txChanges);
+        changes.push(...txChanges);
+      } else {
+        throw new ValidationError(
+          `Transaction ${txId} is not valid on the branch of block ${block._id}`
+        );
+      }
+      for (const utxo of inputs) {
+        if (!utxo.block && !connected.has(utxo.transaction)) {
+          throw new ValidationError(`Transaction ${txId} spends the unconfirmed output ${utxo._id}`);
+        }
+      }
+      // Verify that the transaction is final (its timelocks have expired)
+      if (!(await common.isFinal(tx, block.height, medianTimePast, async () => inputs, getBlock))) {
+        throw new ValidationError(`Transaction ${txId} is timelocked and cannot be confirmed yet`);
+      }
+      fees += tx.fee;
+      connected.add(txId);
+    }
+    // the coinbase can claim the fees of the transactions confirmed by the block
+    if (block.coinbase.utxoOuts[0].amount > this.amount + fees) {
+      throw new ValidationError("Invalid coinbase transaction");
+    }
+    // a coinbase paying the same amount to the same address as a stored one would have the same _id
+    if (await view.getTransaction(block.coinbase._id)) {
+      throw new ValidationError(`Coinbase ${block.coinbase._id} already exists`);
+    }
+    return [
+      ...changes,
+      { op: "confirm", block: block._id, transactions: block.transactions },
+      { op: "addTransaction", data: { ...block.coinbase, block: block._id } },
+    ];
+  }
+
+  /**
+   * adds the block and switches the main chain from the disconnected branch to the connected one at once
+   * (then emits a "reorg" event followed by a "block" event for each connected block)
+   * @param {object} record - the new tip
+   * @param {array<object>} disconnected - the blocks to disconnect (from the tip down to the fork point)
+   * @param {array<object>} connected - the blocks to connect (from the fork point up to the new tip)
+   */
+  async reorganize(record, disconnected, connected) {
+    const changes = await this.getBranchChanges(disconnected, connected);
+    await this.db.commit([{ op: "addBlock", data: record }, ...changes]);
+    console.log(
+      `Chain reorganized: ${disconnected.length} block(s) disconnected, ${connected.length} block(s) connected`,
+    );
+    this.events.emit("reorg", {
+      disconnected: disconnected.map((block) => block._id),
+      connected: connected.map((block) => block._id),
+    });
+    for (const block of connected) {
+      this.events.emit("block", await this.db.getBlock(block._id));
+    }
+  }
+
+  /**
+   * returns the changes that put the block's transactions back in the transaction pool and remove its coinbase
+   * as well as the transactions spending it (whose inputs are released)
+   * @param {object} block - the saved block
+   */
+  async getDisconnectChanges(block) {
+    const evicted = [...(await this.findSpenders([block.coinbase._id]))];
+    return [
+      { op: "unconfirm", transactions: block.transactions },
+      ...getEvictChanges(evicted),
+      { op: "remove", transactions: [block.coinbase._id] },
+    ];
+  }
+
+  /**
+   * retrieves the pending transactions that stayed too long in the transaction pool
+   * @param {number} page - the page index
+   * @param {numbers} limit - the number of elements per page
+   */
+  async getExpiredTransactions(page, limit) {
+    const tip = await this.db.getTip();
+    const date = new Date(Date.now() - this.expiryAge * 1000);
+    const height = tip ? tip.height - this.expiry : -Infinity;
+    return this.db.getExpiredTransactions(date, height, page, limit);
+  }
+
+  /**
+   * removes the expired transactions from the transaction pool (as well as the pending transactions spending them)
+   * and releases the utxos they spend
+   * returns the list of transaction _ids that have been removed
+   */
+  expireTransactions() {
+    return this.lock.acquire(WRITE, () => this.purgeExpired());
+  }
+
+  async purgeExpired() {
+    const removed = [];
+    while (true) {
+      const expired = await this.getExpiredTransactions(0, 100);
+      if (expired.length === 0) return removed;
+      const txIds = expired.map((tx) => tx._id);
+      const spenders = await this.findSpenders(txIds);
+      const evicted = [...new Set([...txIds, ...spenders])];
+      await this.db.commit(getEvictChanges(evicted));
+      removed.push(...evicted);
+    }
   }
 
+  /**
+   * returns the _ids of the transactions that spend, directly or not, the outputs of the given transactions
+   * @param {array<string>} txIds - the list of transaction _ids
+   */
+  async findSpenders(txIds) {
+    const spenders = new Set();
+    const queue = [...txIds];
+    while (queue.length > 0) {
+      const tx = await this.db.getTransaction(queue.shift());
+      if (!tx) continue;
+      for (const utxoOut of tx.utxoOuts) {
+        if (utxoOut.txIn && !spenders.has(utxoOut.txIn)) {
+          spenders.add(utxoOut.txIn);
+          queue.push(utxoOut.txIn);
+        }
+      }
+    }
+    return spenders;
+  }
 
   /**
    * retrieves a subset of blocks 
@@ -212,6 +677,125 @@ export class DotcoinServer {
     return this.db.getBlocks(page, limit, sort);
   }
 
+  /**
+   * retrieves a subset of block headers (i.e the blocks without their coinbase and transactions) for light clients
+   * @param {number} page - the page index
+   * @param {numbers} limit - the number of elements per page
+   * @param {object} sort - either starting from the oldest one inserted (sort=1) or the latest one inserted (sort=-1)
+   */
+  async getHeaders(page, limit, sort = 1) {
+    const blocks = await this.db.getBlocks(page, limit, sort);
+    return blocks.map(getHeader);
+  }
+
+  /**
+   * returns the proof that a transaction is confirmed by a block as {transaction, header, proof}
+   * where proof is the merkle path from the transaction _id to the merkle root of the block header
+   * (or null if the transaction does not exist)
+   * @param {string} txId - the transaction _id
+   */
+  async getTransactionProof(txId) {
+    const tx = await this.db.getTransaction(txId);
+    if (!tx) return null;
+    if (!tx.block) {
+      throw new ValidationError(`Transaction ${txId} is not confirmed yet`);
+    }
+    const block = await this.db.getBlock(tx.block);
+    const ids = [block.coinbase._id, ...block.transactions];
+    return {
+      transaction: txId,
+      header: getHeader(block),
+      proof: utils.getMerkleProof(ids, ids.indexOf(txId)),
+    };
+  }
+
+  /**
+   * returns the main chain blocks that follow a given block (or height) and the transactions they confirm
+   * as {tip, fork, reorganized, blocks, transactions, more} where fork is the last main chain block before the returned ones
+   * when the given block is not on the main chain anymore, fork is its last ancestor on the main chain and reorganized is true
+   * (fork is null when the given block is unknown: the blocks are then returned from the genesis block)
+   * @param {object} since - either {hash} or {height} of the last block known by the caller (or {} for none)
+   * @param {numbers} limit - the maximum number of blocks
+   */
+  async getBlocksSince(since, limit) {
+    const tip = await this.db.getTip();
+    let fork = null;
+    if (since.hash) {
+      fork = await this.db.getBlock(since.hash);
+      while (fork && !(await this.isOnMainChain(fork))) {
+        fork = fork.previous ? await this.db.getBlock(fork.previous) : null;
+      }
+    } else if (Number.isInteger(since.height) && since.height >= 0) {
+      for (const block of await this.db.getBlocksByHeight(since.height - 1, since.height)) {
+        if (await this.isOnMainChain(block)) fork = block;
+      }
+    }
+    const from = fork ? fork.height : -1;
+    const to = tip ? Math.min(tip.height, from + limit) : from;
+    const blocks = [];
+    for (const block of await this.db.getBlocksByHeight(from, to)) {
+      if (await this.isOnMainChain(block)) blocks.push(block);
+    }
+    const transactions = await this.db.getTransactionsByBlocks(blocks.map((block) => block._id));
+    return {
+      tip: tip ? tip._id : null,
+      fork: fork ? fork._id : null,
+      reorganized: !!since.hash && (!fork || fork._id !== since.hash),
+      blocks,
+      transactions,
+      more: tip ? to < tip.height : false,
+    };
+  }
+
+  /**
+   * returns true if the block is on the main chain (i.e its coinbase has been added)
+   * @param {object} block - the block
+   */
+  async isOnMainChain(block) {
+    const coinbase = await this.db.getTransaction(block.coinbase._id);
+    return !!coinbase && coinbase.block === block._id;
+  }
+
+  /**
+   * returns the changes of the transaction pool since a given date as {tip, time, transactions, pool}
+   * where transactions are the pending transactions added or updated since then and pool lists the _ids of all pending transactions
+   * (time is the date to give back for the next changes)
+   * @param {number} since - the date of the previous changes (in milliseconds)
+   */
+  async getMempoolSince(since) {
+    const time = Date.now();
+    const tip = await this.db.getTip();
+    return {
+      tip: tip ? tip._id : null,
+      time,
+      transactions: await this.db.getUpdatedTransactions(new Date(since)),
+      pool: await this.db.getUnconfirmedTransactionIds(),
+    };
+  }
+
+  /**
+   * returns the template that miners should build the next block on (see common.getBlockTemplate)
+   * i.e the parent hash, the height, the target difficulty, the median time past, the coinbase value
+   * and the ordered transactions that fit in the block
+   */
+  async getBlockTemplate() {
+    const pending = await this.db.getTransactions(0, Number.MAX_SAFE_INTEGER, 1, true);
+    return common.getBlockTemplate(
+      await this.db.getTip(),
+      pending,
+      (tx) => this.db.getInputs(tx),
+      (hash) => this.db.getBlock(hash),
+      this,
+    );
+  }
+
+  /**
+   * retrieves the tip of the main chain (or null if there is none)
+   */
+  async getTip() {
+    return this.db.getTip();
+  }
+
   /**
    * retrieves the block given its hash
    * @param {string} hash - block's hash
@@ -254,3 +838,187 @@ export class DotcoinServer {
     this.db.destroy();
   }
 }
+
+// keeps the fields of a utxo that are committed in the transaction hash
+function sanitizeUtxo({ address, amount, lock }) {
+  return lock ? { address, amount, lock } : { address, amount };
+}
+
+// keeps the fields of a transaction that are committed in its hash
+function copyTransaction({ _id, utxoIns, utxoOuts, signatures, lockTime }) {
+  const tx = { _id, utxoIns, utxoOuts: utxoOuts.map(sanitizeUtxo), signatures };
+  if (lockTime) tx.lockTime = lockTime;
+  return tx;
+}
+
+// keeps the fields of a block that are committed in its hash
+function getHeader({ _id, previous, height, timestamp, difficulty, root, nonce }) {
+  return { _id, previous, height, timestamp, difficulty, root, nonce };
+}
+
+// checks that the transaction has a signature per input and that its _id is the hash of the whole transaction (with its signatures)
+function checkTransactionId(txParams) {
+  if (txParams.utxoIns.length !== txParams.signatures.length) {
+    throw new ValidationError(
+      `Mismatch between number of UTXO inputs and signatures.`
+    );
+  }
+  if (txParams._id !== utils.getTransactionHash(txParams)) {
+    throw new ValidationError(`Transaction ${txParams._id} does not match its hash`);
+  }
+}
+
+// checks the signatures, the outputs, the timelocks and the amounts of a transaction given the utxo spent by each of its inputs
+function checkTransaction(txParams, inputs) {
+  // recalc transaction hash for validation (without signatures)
+  const txHash = utils.getTransactionHash({ ...txParams, signatures: [] });
+  for (const [signatureIndex, utxoIn] of txParams.utxoIns.entries()) {
+    const signature = txParams.signatures[signatureIndex];
+    const derivedKey = inputs[signatureIndex].address;
+    if (utils.isMultisigAddress(derivedKey)) {
+      // multisig UTXO: m valid signatures out of the n keys of the address
+      const { m } = utils.decodeMultisigAddress(derivedKey);
+      const count = common.countMultisigSignatures(txHash, derivedKey, signature);
+      if (count < 0) {
+        throw new ValidationError(`Invalid signature for UTXO ${utxoIn}`);
+      }
+      if (count < m) {
+        throw new ValidationError(
+          `UTXO ${utxoIn} requires ${m} signatures but only ${count} were given`
+        );
+      }
+      continue;
+    }
+    const isValid = typeof signature === "string" && common.verifySignature(txHash, derivedKey, signature);
+    if (!isValid) {
+      throw new ValidationError(`Invalid signature for UTXO ${utxoIn}`);
+    }
+  }
+
+  const addresses = new Set();
+  for (const utxoOut of txParams.utxoOuts) {
+    if (addresses.has(utxoOut.address)) {
+      throw new ValidationError(
+        `Duplicate address found in outputs: ${utxoOut.address}`
+      );
+    }
+    addresses.add(utxoOut.address);
+    if (utils.isMultisigAddress(utxoOut.address)) {
+      const { m, keys } = utils.decodeMultisigAddress(utxoOut.address);
+      if (m < 1 || m > keys.length) {
+        throw new ValidationError(
+          `Invalid multisig address ${utxoOut.address}: ${m} signatures out of ${keys.length} keys`
+        );
+      }
+    }
+    if (!utxoOut.amount || utxoOut.amount <= 0) {
+      throw new ValidationError(
+        `Invalid amount for address ${utxoOut.address}: Amount must be greater than 0.`
+      );
+    }
+  }
+
+  // timelocks: an absolute lock time on the transaction and relative locks (in blocks) on the outputs
+  if ("lockTime" in txParams && !(Number.isInteger(txParams.lockTime) && txParams.lockTime >= 0)) {
+    throw new ValidationError(`Invalid lock time ${txParams.lockTime}`);
+  }
+  for (const utxoOut of txParams.utxoOuts) {
+    if ("lock" in utxoOut && !(Number.isInteger(utxoOut.lock) && utxoOut.lock >= 0)) {
+      throw new ValidationError(`Invalid relative lock for address ${utxoOut.address}: ${utxoOut.lock}`);
+    }
+  }
+
+  //total inputs cover total outputs.
+  const totalInput = inputs.reduce((sum, utxo) => sum + utxo.amount, 0);
+  const totalOutput = txParams.utxoOuts.reduce(
+    (sum, utxoOut) => sum + utxoOut.amount,
+    0
+  );
+  if (totalInput < totalOutput) {
+    throw new ValidationError(
+      `Insufficient input amount: total inputs ${totalInput} is less than total outputs ${totalOutput}.`
+    );
+  }
+}
+
+// returns the reason why a confirmed transaction is invalid when the chain is replayed (or null if it is valid)
+async function checkReplayedTransaction(tx, block, medianTimePast, getInputs, getBlock) {
+  if (tx.utxoIns.length === 0 || tx.utxoIns.length !== tx.signatures.length) {
+    return "Mismatch between number of UTXO inputs and signatures";
+  }
+  const txHash = utils.getTransactionHash({ ...tx, signatures: [] });
+  const inputs = await getInputs(tx);
+  let totalInput = 0;
+  for (let i = 0; i < tx.utxoIns.length; i++) {
+    const address = tx.utxoIns[i];
+    const utxo = inputs[i];
+    if (!utxo || (utxo.txIn && utxo.txIn !== tx._id)) return `UTXO ${address} does not exist or has already been spent`;
+    if (!isSignatureValid(txHash, address, tx.signatures[i])) return `Invalid signature for UTXO ${address}`;
+    totalInput += utxo.amount;
+  }
+  const addresses = new Set();
+  let totalOutput = 0;
+  for (const { address, amount } of tx.utxoOuts) {
+    if (addresses.has(address)) return `Duplicate address ${address} in outputs`;
+    addresses.add(address);
+    if (!(amount > 0)) return `Invalid amount for address ${address}`;
+    totalOutput += amount;
+  }
+  if (totalInput < totalOutput) return "Insufficient input amount";
+  if (!(await common.isFinal(tx, block.height, medianTimePast, getInputs, getBlock))) {
+    return "Transaction is timelocked";
+  }
+  return null;
+}
+
+// returns the differences between the utxos rebuilt from the main chain and the stored ones
+// (the outputs of the transaction pool are not rebuilt but they may spend outputs of the main chain)
+function compareUtxos(outputs, entries, pending) {
+  const differences = [];
+  const stored = new Set();
+  for (const entry of entries) {
+    stored.add(entry._id);
+    const expected = outputs.get(entry._id);
+    if (!expected) {
+      if (!pending.has(entry.transaction)) {
+        differences.push({ utxo: entry._id, error: "UTXO does not belong to the main chain or the transaction pool" });
+      }
+      continue;
+    }
+    if (entry.address !== expected.address || entry.amount !== expected.amount || entry.lock !== expected.lock) {
+      differences.push({ utxo: entry._id, error: "UTXO does not match its transaction output" });
+    } else if (entry.block !== expected.block) {
+      differences.push({ utxo: entry._id, error: `UTXO should be confirmed by block ${expected.block}` });
+    } else if (expected.txIn && entry.txIn !== expected.txIn) {
+      differences.push({ utxo: entry._id, error: `UTXO should be spent by transaction ${expected.txIn}` });
+    } else if (!expected.txIn && entry.txIn && !pending.has(entry.txIn)) {
+      differences.push({ utxo: entry._id, error: "UTXO should be unspent" });
+    }
+  }
+  for (const key of outputs.keys()) {
+    if (!stored.has(key)) differences.push({ utxo: key, error: "UTXO is missing" });
+  }
+  return differences;
+}
+
+// returns true if the signature (or the cosigners' signatures for a multisig address) of an input is valid
+function isSignatureValid(txHash, address, signature) {
+  try {
+    if (utils.isMultisigAddress(address)) {
+      const { m } = utils.decodeMultisigAddress(address);
+      return common.countMultisigSignatures(txHash, address, signature) >= m;
+    }
+    return typeof signature === "string" && common.verifySignature(txHash, address, signature);
+  } catch (err) {
+    return false;
+  }
+}
+
+// returns the changes that remove transactions and release the utxos they spend
+function getEvictChanges(txIds) {
+  if (txIds.length === 0) return [];
+  return [
+    { op: "release", transactions: txIds },
+    { op: "remove", transactions: txIds },
+  ];
+}
@@ -0,0 +1,123 @@
+/* Copyright (C) 2023 Thierry Sans - All Rights Reserved
+ */
+
+import * as utils from "../utils/utils.mjs";
+import * as common from "./common.mjs";
+import { ClientError } from "./client.mjs";
+
+export class HeaderChain {
+  /**
+   * initializes a chain of block headers verified by a light client (that does not trust the node)
+   * @param {object} config - contains the mining difficulty and its retargeting parameters
+   */
+  constructor(config = {}) {
+    this.difficulty = config.difficulty || 1; // initial mining difficulty (number of '1' prefixing the block _id)
+    this.interval = config.interval || 10; // the difficulty is retargeted every 10 blocks
+    this.blockTime = config.blockTime || 60; // target time between blocks (in seconds)
+    this.drift = config.drift || 7200; // how far in the future a block timestamp can be (in seconds)
+    this.headers = new Map(); // verified headers indexed by _id (with their cumulative work)
+    this.tip = null; // the verified header with the most cumulative work
+  }
+
+  /**
+   * returns the tip of the verified chain (or null if there is none)
+   */
+  getTip() {
+    return this.tip;
+  }
+
+  /**
+   * verifies and adds block headers (parents must come before their children)
+   * each header must link to a verified parent, have the expected height, difficulty and timestamp
+   * and its hash must satisfy the proof-of-work
+   * @param {array<object>} headers - the block headers (as returned by the GET /headers/ route)
+   */
+  async addHeaders(headers) {
+    const getBlock = async (hash) => this.headers.get(hash);
+    for (const header of headers) {
+      const hash = utils.getBlockHash(header);
+      if (header._id !== undefined && header._id !== hash) {
+        throw new ClientError(`Header ${header._id} does not match its hash ${hash}`);
+      }
+      if (this.headers.has(hash)) continue;
+      const parent = header.previous ? this.headers.get(header.previous) : null;
+      if (header.previous && !parent) {
+        throw new ClientError(`Header ${hash} does not link to a verified header`);
+      }
+      if (!header.previous && this.headers.size > 0) {
+        throw new ClientError(`Header ${hash} is another genesis block`);
+      }
+      if (header.height !== (parent ? parent.height + 1 : 0)) {
+        throw new ClientError(`Header ${hash} has an invalid height ${header.height}`);
+      }
+      const difficulty = await common.getDifficulty(parent, getBlock, this);
+      if (header.difficulty !== difficulty) {
+        throw new ClientError(`Header ${hash} has an invalid difficulty ${header.difficulty}`);
+      }
+      const medianTimePast = await common.getMedianTimePast(parent, getBlock);
+      if (!Number.isInteger(header.timestamp) || header.timestamp <= medianTimePast || header.timestamp > Date.now() + this.drift * 1000) {
+        throw new ClientError(`Header ${hash} has an invalid timestamp ${header.timestamp}`);
+      }
+      if (utils.getLeadingZeroBits(hash) < difficulty) {
+        throw new ClientError(`Header ${hash} does not satisfy the proof-of-work`);
+      }
+      const verified = {
+        _id: hash,
+        previous: header.previous,
+        height: header.height,
+        timestamp: header.timestamp,
+        difficulty: header.difficulty,
+        root: header.root,
+        nonce: header.nonce,
+        chainwork: (parent ? parent.chainwork : 0) + utils.getWork(difficulty),
+      };
+      this.headers.set(hash, verified);
+      if (!this.tip || verified.chainwork > this.tip.chainwork) this.tip = verified;
+    }
+    return this.tip;
+  }
+
+  /**
+   * verifies that a transaction is confirmed by a block of the verified main chain
+   * and returns {transaction, block, height, confirmations}
+   * @param {object} proof - the proof (as returned by the GET /transactions/:id/proof/ route)
+   * @param {object} tx - (optional) the transaction itself whose hash must be the proven _id
+   */
+  verifyProof(proof, tx = null) {
+    if (!proof || !proof.header || !Array.isArray(proof.proof)) {
+      throw new ClientError("Malformed transaction proof");
+    }
+    if (tx && utils.getTransactionHash(tx) !== proof.transaction) {
+      throw new ClientError(`The transaction does not match the proven _id ${proof.transaction}`);
+    }
+    const hash = utils.getBlockHash(proof.header);
+    const header = this.headers.get(hash);
+    if (!header) {
+      throw new ClientError(`Block ${hash} is not a verified header`);
+    }
+    if (!this.isOnMainChain(header)) {
+      throw new ClientError(`Block ${hash} is not on the main chain`);
+    }
+    if (!utils.verifyMerkleProof(proof.transaction, proof.proof, header.root)) {
+      throw new ClientError(`Transaction ${proof.transaction} is not confirmed by block ${hash}`);
+    }
+    return {
+      transaction: proof.transaction,
+      block: hash,
+      height: header.height,
+      confirmations: this.tip.height - header.height + 1,
+    };
+  }
+
+  /**
+   * returns true if the header is an ancestor of the tip (or the tip itself)
+   * @param {object} header - a verified header
+   */
+  isOnMainChain(header) {
+    let block = this.tip;
+    while (block && block.height > header.height) {
+      block = this.headers.get(block.previous);
+    }
+    return !!block && block._id === header._id;
+  }
+}
@@ -0,0 +1,97 @@
+/* Copyright (C) 2023 Thierry Sans - All Rights Reserved
+ */
+
+import { ValidationError } from "./server.mjs";
+import * as utils from "../utils/utils.mjs";
+import * as common from "./common.mjs";
+
+export class AddressWatcher {
+  /**
+   * initializes a watcher that recognizes the addresses paid to a list of keys
+   * a key is either an address, a branch key (e.g a receiving address or a multisig address) whose child addresses are watched
+   * or an account public key whose receiving and change child addresses are watched
+   * (the child addresses are derived up to gapLimit addresses after the last used one, as a wallet does)
+   * @param {array<string>} keys - the watched keys
+   * @param {function} getUtxos - returns the utxos of a list of addresses (see DatabaseRead.getUtxos)
+   * @param {number} gapLimit - the number of unused child addresses watched after the last used one
+   */
+  constructor(keys, getUtxos, gapLimit = 20) {
+    this.getUtxos = getUtxos;
+    this.gapLimit = gapLimit;
+    this.addresses = new Map(); // address -> {key, branch, childIndex} (branch is null for a watched address)
+    this.branches = [];
+    for (const key of keys) {
+      this.addresses.set(key, { key, branch: null, childIndex: null });
+      for (const { parent, change } of getBranches(key)) {
+        this.branches.push({ key, parent, change, lastUsed: -1, derived: 0 });
+      }
+    }
+  }
+
+  /**
+   * derives the child addresses of the branches up to the gap limit after their last used child address
+   */
+  async scan() {
+    for (const branch of this.branches) {
+      while (branch.derived <= branch.lastUsed + this.gapLimit) {
+        const start = branch.derived;
+        const addresses = this.derive(branch, branch.lastUsed + 1 + this.gapLimit);
+        for (const utxo of await this.getUtxos(addresses)) {
+          branch.lastUsed = Math.max(branch.lastUsed, start + addresses.indexOf(utxo.address));
+        }
+      }
+    }
+  }
+
+  /**
+   * returns {key, childIndex, change} if the address is watched (where key is the watched key it belongs to
+   * and change tells whether it is a change address of an account) or null otherwise
+   * a payment to a child address moves the gap limit of its branch
+   * @param {string} address - the address of a transaction output
+   */
+  match(address) {
+    const entry = this.addresses.get(address);
+    if (!entry) return null;
+    const { key, branch, childIndex } = entry;
+    if (branch && childIndex > branch.lastUsed) {
+      branch.lastUsed = childIndex;
+      this.derive(branch, branch.lastUsed + 1 + this.gapLimit);
+    }
+    return { key, childIndex, change: !!branch && branch.change };
+  }
+
+  derive(branch, end) {
+    const addresses = [];
+    for (; branch.derived < end; branch.derived++) {
+      const address = common.getChildAddress(branch.parent, branch.derived);
+      this.addresses.set(address, { key: branch.key, branch, childIndex: branch.derived });
+      addresses.push(address);
+    }
+    return addresses;
+  }
+}
+
+// returns the branches {parent, change} of a watched key: the receiving and change keys of an account public key,
+// the key itself for a branch key (or a multisig address) and none for the other addresses
+function getBranches(key) {
+  if (typeof key !== "string" || key.length === 0) {
+    throw new ValidationError(`Invalid watched key ${key}`);
+  }
+  try {
+    if (utils.isMultisigAddress(key)) {
+      utils.decodeMultisigAddress(key);
+      return [{ parent: key, change: false }];
+    }
+    const keys = common.getWatchKeys(key);
+    if (keys.depth === 3) {
+      return [
+        { parent: keys.receive.publicKey, change: false },
+        { parent: keys.change.publicKey, change: true },
+      ];
+    }
+    if (keys.depth === 4) return [{ parent: key, change: false }];
+    return [];
+  } catch (err) {
+    throw new ValidationError(`Invalid watched key ${key}`);
+  }
+}
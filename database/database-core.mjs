@@ -8,126 +8,86 @@ function clean(element) {
 }
 
 /**
- * adds an element to a collection (NeDB datastore)
- * @param {object} datastore - the collection
+ * adds an element to a collection (see storage.mjs)
+ * @param {object} collection - the collection
  * @param {object} data - the element to add to the collection
  */
-export function addElement(datastore, data) {
-  return new Promise(function (resolve, reject) {
-    datastore.loadDatabase(function (err) {
-      if (err) {
-        return reject(err);
-      }
-      datastore.insert(data, function (err, element) {
-        if (err) {
-          return reject(err);
-        }
-        return resolve(clean(element));
-      });
-    });
-  });
+export async function addElement(collection, data) {
+  const element = await collection.insert(data);
+  return Array.isArray(element) ? element.map(clean) : clean(element);
 }
 
 /**
- * update an element from a collection (NeDB datastore)
- * @param {object} datastore - the collection
+ * update an element from a collection (see storage.mjs)
+ * @param {object} collection - the collection
  * @param {object} query - the query to retrieve the element (single one)
  * @param {object} data - the data to update
  */
-export function updateElement(datastore, query, data) {
-  return new Promise(function (resolve, reject) {
-    datastore.loadDatabase(function (err) {
-      if (err) {
-        return reject(err);
-      }
-      datastore.update(
-        query,
-        data,
-        { returnUpdatedDocs: true },
-        function (err, num, element) {
-          if (err) {
-            return reject(err);
-          }
-          return resolve(clean(element));
-        },
-      );
-    });
-  });
+export async function updateElement(collection, query, data) {
+  const [element] = await collection.update(query, data, false);
+  return clean(element || null);
 }
 
 /**
- * update elements from a collection (NeDB datastore)
- * @param {object} datastore - the collection
+ * update elements from a collection (see storage.mjs)
+ * @param {object} collection - the collection
  * @param {object} query - the query to retrieve the elements (multiple)
  * @param {object} data - the data to update
  */
-export function updateElements(datastore, query, data) {
-  return new Promise(function (resolve, reject) {
-    datastore.loadDatabase(function (err) {
-      if (err) {
-        return reject(err);
-      }
-      datastore.update(
-        query,
-        data,
-        { multi: true, returnUpdatedDocs: true },
-        function (err, num, elements) {
-          if (err) {
-            return reject(err);
-          }
-          return resolve(elements.map(clean));
-        },
-      );
-    });
-  });
+export async function updateElements(collection, query, data) {
+  const elements = await collection.update(query, data, true);
+  return elements.map(clean);
 }
 
 /**
- * retrieve an element from a collection (NeDB datastore)
- * @param {object} datastore - the collection
+ * remove elements from a collection (see storage.mjs)
+ * @param {object} collection - the collection
+ * @param {object} query - the query to retrieve the elements (multiple)
+ */
+export function removeElements(collection, query) {
+  return collection.remove(query);
+}
+
+/**
+ * retrieve an element from a collection (see storage.mjs)
+ * @param {object} collection - the collection
  * @param {object} query - the query to retrieve the element (single one)
  */
-export function getElement(datastore, query) {
-  return new Promise(function (resolve, reject) {
-    datastore.loadDatabase(function (err) {
-      if (err) {
-        return reject(err);
-      }
-      datastore.findOne(query, function (err, element) {
-        if (err) {
-          return reject(err);
-        }
-        return resolve(clean(element));
-      });
-    });
-  });
+export async function getElement(collection, query) {
+  return clean(await collection.findOne(query));
 }
 
 /**
- * retrieve elements from a collection (NeDB datastore)
- * @param {object} datastore - the collection
+ * retrieve elements from a collection (see storage.mjs)
+ * @param {object} collection - the collection
  * @param {object} query - the query to retrieve the elements (multiple)
  * @param {number} page - the page index
  * @param {numbers} limit - the number of elements per page
- * @param {object} sort - either starting from the oldest one inserted (sort=1) or the latest one inserted (sort=-1)
+ * @param {object} sort - either starting from the oldest one inserted (sort=1) or the latest one inserted (sort=-1), or a NeDB sort object
+ */
+export async function getElements(collection, query, page, limit, sort) {
+  const elements = await collection.find(
+    query,
+    typeof sort === "object" ? sort : { createdAt: sort },
+    page * limit,
+    limit,
+  );
+  return elements.map(clean);
+}
+
+/**
+ * returns the entries of the utxos collection for the outputs of a transaction
+ * (keyed by output since an address can be paid several times)
+ * @param {object} transaction - the transaction
  */
-export function getElements(datastore, query, page, limit, sort) {
-  return new Promise(function (resolve, reject) {
-    datastore.loadDatabase(function (err) {
-      if (err) {
-        return reject(err);
-      }
-      datastore
-        .find(query)
-        .sort({ createdAt: sort })
-        .skip(page * limit)
-        .limit(limit)
-        .exec(function (err, elements) {
-          if (err) {
-            return reject(err);
-          }
-          return resolve(elements.map(clean));
-        });
-    });
+export function getUtxoEntries(transaction) {
+  return transaction.utxoOuts.map(function (utxo, output) {
+    return {
+      _id: `${transaction._id}:${output}`,
+      ...utxo,
+      transaction: transaction._id,
+      block: transaction.block || null,
+      output,
+    };
   });
 }
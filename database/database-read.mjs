@@ -2,48 +2,95 @@
  */
 
 import { rmSync } from "fs";
-import { join } from "path";
-import Datastore from "@seald-io/nedb";
 
 import { getElement, getElements } from "./database-core.mjs";
+import { openCollection } from "./storage.mjs";
+import * as utils from "../utils/utils.mjs";
 
 export class DatabaseRead {
   /**
-   * initializes the NeDB database with 2 collections: transactions and blocks
-   * @param {string} path - the directory where NeDB stores the files
+   * initializes the database with 3 collections: transactions, blocks and utxos
+   * (the utxos collection has an entry per transaction output, indexed by address, see DatabaseWrite)
+   * @param {string} path - the directory where the collections are stored
+   * @param {string} storage - the storage backend (nedb, memory or log, see storage.mjs)
    */
-  constructor(path) {
+  constructor(path, storage = "nedb") {
     this.path = path;
-    this.transactions = new Datastore({
-      filename: join(path, "transactions.db"),
-      autoload: false,
-      timestampData: true,
-    });
-    this.blocks = new Datastore({
-      filename: join(path, "blocks.db"),
-      autoload: false,
-      timestampData: true,
-    });
+    this.storage = storage;
+    this.transactions = openCollection(storage, path, "transactions");
+    this.blocks = openCollection(storage, path, "blocks");
+    this.utxos = openCollection(storage, path, "utxos", ["address"]);
+  }
+
+  /**
+   * returns the collections by name
+   */
+  getCollections() {
+    return { transactions: this.transactions, blocks: this.blocks, utxos: this.utxos };
   }
 
   /**
    * retrieves the utxo (i.e transaction output) for the given address
+   * an address paid several times is spent one output at a time: its oldest unspent utxo is returned
+   * (or its latest utxo if they are all spent)
    * @param {string} address - the address (i.e the public key) of the recipient
    */
   async getUtxo(address) {
-    const transaction = await getElement(this.transactions, {
-      utxoOuts: { $elemMatch: { address } },
-    });
-    if (!transaction) {
-      return null;
-    }
-    for (let i = 0; i < transaction.utxoOuts.length; i++) {
-      const utxo = transaction.utxoOuts[i];
-      if (utxo.address == address) {
-        if ("block" in transaction) utxo.block = transaction.block;
-        return { ...utxo, transaction: transaction._id };
-      }
-    }
+    const [unspent] = await getElements(this.utxos, { address, txIn: { $exists: false } }, 0, 1, 1);
+    if (unspent) return toUtxo(unspent);
+    const [latest] = await getElements(this.utxos, { address }, 0, 1, -1);
+    return toUtxo(latest || null);
+  }
+
+  /**
+   * retrieves the utxos (i.e transaction outputs) for the given addresses in the same order, the oldest first for an address paid several times
+   * (addresses without utxo are ignored)
+   * @param {array<string>} addresses - the addresses (i.e the public keys) of the recipients
+   */
+  getUtxos(addresses) {
+    return this.findUtxos(addresses, {});
+  }
+
+  /**
+   * retrieves the unspent utxos for the given addresses in the same order (addresses without unspent utxo are ignored)
+   * @param {array<string>} addresses - the addresses (i.e the public keys) of the recipients
+   */
+  getUnspentUtxos(addresses) {
+    return this.findUtxos(addresses, { txIn: { $exists: false } });
+  }
+
+  /**
+   * retrieves every entry of the utxos collection (or the entries of the given addresses), the oldest first
+   * (an entry is a utxo with its _id, i.e the transaction _id and the output index, and its output index)
+   * @param {array<string>} addresses - the addresses (i.e the public keys) of the recipients (all of them if null)
+   */
+  getUtxoEntries(addresses = null) {
+    const query = addresses ? { address: { $in: addresses } } : {};
+    return getElements(this.utxos, query, 0, Number.MAX_SAFE_INTEGER, 1);
+  }
+
+  /**
+   * retrieves the entry of the utxos collection spent by each input of a transaction (or null), see utils.selectInputs
+   * (the inputs of a stored transaction are the utxos that it spends, the ones of a new transaction are the oldest unspent ones)
+   * @param {object} tx - the transaction
+   */
+  async getInputs(tx) {
+    return utils.selectInputs(tx, await this.getUtxoEntries([...new Set(tx.utxoIns)]));
+  }
+
+  async findUtxos(addresses, query) {
+    if (addresses.length === 0) return [];
+    const utxos = await getElements(
+      this.utxos,
+      { ...query, address: { $in: addresses } },
+      0,
+      Number.MAX_SAFE_INTEGER,
+      1,
+    );
+    const positions = new Map(addresses.map((address, i) => [address, i]));
+    return utxos
+      .map(toUtxo)
+      .sort((a, b) => positions.get(a.address) - positions.get(b.address));
   }
 
   /**
@@ -67,29 +114,61 @@ export class DatabaseRead {
   }
   
   /**
-   * retrieves the unconfirmed transactions that are older than the last block
+   * retrieves the unconfirmed transactions that have expired, i.e that entered the transaction pool
+   * (or became final, for timelocked transactions) before the given date or when the main chain tip was at (or below) the given height
+   * @param {Date} date - the oldest date allowed
+   * @param {number} height - the oldest main chain height allowed
    * @param {number} page - the page index
    * @param {numbers} limit - the number of elements per page
    */
-  getExpiredTransactions(page, limit) {
-     const self = this;
-     return new Promise(function(resolve, reject){
-        self.blocks.loadDatabase(function (err) {
-           if (err) {
-             return reject(err);
-           }
-            self.blocks
-             .findOne({})
-             .sort({ createdAt: -1 })
-             .exec(function (err, block) {
-                 if (err) {
-                   return reject(err);
-                 }
-                 if (!block) return resolve([]);
-                 return resolve(getElements(self.transactions, { block: null, createdAt: {"let": block.createdAt }}, page, limit, 1));
-             });
-         });
-     });
+  getExpiredTransactions(date, height, page, limit) {
+    const query = {
+      block: null,
+      $or: [{ entryTime: { $lt: date } }, { entryHeight: { $lte: height } }],
+    };
+    return getElements(this.transactions, query, page, limit, 1);
+  }
+
+  /**
+   * retrieves the unconfirmed transactions that have been added or updated since the given date
+   * @param {Date} date - the oldest update allowed
+   */
+  getUpdatedTransactions(date) {
+    return getElements(
+      this.transactions,
+      { block: null, updatedAt: { $gte: date } },
+      0,
+      Number.MAX_SAFE_INTEGER,
+      1,
+    );
+  }
+
+  /**
+   * retrieves the _ids of all unconfirmed transactions
+   */
+  async getUnconfirmedTransactionIds() {
+    const transactions = await getElements(
+      this.transactions,
+      { block: null },
+      0,
+      Number.MAX_SAFE_INTEGER,
+      1,
+    );
+    return transactions.map((tx) => tx._id);
+  }
+
+  /**
+   * retrieves the transactions (including coinbases) confirmed by the given blocks
+   * @param {array<string>} blockIds - the list of block _ids
+   */
+  getTransactionsByBlocks(blockIds) {
+    return getElements(
+      this.transactions,
+      { block: { $in: blockIds } },
+      0,
+      Number.MAX_SAFE_INTEGER,
+      1,
+    );
   }
 
   /**
@@ -100,6 +179,21 @@ export class DatabaseRead {
     return getElement(this.blocks, { _id: hash });
   }
 
+  /**
+   * retrieves the tip of the main chain, i.e the block with the most cumulative work
+   * (the first one received wins a tie) or null if there is no block yet
+   */
+  async getTip() {
+    const blocks = await getElements(
+      this.blocks,
+      {},
+      0,
+      1,
+      { chainwork: -1, createdAt: 1 },
+    );
+    return blocks.length > 0 ? blocks[0] : null;
+  }
+
   /**
    * retrieves a subset of blocks
    * @param {number} page - the page index
@@ -111,9 +205,32 @@ export class DatabaseRead {
   }
 
   /**
-   * erase the directory that stores the NeDB files
+   * retrieves the blocks (of any branch) whose height is in the given range, ordered by height
+   * @param {number} from - the height above which blocks are retrieved (excluded)
+   * @param {number} to - the height up to which blocks are retrieved (included)
+   */
+  getBlocksByHeight(from, to) {
+    return getElements(
+      this.blocks,
+      { height: { $gt: from, $lte: to } },
+      0,
+      Number.MAX_SAFE_INTEGER,
+      { height: 1, createdAt: 1 },
+    );
+  }
+
+  /**
+   * erase the directory that stores the collections (and the collections kept in memory)
    */
   destroy() {
+    for (const collection of Object.values(this.getCollections())) collection.close();
     rmSync(this.path, { recursive: true, force: true });
   }
 }
+
+// an entry of the utxos collection is keyed by its transaction _id and output index (see DatabaseWrite)
+function toUtxo(entry) {
+  if (!entry) return null;
+  const { _id, output, ...utxo } = entry;
+  return utxo;
+}
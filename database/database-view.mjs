@@ -0,0 +1,131 @@
+/* Copyright (C) 2023 Thierry Sans - All Rights Reserved
+ */
+
+import { getUtxoEntries } from "./database-core.mjs";
+import * as utils from "../utils/utils.mjs";
+
+export class DatabaseView {
+  /**
+   * initializes a read-only view of a database as it would be once a batch of changes is committed (see DatabaseWrite.commit)
+   * the changes are only recorded: the database is read again and the changes are applied to the elements it returns
+   * (so that a whole batch can be checked before it is committed at once)
+   * @param {object} db - the database (DatabaseRead)
+   */
+  constructor(db) {
+    this.db = db;
+    this.changes = [];
+  }
+
+  /**
+   * records a list of changes (applied in order after the ones recorded so far)
+   * @param {array<object>} changes - the list of changes (see DatabaseWrite.commit)
+   */
+  apply(changes) {
+    this.changes.push(...changes);
+  }
+
+  /**
+   * retrieves the block given its hash
+   * @param {string} hash - block's hash
+   */
+  async getBlock(hash) {
+    const block = await this.db.getBlock(hash);
+    if (block) return block;
+    const added = this.changes.find((change) => change.op === "addBlock" && change.data._id === hash);
+    return added ? added.data : null;
+  }
+
+  /**
+   * retrieves the transaction given its hash
+   * @param {string} hash - transaction's hash
+   */
+  async getTransaction(hash) {
+    let tx = await this.db.getTransaction(hash);
+    for (const change of this.changes) {
+      if (change.op === "addTransaction") {
+        if (!tx && change.data._id === hash) tx = { ...change.data, block: change.data.block || null };
+        continue;
+      }
+      if (!tx) continue;
+      switch (change.op) {
+        case "spend":
+          for (const _id of change.utxos) {
+            if (!_id.startsWith(`${hash}:`)) continue;
+            const output = Number(_id.slice(hash.length + 1));
+            tx = updateOutput(tx, output, { ...tx.utxoOuts[output], txIn: change.txIn });
+          }
+          break;
+        case "release":
+          tx.utxoOuts.forEach(function (utxo, output) {
+            if (change.transactions.includes(utxo.txIn)) tx = updateOutput(tx, output, release(utxo));
+          });
+          break;
+        case "confirm":
+          if (change.transactions.includes(hash)) tx = { ...tx, block: change.block };
+          break;
+        case "unconfirm":
+          if (change.transactions.includes(hash)) tx = { ...tx, block: null };
+          break;
+        case "remove":
+          if (change.transactions.includes(hash)) tx = null;
+          break;
+      }
+    }
+    return tx;
+  }
+
+  /**
+   * retrieves the entries of the utxos collection for the given addresses, the oldest first (see DatabaseRead.getUtxoEntries)
+   * @param {array<string>} addresses - the addresses (i.e the public keys) of the recipients
+   */
+  async getUtxoEntries(addresses) {
+    let entries = await this.db.getUtxoEntries(addresses);
+    for (const change of this.changes) {
+      switch (change.op) {
+        case "addTransaction":
+          if (entries.some((entry) => entry.transaction === change.data._id)) break;
+          entries = [
+            ...entries,
+            ...getUtxoEntries(change.data).filter((entry) => addresses.includes(entry.address)),
+          ];
+          break;
+        case "spend":
+          entries = entries.map((entry) => (change.utxos.includes(entry._id) ? { ...entry, txIn: change.txIn } : entry));
+          break;
+        case "release":
+          entries = entries.map((entry) => (change.transactions.includes(entry.txIn) ? release(entry) : entry));
+          break;
+        case "confirm":
+          entries = entries.map((entry) => (change.transactions.includes(entry.transaction) ? { ...entry, block: change.block } : entry));
+          break;
+        case "unconfirm":
+          entries = entries.map((entry) => (change.transactions.includes(entry.transaction) ? { ...entry, block: null } : entry));
+          break;
+        case "remove":
+          entries = entries.filter((entry) => !change.transactions.includes(entry.transaction));
+          break;
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * retrieves the entry of the utxos collection spent by each input of a transaction (or null), see DatabaseRead.getInputs
+   * @param {object} tx - the transaction
+   */
+  async getInputs(tx) {
+    return utils.selectInputs(tx, await this.getUtxoEntries([...new Set(tx.utxoIns)]));
+  }
+}
+
+// returns a copy of a utxo without the transaction that spends it
+function release({ txIn, ...utxo }) {
+  return utxo;
+}
+
+// returns a copy of the transaction with one of its outputs replaced
+function updateOutput(tx, output, utxo) {
+  const utxoOuts = [...tx.utxoOuts];
+  utxoOuts[output] = utxo;
+  return { ...tx, utxoOuts };
+}
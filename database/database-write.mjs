@@ -5,18 +5,39 @@ import { DatabaseRead } from "./database-read.mjs";
 import {
   getElement,
   getElements,
+  getUtxoEntries,
   addElement,
   updateElement,
   updateElements,
+  removeElements,
 } from "./database-core.mjs";
+import { openCollection } from "./storage.mjs";
 
 export class DatabaseWrite extends DatabaseRead {
   /**
-   * initializes the NeDB database with 2 collections: transactions and blocks
-   * @param {string} path - the directory where NeDB stores the files
+   * initializes the database with 3 collections: transactions, blocks and utxos
+   * (every change to the outputs of the transactions is also applied to the utxos collection)
+   * and a journal of the batches of changes being applied (see commit)
+   * @param {string} path - the directory where the collections are stored
+   * @param {boolean} verbose - whether every update is logged
+   * @param {string} storage - the storage backend (nedb, memory or log, see storage.mjs)
    */
-  constructor(path) {
-    super(path);
+  constructor(path, verbose = true, storage = "nedb") {
+    super(path, storage);
+    this.verbose = verbose;
+    this.journal = openCollection(storage, path, "journal");
+  }
+
+  getCollections() {
+    return { ...super.getCollections(), journal: this.journal };
+  }
+
+  /**
+   * logs a message (unless the database is not verbose)
+   * @param {string} message - the message
+   */
+  log(message) {
+    if (this.verbose) console.log(message);
   }
 
   /**
@@ -25,7 +46,8 @@ export class DatabaseWrite extends DatabaseRead {
    */
   async addTransaction(data) {
     const transaction = await addElement(this.transactions, data);
-    console.log(`Transaction ${transaction._id} has been added`);
+    await addElement(this.utxos, getUtxoEntries(transaction));
+    this.log(`Transaction ${transaction._id} has been added`);
     return transaction;
   }
 
@@ -35,7 +57,7 @@ export class DatabaseWrite extends DatabaseRead {
    */
   async addBlock(data) {
     const block = await addElement(this.blocks, data);
-    console.log(
+    this.log(
       `Block ${block._id} has been added (previous ${block.previous})`,
     );
     return block;
@@ -43,29 +65,38 @@ export class DatabaseWrite extends DatabaseRead {
 
   /**
    * updates all utxos (i.e transaction output), given as a list of addresses, to mark it as spent
-   * by setting the field 'txIn' as the transaction _id that uses those utxos as input
+   * by setting the field 'txIn' as the transaction _id that uses those utxos as input (addresses that do not exist are ignored)
+   * an address given n times spends n utxos: the oldest unspent ones, unless the transaction spends them already (see DatabaseRead.getInputs)
    * @param {string} txIn - transaction _id that uses the utxos as input
    * @param {array<string>} addresses - the list of base58-encoded addresses (i.e public keys)
    */
   async spendUtxos(txIn, addresses) {
-    for (let address of addresses) {
-      const transaction = await getElement(this.transactions, {
-        utxoOuts: { $elemMatch: { address: address } },
-      });
-      for (let i = 0; i < transaction.utxoOuts.length; i++) {
-        if (transaction.utxoOuts[i].address == address) {
-          transaction.utxoOuts[i].txIn = txIn;
-          await updateElement(
-            this.transactions,
-            { _id: transaction._id },
-            transaction,
-          );
-          console.log(
-            `Address ${address} has been spent (transaction ${transaction._id})`,
-          );
-          break;
-        }
-      }
+    const inputs = await this.getInputs({ _id: txIn, utxoIns: addresses });
+    await this.spendUtxoEntries(
+      txIn,
+      inputs.filter((utxo) => utxo && !utxo.txIn).map((utxo) => utxo._id),
+    );
+  }
+
+  /**
+   * updates the utxos, given as a list of entries of the utxos collection, to mark them as spent by a transaction
+   * (entries that do not exist are ignored)
+   * @param {string} txIn - transaction _id that uses the utxos as input
+   * @param {array<string>} ids - the list of entry _ids (i.e the transaction _id and the output index)
+   */
+  async spendUtxoEntries(txIn, ids) {
+    for (const _id of ids) {
+      const utxo = await getElement(this.utxos, { _id });
+      if (!utxo || utxo.txIn === txIn) continue;
+      await updateElement(this.utxos, { _id }, { $set: { txIn } });
+      await updateElement(
+        this.transactions,
+        { _id: utxo.transaction },
+        { $set: { [`utxoOuts.${utxo.output}.txIn`]: txIn } },
+      );
+      this.log(
+        `Address ${utxo.address} has been spent (transaction ${utxo.transaction})`,
+      );
     }
   }
 
@@ -81,6 +112,240 @@ export class DatabaseWrite extends DatabaseRead {
       { _id: { $in: transactions } },
       { $set: { block: _id } },
     );
-    console.log(`Transactions ${transactions.join(",")} have been confirmed`);
+    await updateElements(
+      this.utxos,
+      { transaction: { $in: transactions } },
+      { $set: { block: _id } },
+    );
+    this.log(`Transactions ${transactions.join(",")} have been confirmed`);
+  }
+
+  /**
+   * updates all transactions, given as a list of transaction _ids, to put them back in the transaction pool
+   * by setting the field 'block' to null
+   * @param {array<string>} transactions - the list of transaction _ids
+   */
+  async unconfirmTransactions(transactions) {
+    await updateElements(
+      this.transactions,
+      { _id: { $in: transactions } },
+      { $set: { block: null } },
+    );
+    await updateElements(
+      this.utxos,
+      { transaction: { $in: transactions } },
+      { $set: { block: null } },
+    );
+    this.log(`Transactions ${transactions.join(",")} have been unconfirmed`);
+  }
+
+  /**
+   * removes all transactions, given as a list of transaction _ids
+   * @param {array<string>} transactions - the list of transaction _ids
+   */
+  async removeTransactions(transactions) {
+    await removeElements(this.transactions, { _id: { $in: transactions } });
+    await removeElements(this.utxos, { transaction: { $in: transactions } });
+    this.log(`Transactions ${transactions.join(",")} have been removed`);
+  }
+
+  /**
+   * adds a transaction or replaces it if it exists already
+   * @param {object} data - transaction's data
+   */
+  async replaceTransaction(data) {
+    if (await getElement(this.transactions, { _id: data._id })) {
+      const transaction = await updateElement(this.transactions, { _id: data._id }, data);
+      await removeElements(this.utxos, { transaction: data._id });
+      await addElement(this.utxos, getUtxoEntries(transaction));
+      return transaction;
+    }
+    return this.addTransaction(data);
+  }
+
+  /**
+   * removes all blocks, given as a list of block _ids
+   * @param {array<string>} blocks - the list of block _ids
+   */
+  async removeBlocks(blocks) {
+    await removeElements(this.blocks, { _id: { $in: blocks } });
+    this.log(`Blocks ${blocks.join(",")} have been removed`);
+  }
+
+  /**
+   * updates all utxos spent by the given transactions to mark them as unspent again
+   * (it does not need the transactions themselves)
+   * @param {array<string>} txIds - the list of transaction _ids
+   */
+  async releaseUtxos(txIds) {
+    const utxos = await getElements(
+      this.utxos,
+      { txIn: { $in: txIds } },
+      0,
+      Number.MAX_SAFE_INTEGER,
+      1,
+    );
+    for (const utxo of utxos) {
+      // the transaction is updated first so that the utxo is still found if this is interrupted
+      await updateElement(
+        this.transactions,
+        { _id: utxo.transaction },
+        { $unset: { [`utxoOuts.${utxo.output}.txIn`]: true } },
+      );
+      await updateElement(this.utxos, { _id: utxo._id }, { $unset: { txIn: true } });
+      this.log(
+        `Address ${utxo.address} has been released (transaction ${utxo.transaction})`,
+      );
+    }
+  }
+
+  /**
+   * applies a batch of changes entirely: the batch is written in the journal before being applied
+   * and removed from it once applied so that an interrupted batch is applied again by recover
+   * (every change can be applied several times with the same result)
+   * a change is one of:
+   * - {op: "addBlock", data} adds a block (unless it exists already)
+   * - {op: "addTransaction", data} adds a transaction (unless it exists already, the node checks that its _id is new)
+   * - {op: "spend", txIn, utxos} marks the utxos, given as entry _ids, as spent (see spendUtxoEntries)
+   * - {op: "release", transactions} marks the utxos spent by the transactions as unspent (see releaseUtxos)
+   * - {op: "confirm", block, transactions} confirms the transactions (see confirmTransactions)
+   * - {op: "unconfirm", transactions} puts the transactions back in the transaction pool (see unconfirmTransactions)
+   * - {op: "remove", transactions} removes the transactions (see removeTransactions)
+   * @param {array<object>} changes - the list of changes (applied in order)
+   */
+  async commit(changes) {
+    const entry = await addElement(this.journal, { changes });
+    await this.applyChanges(changes);
+    await removeElements(this.journal, { _id: entry._id });
+  }
+
+  /**
+   * applies a list of changes (see commit)
+   * @param {array<object>} changes - the list of changes
+   */
+  async applyChanges(changes) {
+    for (const change of changes) {
+      switch (change.op) {
+        case "addBlock":
+          if (!(await getElement(this.blocks, { _id: change.data._id }))) await this.addBlock(change.data);
+          break;
+        case "addTransaction":
+          if (!(await getElement(this.transactions, { _id: change.data._id }))) await this.addTransaction(change.data);
+          break;
+        case "spend":
+          await this.spendUtxoEntries(change.txIn, change.utxos);
+          break;
+        case "release":
+          await this.releaseUtxos(change.transactions);
+          break;
+        case "confirm":
+          await this.confirmTransactions(change.block, change.transactions);
+          break;
+        case "unconfirm":
+          await this.unconfirmTransactions(change.transactions);
+          break;
+        case "remove":
+          await this.removeTransactions(change.transactions);
+          break;
+        default:
+          throw new Error(`Unknown change ${change.op}`);
+      }
+    }
+  }
+
+  /**
+   * repairs the database after a crash: applies again the batches left in the journal
+   * and releases the utxos spent by transactions that do not exist
+   * returns the number of batches applied again and the number of utxos released
+   */
+  async recover() {
+    const entries = await getElements(this.journal, {}, 0, Number.MAX_SAFE_INTEGER, 1);
+    for (const entry of entries) {
+      await this.applyChanges(entry.changes);
+      await removeElements(this.journal, { _id: entry._id });
+    }
+    const spent = await getElements(
+      this.utxos,
+      { txIn: { $exists: true } },
+      0,
+      Number.MAX_SAFE_INTEGER,
+      1,
+    );
+    const txIns = [...new Set(spent.map((utxo) => utxo.txIn))];
+    const existing = await getElements(
+      this.transactions,
+      { _id: { $in: txIns } },
+      0,
+      Number.MAX_SAFE_INTEGER,
+      1,
+    );
+    const found = new Set(existing.map((tx) => tx._id));
+    const orphans = txIns.filter((txIn) => !found.has(txIn));
+    const released = spent.filter((utxo) => !found.has(utxo.txIn)).length;
+    if (orphans.length > 0) await this.releaseUtxos(orphans);
+    if (entries.length > 0 || released > 0) {
+      this.log(`Database recovered: ${entries.length} batch(es) applied, ${released} utxo(s) released`);
+    }
+    return { batches: entries.length, released };
+  }
+
+  /**
+   * removes all blocks and transactions
+   */
+  async clear() {
+    await removeElements(this.blocks, {});
+    await removeElements(this.transactions, {});
+    await removeElements(this.utxos, {});
+    await removeElements(this.journal, {});
+    this.log("Database has been cleared");
+  }
+
+  /**
+   * replaces the content of every collection with the one of another database (e.g stored with another backend)
+   * the elements keep their _id and timestamps, returns the number of elements copied by collection
+   * @param {object} source - the database to copy
+   */
+  async copyFrom(source) {
+    const counts = {};
+    const collections = source.getCollections();
+    for (const [name, collection] of Object.entries(this.getCollections())) {
+      const elements = await collections[name].find({}, { createdAt: 1 }, 0, Number.MAX_SAFE_INTEGER);
+      await collection.remove({});
+      if (elements.length > 0) await collection.insert(elements);
+      counts[name] = elements.length;
+    }
+    this.log(`Database has been copied from ${source.storage} storage`);
+    return counts;
+  }
+
+  /**
+   * rebuilds the utxos collection from the transactions collection and returns the number of utxos
+   */
+  async rebuildUtxos() {
+    await removeElements(this.utxos, {});
+    const transactions = await getElements(
+      this.transactions,
+      {},
+      0,
+      Number.MAX_SAFE_INTEGER,
+      1,
+    );
+    const entries = transactions.flatMap(getUtxoEntries);
+    if (entries.length > 0) await addElement(this.utxos, entries);
+    this.log(`${entries.length} utxo(s) have been indexed`);
+    return entries.length;
+  }
+
+  /**
+   * rebuilds the utxos collection of a database created before the collection existed (i.e with transactions but no utxo)
+   * or when it was keyed by address (i.e its entries have no address field)
+   * returns true if the collection has been rebuilt
+   */
+  async upgrade() {
+    const entry = await getElement(this.utxos, {});
+    if (entry && "address" in entry) return false;
+    if (!entry && !(await getElement(this.transactions, {}))) return false;
+    await this.rebuildUtxos();
+    return true;
   }
 }
@@ -0,0 +1,123 @@
+/* Copyright (C) 2023 Thierry Sans - All Rights Reserved
+ */
+
+import { join, resolve } from "path";
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, truncateSync, writeFileSync } from "fs";
+
+import { MemoryCollection } from "./storage-memory.mjs";
+
+// the loading of each log file of the process (it is read once, see load)
+const loads = new Map();
+
+export class LogCollection extends MemoryCollection {
+  /**
+   * initializes a collection stored in an append-only log file (<path>/<name>.log)
+   * the log is read once and the collection is then queried in memory, every change being appended to the log
+   * (one JSON line per change: {put: [elements]} or {remove: [_ids]})
+   * @param {string} path - the directory where the log files are stored
+   * @param {string} name - the name of the collection
+   * @param {array<string>} indexes - the other fields to index
+   */
+  constructor(path, name, indexes = []) {
+    super(path, `${name}.log`, indexes);
+    this.filename = join(path, `${name}.log`);
+  }
+
+  async insert(data) {
+    await this.load();
+    const elements = await super.insert(data);
+    this.append({ put: Array.isArray(elements) ? elements : [elements] });
+    return elements;
+  }
+
+  async update(query, data, multi) {
+    await this.load();
+    const elements = await super.update(query, data, multi);
+    if (elements.length > 0) this.append({ put: elements });
+    return elements;
+  }
+
+  async remove(query) {
+    await this.load();
+    const elements = await this.datastore.findAsync(query);
+    if (elements.length === 0) return 0;
+    const ids = elements.map((element) => element._id);
+    const count = await super.remove({ _id: { $in: ids } });
+    this.append({ remove: ids });
+    return count;
+  }
+
+  async findOne(query) {
+    await this.load();
+    return super.findOne(query);
+  }
+
+  async find(query, sort, skip, limit) {
+    await this.load();
+    return super.find(query, sort, skip, limit);
+  }
+
+  /**
+   * forgets the content loaded in memory (the log is read again by the next instance)
+   */
+  close() {
+    super.close();
+    loads.delete(this.key);
+  }
+
+  /**
+   * reads the log (once per process) and rewrites it when it holds more changes than elements
+   * the last line is dropped when it has not been entirely written, any other line that cannot be read is an error
+   */
+  load() {
+    if (!loads.has(this.key)) loads.set(this.key, this.replay());
+    return loads.get(this.key);
+  }
+
+  async replay() {
+    mkdirSync(resolve(this.filename, ".."), { recursive: true });
+    const elements = new Map();
+    const content = existsSync(this.filename) ? readFileSync(this.filename, "utf-8") : "";
+    const lines = content.split("\n");
+    let changes = 0;
+    for (const [i, line] of lines.entries()) {
+      if (line.trim().length === 0) continue;
+      let change;
+      try {
+        change = deserialize(line);
+      } catch (err) {
+        // every change ends with a new line: only the last one can be incomplete (the process stopped while appending it)
+        if (i < lines.length - 1) throw new Error(`Log ${this.filename} is corrupted at line ${i + 1}: ${err.message}`);
+        // it is removed so that the next change is appended on its own line
+        truncateSync(this.filename, Buffer.byteLength(content) - Buffer.byteLength(line));
+        continue;
+      }
+      changes++;
+      for (const element of change.put || []) elements.set(element._id, element);
+      for (const id of change.remove || []) elements.delete(id);
+    }
+    if (elements.size > 0) await this.datastore.insertAsync([...elements.values()]);
+    if (changes > 2 * elements.size) {
+      const compacted = elements.size > 0 ? serialize({ put: [...elements.values()] }) + "\n" : "";
+      writeFileSync(`${this.filename}.tmp`, compacted);
+      renameSync(`${this.filename}.tmp`, this.filename);
+    }
+  }
+
+  append(change) {
+    appendFileSync(this.filename, serialize(change) + "\n");
+  }
+}
+
+// dates are encoded as {$$date: milliseconds} (like NeDB does) so that they are still dates when the log is read
+function serialize(change) {
+  return JSON.stringify(change, function (key, value) {
+    return this[key] instanceof Date ? { $$date: this[key].getTime() } : value;
+  });
+}
+
+function deserialize(line) {
+  return JSON.parse(line, function (key, value) {
+    return value !== null && typeof value === "object" && typeof value.$$date === "number" ? new Date(value.$$date) : value;
+  });
+}
@@ -0,0 +1,82 @@
+/* Copyright (C) 2023 Thierry Sans - All Rights Reserved
+ */
+
+import { join, resolve } from "path";
+import Datastore from "@seald-io/nedb";
+
+// the datastores of the process by collection path, so that the instances opened on the same path share them (like files)
+const datastores = new Map();
+
+export class MemoryCollection {
+  /**
+   * initializes a collection kept in memory only (for tests and simulations)
+   * its content lasts as long as the process, unless it is dropped
+   * @param {string} path - the directory of the database (it identifies the collection within the process)
+   * @param {string} name - the name of the collection
+   * @param {array<string>} indexes - the other fields to index
+   */
+  constructor(path, name, indexes = []) {
+    this.key = resolve(join(path, name));
+    if (!datastores.has(this.key)) {
+      const datastore = new Datastore({ inMemoryOnly: true, timestampData: true });
+      // the index is built right away, only its (missing) persistence is asynchronous
+      for (const fieldName of indexes) datastore.ensureIndexAsync({ fieldName });
+      datastores.set(this.key, datastore);
+    }
+    this.datastore = datastores.get(this.key);
+  }
+
+  /**
+   * adds one element (or a list of elements) and returns it
+   * @param {object} data - the element (or the list of elements)
+   */
+  insert(data) {
+    return this.datastore.insertAsync(data);
+  }
+
+  /**
+   * updates the elements matching the query and returns the updated ones
+   * @param {object} query - the NeDB query
+   * @param {object} data - the NeDB update (modifiers or a replacement)
+   * @param {boolean} multi - whether all matching elements are updated (or only the first one)
+   */
+  async update(query, data, multi) {
+    const { affectedDocuments } = await this.datastore.updateAsync(query, data, { multi, returnUpdatedDocs: true });
+    if (!affectedDocuments) return [];
+    return Array.isArray(affectedDocuments) ? affectedDocuments : [affectedDocuments];
+  }
+
+  /**
+   * removes the elements matching the query and returns their number
+   * @param {object} query - the NeDB query
+   */
+  remove(query) {
+    return this.datastore.removeAsync(query, { multi: true });
+  }
+
+  /**
+   * retrieves the first element matching the query (or null)
+   * @param {object} query - the NeDB query
+   */
+  findOne(query) {
+    return this.datastore.findOneAsync(query);
+  }
+
+  /**
+   * retrieves the elements matching the query
+   * @param {object} query - the NeDB query
+   * @param {object} sort - the NeDB sort object
+   * @param {number} skip - the number of elements skipped
+   * @param {number} limit - the maximum number of elements
+   */
+  async find(query, sort, skip, limit) {
+    return this.datastore.findAsync(query).sort(sort).skip(skip).limit(limit);
+  }
+
+  /**
+   * forgets the content of the collection
+   */
+  close() {
+    datastores.delete(this.key);
+  }
+}
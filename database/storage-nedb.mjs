@@ -0,0 +1,88 @@
+/* Copyright (C) 2023 Thierry Sans - All Rights Reserved
+ */
+
+import { join } from "path";
+import Datastore from "@seald-io/nedb";
+
+export class NedbCollection {
+  /**
+   * initializes a collection stored in a NeDB file (<path>/<name>.db)
+   * the file is loaded again before every query so that several processes (e.g a node and the CLI) can share it
+   * @param {string} path - the directory where NeDB stores the files
+   * @param {string} name - the name of the collection
+   * @param {array<string>} indexes - the other fields to index
+   */
+  constructor(path, name, indexes = []) {
+    this.datastore = new Datastore({
+      filename: join(path, `${name}.db`),
+      autoload: false,
+      timestampData: true,
+    });
+    this.indexes = indexes;
+  }
+
+  /**
+   * loads the file again (the indexes are created once, NeDB keeps them when the file is loaded again)
+   */
+  async load() {
+    await this.datastore.loadDatabaseAsync();
+    for (const fieldName of this.indexes) await this.datastore.ensureIndexAsync({ fieldName });
+  }
+
+  /**
+   * adds one element (or a list of elements) and returns it
+   * @param {object} data - the element (or the list of elements)
+   */
+  async insert(data) {
+    await this.load();
+    return this.datastore.insertAsync(data);
+  }
+
+  /**
+   * updates the elements matching the query and returns the updated ones
+   * @param {object} query - the NeDB query
+   * @param {object} data - the NeDB update (modifiers or a replacement)
+   * @param {boolean} multi - whether all matching elements are updated (or only the first one)
+   */
+  async update(query, data, multi) {
+    await this.load();
+    const { affectedDocuments } = await this.datastore.updateAsync(query, data, { multi, returnUpdatedDocs: true });
+    if (!affectedDocuments) return [];
+    return Array.isArray(affectedDocuments) ? affectedDocuments : [affectedDocuments];
+  }
+
+  /**
+   * removes the elements matching the query and returns their number
+   * @param {object} query - the NeDB query
+   */
+  async remove(query) {
+    await this.load();
+    return this.datastore.removeAsync(query, { multi: true });
+  }
+
+  /**
+   * retrieves the first element matching the query (or null)
+   * @param {object} query - the NeDB query
+   */
+  async findOne(query) {
+    await this.load();
+    return this.datastore.findOneAsync(query);
+  }
+
+  /**
+   * retrieves the elements matching the query
+   * @param {object} query - the NeDB query
+   * @param {object} sort - the NeDB sort object
+   * @param {number} skip - the number of elements skipped
+   * @param {number} limit - the maximum number of elements
+   */
+  async find(query, sort, skip, limit) {
+    await this.load();
+    return this.datastore.findAsync(query).sort(sort).skip(skip).limit(limit);
+  }
+
+  /**
+   * releases the collection (nothing is kept in memory between queries)
+   */
+  close() {}
+}
@@ -0,0 +1,36 @@
+/* Copyright (C) 2023 Thierry Sans - All Rights Reserved
+ */
+
+import { NedbCollection } from "./storage-nedb.mjs";
+import { MemoryCollection } from "./storage-memory.mjs";
+import { LogCollection } from "./storage-log.mjs";
+
+/**
+ * the storage backends (the "storage" field of config.json), all of them implementing the same collection interface:
+ * insert(data), update(query, data, multi), remove(query), findOne(query), find(query, sort, skip, limit) and close()
+ * where queries, updates and sorts follow the NeDB syntax and the elements get the createdAt and updatedAt fields
+ * (the _id field and the fields given when the collection is opened are indexed)
+ * - nedb: one NeDB file per collection, loaded again before every query (the default)
+ * - memory: the collections are kept in memory by the process (for tests and simulations)
+ * - log: one append-only log file per collection, loaded once and queried in memory
+ */
+export const backends = {
+  nedb: NedbCollection,
+  memory: MemoryCollection,
+  log: LogCollection,
+};
+
+/**
+ * opens a collection with the given storage backend
+ * @param {string} storage - the name of the backend
+ * @param {string} path - the directory of the database
+ * @param {string} name - the name of the collection
+ * @param {array<string>} indexes - the other fields to index (the fields that queries look elements up by)
+ */
+export function openCollection(storage, path, name, indexes = []) {
+  const Collection = backends[storage];
+  if (!Collection) {
+    throw new Error(`Unknown storage backend ${storage} (${Object.keys(backends).join(", ")})`);
+  }
+  return new Collection(path, name, indexes);
+}
@@ -0,0 +1,172 @@
+import { createServer } from "http";
+import { networkInterfaces } from "os";
+import axios from "axios";
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { DotcoinNetwork } from "../app/network.mjs";
+import { createApp } from "../app/api.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testApi";
+
+// changes the last character of a base58 string so that its checksum does not match anymore
+function corrupt(s) {
+  return s.slice(0, -1) + (s.endsWith("2") ? "3" : "2");
+}
+
+describe("Testing HTTP API Validation", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  const url = "http://localhost:3200";
+  // the responses are returned whatever their status
+  const http = axios.create({ baseURL: url, proxy: false, validateStatus: () => true });
+  let client;
+  let server;
+  let node;
+
+  before(async function () {
+    server = new DotcoinServer({ ...config, path: databasePath });
+    client = new DotcoinClient({ ...config, path: databasePath });
+    node = createServer(createApp(server, new DotcoinNetwork(server, { url })));
+    await new Promise((resolve) => node.listen(3200, resolve));
+  });
+
+  after(function () {
+    node.close();
+    server.destroy();
+  });
+
+  it("it should accept a valid block", async function () {
+    for (let i = 0; i < 2; i++) {
+      const blockData = await client.mine(0);
+      const res = await http.put("/blocks/", blockData);
+      expect(res.status).to.be.equal(200);
+      expect(res.data._id).to.be.equal(blockData.block._id);
+    }
+  });
+
+  it("it should reject a malformed block with the path of the invalid field", async function () {
+    const { block, coinbase, transactions } = await client.mine(0);
+    let res = await http.put("/blocks/", { block: { ...block, height: "2" }, coinbase, transactions });
+    expect(res.status).to.be.equal(400);
+    expect(res.data).to.include({ code: "invalid_request", path: "block.height" });
+    res = await http.put("/blocks/", { block, transactions });
+    expect(res.status).to.be.equal(400);
+    expect(res.data).to.include({ code: "invalid_request", path: "coinbase" });
+  });
+
+  it("it should reject a malformed transaction", async function () {
+    const txParams = await client.createTransaction(0, await client.getReceivingAddress(1), 10);
+    let res = await http.put("/transactions/", { ...txParams, utxoOuts: undefined });
+    expect(res.status).to.be.equal(400);
+    expect(res.data).to.deep.equal({ code: "invalid_request", message: '"utxoOuts" is required', path: "utxoOuts" });
+    const utxoOuts = [{ ...txParams.utxoOuts[0], amount: -1 }];
+    res = await http.put("/transactions/", { ...txParams, utxoOuts });
+    expect(res.data).to.include({ code: "invalid_request", path: "utxoOuts.0.amount" });
+    res = await http.put("/transactions/", "{not json", { headers: { "Content-Type": "application/json" } });
+    expect(res.status).to.be.equal(400);
+    expect(res.data.code).to.be.equal("invalid_json");
+  });
+
+  it("it should report a transaction rejected by the node", async function () {
+    const txParams = await client.createTransaction(0, await client.getReceivingAddress(1), 10);
+    const res = await http.put("/transactions/", { ...txParams, signatures: txParams.signatures.slice(1) });
+    expect(res.status).to.be.equal(400);
+    expect(res.data.code).to.be.equal("rejected");
+    expect(res.data.path).to.be.null;
+  });
+
+  it("it should reject the addresses and signatures that cannot be decoded", async function () {
+    const txParams = await client.createTransaction(0, await client.getReceivingAddress(1), 10);
+    const [payment, ...change] = txParams.utxoOuts;
+    let res = await http.put("/transactions/", { ...txParams, utxoOuts: [{ ...payment, address: corrupt(payment.address) }, ...change] });
+    expect(res.status).to.be.equal(400);
+    expect(res.data).to.include({ code: "invalid_request", path: "utxoOuts.0.address" });
+    res = await http.put("/transactions/", { ...txParams, utxoIns: [corrupt(txParams.utxoIns[0]), ...txParams.utxoIns.slice(1)] });
+    expect(res.data).to.include({ code: "invalid_request", path: "utxoIns.0" });
+    res = await http.put("/transactions/", { ...txParams, signatures: ["not a signature", ...txParams.signatures.slice(1)] });
+    expect(res.data).to.include({ code: "invalid_request", path: "signatures.0" });
+    // multisig addresses with an invalid checksum or whose content is not a list of keys (a hash here)
+    const multisig = utils.encodeMultisigAddress(1, [await client.getReceivingAddress(2)]);
+    for (const address of [corrupt(multisig), `msig${txParams._id}`]) {
+      res = await http.put("/transactions/", { ...txParams, utxoOuts: [{ ...payment, address }, ...change] });
+      expect(res.data).to.include({ code: "invalid_request", path: "utxoOuts.0.address" });
+    }
+    expect(await server.getTransaction(txParams._id)).to.be.null;
+  });
+
+  it("it should reject the hashes and the coinbase address that cannot be decoded", async function () {
+    const { block, coinbase, transactions } = await client.mine(0);
+    for (const field of ["nonce", "previous", "root"]) {
+      const res = await http.put("/blocks/", { block: { ...block, [field]: corrupt(block[field]) }, coinbase, transactions });
+      expect(res.status).to.be.equal(400);
+      expect(res.data).to.include({ code: "invalid_request", path: `block.${field}` });
+    }
+    const [reward] = coinbase.utxoOuts;
+    const utxoOuts = [{ ...reward, address: corrupt(reward.address) }];
+    const res = await http.put("/blocks/", { block, coinbase: { ...coinbase, utxoOuts }, transactions });
+    expect(res.status).to.be.equal(400);
+    expect(res.data).to.include({ code: "invalid_request", path: "coinbase.utxoOuts.0.address" });
+    expect(await server.getBlock(block._id)).to.be.null;
+  });
+
+  it("it should validate the query parameters", async function () {
+    let res = await http.get("/blocks/", { params: { limit: 1, sort: 1 } });
+    expect(res.status).to.be.equal(200);
+    expect(res.data.map((block) => block.height)).to.deep.equal([0]);
+    res = await http.get("/transactions/", { params: { limit: "ten" } });
+    expect(res.status).to.be.equal(400);
+    expect(res.data).to.include({ code: "invalid_request", path: "limit" });
+    res = await http.get("/sync/blocks/", { params: { since: (await server.getTip())._id, height: 1 } });
+    expect(res.status).to.be.equal(400);
+  });
+
+  it("it should only serve the admin routes to the local host when the node has no admin token", async function () {
+    let res = await http.delete("/mempool/expired/");
+    expect(res.status).to.be.equal(200);
+    expect(res.data).to.deep.equal([]);
+    const [external] = Object.values(networkInterfaces())
+      .flat()
+      .filter(({ family, internal }) => family === "IPv4" && !internal);
+    if (!external) return this.skip();
+    res = await http.delete(`http://${external.address}:3200/mempool/expired/`);
+    expect(res.status).to.be.equal(403);
+    expect(res.data).to.include({ code: "forbidden" });
+    res = await http.get(`http://${external.address}:3200/mempool/expired/`);
+    expect(res.status).to.be.equal(200);
+  });
+
+  it("it should return a 404 for a missing resource", async function () {
+    const tip = await server.getTip();
+    expect((await http.get(`/blocks/${tip._id}/`)).data._id).to.be.equal(tip._id);
+    let res = await http.get(`/blocks/${tip.coinbase._id}/`);
+    expect(res.status).to.be.equal(404);
+    expect(res.data.code).to.be.equal("not_found");
+    res = await http.get(`/transactions/${tip._id}/`);
+    expect(res.status).to.be.equal(404);
+    res = await http.get(`/transactions/${tip._id}/proof/`);
+    expect(res.status).to.be.equal(404);
+    res = await http.get("/transactions/0OIl/");
+    expect(res.status).to.be.equal(400);
+    expect(res.data.path).to.be.equal("id");
+    res = await http.get("/unknown/");
+    expect(res.status).to.be.equal(404);
+  });
+
+  it("it should return a 500 for an unexpected error", async function () {
+    const getTip = server.getTip;
+    server.getTip = () => Promise.reject(new TypeError("unexpected"));
+    const res = await http.get("/status/");
+    server.getTip = getTip;
+    expect(res.status).to.be.equal(500);
+    expect(res.data).to.deep.equal({ code: "internal_error", message: "Internal server error", path: null });
+  });
+});
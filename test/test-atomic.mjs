@@ -0,0 +1,176 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { DotcoinNetwork } from "../app/network.mjs";
+import { addElement, getElements } from "../database/database-core.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testAtomic";
+
+describe("Testing Atomic Writes", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let server;
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    for (let i = 0; i < 2; i++) {
+      const { block, coinbase, transactions } = await client1.mine(0);
+      await server.addBlock(block, coinbase, transactions);
+    }
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should admit only one of two concurrent transactions spending the same utxo", async function () {
+    // both transactions are built before any of them is added so that they spend the same utxo
+    const txParams1 = await client1.createTransaction(0, await client2.getReceivingAddress(0), 10);
+    const txParams2 = await client1.createTransaction(0, await client2.getReceivingAddress(1), 20);
+    const results = await Promise.allSettled([server.addTransaction(txParams1), server.addTransaction(txParams2)]);
+    const fulfilled = results.filter((result) => result.status === "fulfilled");
+    const rejected = results.filter((result) => result.status === "rejected");
+    expect(fulfilled).to.have.lengthOf(1);
+    expect(rejected).to.have.lengthOf(1);
+    expect(rejected[0].reason.name).to.be.equal("ValidationError");
+    const [input] = fulfilled[0].value.utxoIns;
+    expect(await server.getUtxo(input)).to.include({ txIn: fulfilled[0].value._id });
+    expect(await getElements(server.db.journal, {}, 0, Number.MAX_SAFE_INTEGER, 1)).to.have.lengthOf(0);
+  });
+
+  it("it should not let a transaction take the _id of a confirmed transaction", async function () {
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(3), 10);
+    const tx = await server.addTransaction(txParams);
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+    const [payment] = tx.utxoOuts;
+    // a valid transaction that reuses the _id of the confirmed one
+    const forged = await client1.createTransaction(0, await client2.getReceivingAddress(4), 5);
+    let err = await server.addTransaction({ ...forged, _id: tx._id }).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("does not match its hash");
+    // the confirmed transaction itself cannot be added again
+    err = await server.addTransaction(txParams).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("already exists");
+    expect(await server.getTransaction(tx._id)).to.include({ block: block._id });
+    expect(await server.getUtxo(payment.address)).to.include({ amount: 10, block: block._id });
+    for (const input of forged.utxoIns) expect(await server.getUtxo(input)).to.not.have.property("txIn");
+    expect(await server.verifyChain()).to.include({ valid: true });
+  });
+
+  it("it should not let a re-signed transaction keep its _id", async function () {
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(4), 5);
+    const other = await client1.createTransaction(0, await client2.getReceivingAddress(4), 6);
+    // the signature is part of the transaction hash
+    const resigned = { ...txParams, signatures: [other.signatures[0], ...txParams.signatures.slice(1)] };
+    expect(utils.getTransactionHash(resigned)).to.not.be.equal(txParams._id);
+    const err = await server.addTransaction(resigned).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("does not match its hash");
+    expect(await server.getTransaction(txParams._id)).to.be.null;
+  });
+
+  it("it should admit only one of two concurrent submissions of the same transaction", async function () {
+    const network = new DotcoinNetwork(server);
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(5), 10);
+    const results = await Promise.allSettled([network.acceptTransaction(txParams), network.acceptTransaction(txParams)]);
+    const fulfilled = results.filter((result) => result.status === "fulfilled");
+    expect(fulfilled.length).to.be.at.least(1);
+    for (const result of results) {
+      if (result.status === "rejected") expect(result.reason.message).to.contain("already exists");
+    }
+    for (const input of txParams.utxoIns) expect(await server.getUtxo(input)).to.include({ txIn: txParams._id });
+    const pending = await server.getTransactions(0, Number.MAX_SAFE_INTEGER, 1, true);
+    expect(pending.filter((tx) => tx._id === txParams._id)).to.have.lengthOf(1);
+  });
+
+  it("it should let a block replace the pending transactions that spend the same utxos", async function () {
+    const payment = await client1.createTransaction(0, await client2.getReceivingAddress(6), 10);
+    const conflicting = await client1.createTransaction(0, await client2.getReceivingAddress(7), 20);
+    expect(conflicting.utxoIns).to.include(payment.utxoIns[0]);
+    await server.addTransaction(payment);
+    // the node does not have the conflicting transaction: the block gives it in full
+    const template = await server.getBlockTemplate();
+    const candidate = { ...template, transactions: [conflicting], reward: config.amount };
+    const { block, coinbase } = await client1.mine(0, candidate);
+    let err = await server.addBlock(block, coinbase, [conflicting._id]).catch((err) => err);
+    expect(err.message).to.contain("does not exist");
+    await server.addBlock(block, coinbase, [conflicting]);
+    expect((await server.getTip())._id).to.be.equal(block._id);
+    expect(await server.getTransaction(payment._id)).to.be.null;
+    expect((await server.getTransaction(conflicting._id)).block).to.be.equal(block._id);
+    expect(await server.getUtxo(payment.utxoIns[0])).to.include({ txIn: conflicting._id });
+    // a transaction given in full cannot replace a confirmed one
+    const next = await client1.mine(0, { ...(await server.getBlockTemplate()), transactions: [payment], reward: config.amount });
+    err = await server.addBlock(next.block, next.coinbase, [payment]).catch((err) => err);
+    expect(err.message).to.contain("has already been spent");
+    expect(await server.getTransaction(payment._id)).to.be.null;
+    expect((await server.verifyChain()).valid).to.be.true;
+  });
+
+  it("it should leave the transaction pool unchanged when a block is rejected", async function () {
+    const payment = await client1.createTransaction(0, await client2.getReceivingAddress(8), 10);
+    const conflicting = await client1.createTransaction(0, await client2.getReceivingAddress(9), 20);
+    await server.addTransaction(payment);
+    // the block gives the conflicting transaction in full but its coinbase claims more than the amount and the fees
+    const template = await server.getBlockTemplate();
+    const candidate = { ...template, transactions: [conflicting], reward: config.amount + 1 };
+    const { block, coinbase } = await client1.mine(0, candidate);
+    const err = await server.addBlock(block, coinbase, [conflicting]).catch((err) => err);
+    expect(err.message).to.be.equal("Invalid coinbase transaction");
+    expect(await server.getBlock(block._id)).to.be.null;
+    expect(await server.getTransaction(conflicting._id)).to.be.null;
+    expect(await server.getTransaction(payment._id)).to.include({ block: null });
+    expect(await server.getUtxo(payment.utxoIns[0])).to.include({ txIn: payment._id });
+    expect((await server.verifyChain()).valid).to.be.true;
+  });
+
+  it("it should apply again a batch interrupted by a crash", async function () {
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(2), 5);
+    const [input] = txParams.utxoIns;
+    const record = { ...txParams, _id: "pending", block: null, date: new Date() };
+    const utxos = (await server.db.getInputs(txParams)).map((utxo) => utxo._id);
+    // the batch has been written in the journal but only its first change has been applied
+    const changes = [
+      { op: "spend", txIn: record._id, utxos },
+      { op: "addTransaction", data: record },
+    ];
+    await addElement(server.db.journal, { changes });
+    await server.db.applyChanges(changes.slice(0, 1));
+    expect(await server.getTransaction(record._id)).to.be.null;
+    expect(await server.recover()).to.deep.equal({ batches: 1, released: 0 });
+    expect(await server.getTransaction(record._id)).to.include({ _id: record._id, block: null });
+    expect(await server.getUtxo(input)).to.include({ txIn: record._id });
+    expect(await server.recover()).to.deep.equal({ batches: 0, released: 0 });
+    await server.db.commit([
+      { op: "release", transactions: [record._id] },
+      { op: "remove", transactions: [record._id] },
+    ]);
+    expect(await server.getUtxo(input)).to.not.have.property("txIn");
+  });
+
+  it("it should release the utxos spent by a transaction that does not exist", async function () {
+    const tip = await server.getTip();
+    const address = tip.coinbase.utxoOuts[0].address;
+    // a crash before the journal existed left the utxo spent by a transaction that was never added
+    await server.db.spendUtxos("missing", [address]);
+    expect(await server.getUtxo(address)).to.include({ txIn: "missing" });
+    expect(await server.recover()).to.deep.equal({ batches: 0, released: 1 });
+    expect(await server.getUtxo(address)).to.not.have.property("txIn");
+    const coinbase = await server.getTransaction(tip.coinbase._id);
+    expect(coinbase.utxoOuts[0]).to.not.have.property("txIn");
+  });
+});
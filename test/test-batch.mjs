@@ -0,0 +1,89 @@
+import { mkdirSync, writeFileSync } from "fs";
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { readRecipients } from "../app/storage.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testBatch";
+
+describe("Testing Batch Payments", function () {
+  this.timeout(10000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let client3;
+  let server;
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    client3 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should read recipients from CSV and JSON files", function () {
+    mkdirSync(databasePath, { recursive: true });
+    writeFileSync(`${databasePath}/recipients.csv`, "address,amount\nxpubA, 10\r\n\nxpubB,20\n");
+    writeFileSync(
+      `${databasePath}/recipients.json`,
+      JSON.stringify([{ address: "xpubA", amount: 10 }, { address: "xpubB", amount: "20" }]),
+    );
+    const expected = [
+      { address: "xpubA", amount: 10 },
+      { address: "xpubB", amount: 20 },
+    ];
+    expect(readRecipients(`${databasePath}/recipients.csv`)).to.deep.equal(expected);
+    expect(readRecipients(`${databasePath}/recipients.json`)).to.deep.equal(expected);
+  });
+
+  it("it should reject an invalid recipient", async function () {
+    const address = await client2.getReceivingAddress(0);
+    for (const recipients of [[], [{ address, amount: 0 }], [{ address, amount: 1.5 }]]) {
+      const err = await client1
+        .createBatchTransaction(0, recipients)
+        .catch((err) => err);
+      expect(err.name).to.be.equal("ClientError");
+    }
+  });
+
+  it("it should pay several recipients in a single transaction", async function () {
+    const address2 = await client2.getReceivingAddress(0);
+    const address3 = await client3.getReceivingAddress(0);
+    const txParams = await client1.createBatchTransaction(
+      0,
+      [
+        { address: address2, amount: 10 },
+        { address: address3, amount: 20 },
+        { address: address2, amount: 30 },
+      ],
+      2,
+    );
+    expect(txParams.utxoOuts.map((utxo) => utxo.amount)).to.deep.equal([10, 20, 30, 38]);
+    expect(new Set(txParams.utxoOuts.map((utxo) => utxo.address)).size).to.be.equal(4);
+    await server.addTransaction(txParams);
+    const { block, coinbase, transactions } = await client3.mine(1);
+    await server.addBlock(block, coinbase, transactions);
+  });
+
+  it("it should return the balances of the recipients", async function () {
+    const { usable: usable1 } = await client1.getBalance(0);
+    expect(usable1).to.be.equal(38);
+    const { usable: usable2 } = await client2.getBalance(0);
+    expect(usable2).to.be.equal(40);
+    const { usable: usable3 } = await client3.getBalance(0);
+    expect(usable3).to.be.equal(20);
+  });
+});
@@ -0,0 +1,105 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { strategies } from "../core/coin-selection.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testCoinSelection";
+
+function amounts(utxos) {
+  return utxos.map((utxo) => utxo.amount);
+}
+
+describe("Testing Coin Selection Strategies", function () {
+  const utxos = [
+    { address: "a", amount: 30, type: "receive" },
+    { address: "b", amount: 5, type: "change" },
+    { address: "c", amount: 50, type: "receive" },
+    { address: "d", amount: 15, type: "change" },
+    { address: "e", amount: 40, type: "change" },
+  ];
+
+  it("it should select the utxos in order", function () {
+    expect(amounts(strategies["in-order"](utxos, 32))).to.deep.equal([30, 5]);
+  });
+
+  it("it should select the largest utxos first", function () {
+    expect(amounts(strategies["largest-first"](utxos, 60))).to.deep.equal([50, 40]);
+  });
+
+  it("it should select the smallest utxos first", function () {
+    expect(amounts(strategies["smallest-first"](utxos, 20))).to.deep.equal([5, 15]);
+  });
+
+  it("it should find an exact match", function () {
+    expect(amounts(strategies["branch-and-bound"](utxos, 85))).to.deep.equal([50, 30, 5]);
+    expect(amounts(strategies["branch-and-bound"](utxos, 60))).to.deep.equal([40, 15, 5]);
+  });
+
+  it("it should fall back to largest-first without an exact match", function () {
+    expect(amounts(strategies["branch-and-bound"](utxos, 139))).to.deep.equal([50, 40, 30, 15, 5]);
+    expect(amounts(strategies["branch-and-bound"](utxos, 1))).to.deep.equal([50]);
+  });
+
+  it("it should not mix the receive and change branches", function () {
+    const selection = strategies.privacy(utxos, 55);
+    expect(amounts(selection)).to.deep.equal([40, 15]);
+    expect(selection.every((utxo) => utxo.type === "change")).to.be.true;
+    expect(amounts(strategies.privacy(utxos, 70))).to.deep.equal([50, 30]);
+    expect(amounts(strategies.privacy(utxos, 100))).to.deep.equal([50, 40, 30]);
+  });
+
+  it("it should return null when the utxos cannot cover the amount", function () {
+    for (const select of Object.values(strategies)) {
+      expect(select(utxos, 141)).to.be.null;
+    }
+  });
+
+  describe("with a wallet", function () {
+    this.timeout(10000);
+    const config = {
+      difficulty: 1,
+      amount: 100,
+      limit: 1024,
+    };
+    let client1;
+    let client2;
+    let server;
+
+    before(async function () {
+      client1 = new DotcoinClient({ ...config, path: databasePath });
+      client2 = new DotcoinClient({ ...config, path: databasePath });
+      server = new DotcoinServer({ ...config, path: databasePath });
+      for (let i = 0; i < 2; i++) {
+        const { block, coinbase, transactions } = await client1.mine(0);
+        await server.addBlock(block, coinbase, transactions);
+      }
+    });
+
+    after(function () {
+      server.destroy();
+    });
+
+    it("it should reject an unknown strategy", async function () {
+      const err = await client1
+        .createTransaction(0, await client2.getReceivingAddress(0), 10, 0, "random")
+        .catch((err) => err);
+      expect(err.name).to.be.equal("ClientError");
+    });
+
+    it("it should create a transaction without change", async function () {
+      const txParams = await client1.createTransaction(
+        0,
+        await client2.getReceivingAddress(0),
+        190,
+        10,
+        "branch-and-bound",
+      );
+      expect(txParams.utxoIns).to.have.lengthOf(2);
+      expect(amounts(txParams.utxoOuts)).to.deep.equal([190]);
+      await server.addTransaction(txParams);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { createServer, get } from "http";
+import chai from "chai";
+
+import * as common from "../core/common.mjs";
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { AddressWatcher } from "../core/watcher.mjs";
+import { DotcoinNetwork } from "../app/network.mjs";
+import { createApp } from "../app/api.mjs";
+import { readEvents } from "../app/events.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testEvents";
+
+// mines a block (with its coinbase only) on top of the given parent, whether it is the tip or not
+async function mineOn(client, server, parent, account, config) {
+  const address = await client.getReceivingAddress(account);
+  const coinbase = {
+    _id: null,
+    utxoIns: [],
+    utxoOuts: [{ address: common.getChildKeys(address, 0).publicKey, amount: 100 }],
+  };
+  coinbase._id = utils.getTransactionHash(coinbase);
+  const parentBlock = await server.getBlock(parent);
+  const getBlock = (hash) => server.getBlock(hash);
+  const difficulty = await common.getDifficulty(parentBlock, getBlock, config);
+  const medianTimePast = await common.getMedianTimePast(parentBlock, getBlock);
+  const block = common.findNonce(
+    {
+      _id: null,
+      previous: parent,
+      height: parentBlock.height + 1,
+      timestamp: Math.max(Date.now(), medianTimePast + 1),
+      difficulty,
+      root: utils.getMerkleRoot([coinbase._id]),
+      nonce: null,
+    },
+    difficulty,
+  );
+  return server.addBlock(block, coinbase, []);
+}
+
+// opens an event stream and collects its events (as {type, data})
+function subscribe(url, params) {
+  return new Promise(function (resolve, reject) {
+    const req = get(`${url}/events/?${new URLSearchParams(params)}`, function (res) {
+      const events = [];
+      if (res.statusCode !== 200) {
+        res.resume();
+        return resolve({ status: res.statusCode, events, close: () => req.destroy() });
+      }
+      readEvents(res, (type, data) => events.push({ type, data })).catch(() => {});
+      resolve({ status: res.statusCode, events, close: () => req.destroy() });
+    });
+    req.on("error", reject);
+  });
+}
+
+// waits until the stream has received the given number of events
+async function waitForEvents(stream, count) {
+  for (let i = 0; i < 100 && stream.events.length < count; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return stream.events;
+}
+
+describe("Testing Event Stream", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  const url = "http://localhost:3300";
+  let server;
+  let client1;
+  let client2;
+  let node;
+  let streams = [];
+
+  before(async function () {
+    server = new DotcoinServer({ ...config, path: databasePath });
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    node = createServer(createApp(server, new DotcoinNetwork(server, { url })));
+    await new Promise((resolve) => node.listen(3300, resolve));
+    for (let i = 0; i < 2; i++) {
+      const { block, coinbase, transactions } = await client1.mine(0);
+      await server.addBlock(block, coinbase, transactions);
+    }
+  });
+
+  afterEach(function () {
+    for (const stream of streams) stream.close();
+    streams = [];
+  });
+
+  after(function () {
+    node.close();
+    server.destroy();
+  });
+
+  it("it should push the new blocks and transactions", async function () {
+    const stream = await subscribe(url, { events: "block,transaction" });
+    streams.push(stream);
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(1), 10);
+    await server.addTransaction(txParams);
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+    const events = await waitForEvents(stream, 2);
+    expect(events.map(({ type, data }) => [type, data._id])).to.deep.equal([
+      ["transaction", txParams._id],
+      ["block", block._id],
+    ]);
+    expect(events[1].data.transactions).to.deep.equal([txParams._id]);
+  });
+
+  it("it should push the payments to a watched account", async function () {
+    const xpub = await client2.getAccountPublicKey(0);
+    const stream = await subscribe(url, { events: "payment", watch: xpub });
+    streams.push(stream);
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 30);
+    await server.addTransaction(txParams);
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+    const events = await waitForEvents(stream, 2);
+    const [payment] = txParams.utxoOuts;
+    expect(events.map(({ type }) => type)).to.deep.equal(["payment", "payment"]);
+    expect(events[0].data).to.deep.equal({
+      address: payment.address,
+      amount: 30,
+      transaction: txParams._id,
+      block: null,
+      watched: xpub,
+      change: false,
+    });
+    expect(events[1].data).to.include({ transaction: txParams._id, block: block._id });
+  });
+
+  it("it should push the reorganizations", async function () {
+    const stream = await subscribe(url, { events: "block,reorg" });
+    streams.push(stream);
+    const tip = await server.getTip();
+    const side1 = await mineOn(client2, server, tip.previous, 2, config);
+    const side2 = await mineOn(client2, server, side1._id, 3, config);
+    const events = await waitForEvents(stream, 3);
+    expect(events.map(({ type }) => type)).to.deep.equal(["reorg", "block", "block"]);
+    expect(events[0].data).to.deep.equal({ disconnected: [tip._id], connected: [side1._id, side2._id] });
+    expect(events[2].data._id).to.be.equal(side2._id);
+  });
+
+  it("it should reject an invalid subscription", async function () {
+    expect((await subscribe(url, { events: "blocks" })).status).to.be.equal(400);
+    expect((await subscribe(url, { watch: "not a key" })).status).to.be.equal(400);
+  });
+
+  it("it should watch the child addresses beyond the gap limit once they are used", async function () {
+    const receive = await client2.getReceivingAddress(4);
+    const watcher = new AddressWatcher([receive], async () => [], 2);
+    await watcher.scan();
+    expect(watcher.match(common.getChildAddress(receive, 2))).to.be.null;
+    expect(watcher.match(common.getChildAddress(receive, 1))).to.deep.equal({ key: receive, childIndex: 1, change: false });
+    expect(watcher.match(common.getChildAddress(receive, 3))).to.deep.equal({ key: receive, childIndex: 3, change: false });
+    expect(watcher.match(receive)).to.deep.equal({ key: receive, childIndex: null, change: false });
+  });
+});
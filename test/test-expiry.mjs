@@ -0,0 +1,81 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testExpiry";
+
+describe("Testing Transaction Pool Expiry", function () {
+  this.timeout(10000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let server;
+  let txParams;
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should keep a transaction that has not been mined in the pool", async function () {
+    // the block is mined before the transaction is added so it does not confirm it
+    const { block, coinbase, transactions } = await client2.mine(0);
+    txParams = await client1.createTransaction(
+      0,
+      await client2.getReceivingAddress(0),
+      10,
+    );
+    const tx = await server.addTransaction(txParams);
+    expect(tx.entryHeight).to.be.equal(0);
+    await server.addBlock(block, coinbase, transactions);
+    expect(await server.getExpiredTransactions(0, 10)).to.have.lengthOf(0);
+    const { usable, pending } = await client1.getBalance(0);
+    expect(usable).to.be.equal(0);
+    expect(pending).to.be.equal(90);
+  });
+
+  it("it should list the expired transactions", async function () {
+    const pruner = new DotcoinServer({ ...config, expiry: 1, path: databasePath });
+    const expired = await pruner.getExpiredTransactions(0, 10);
+    expect(expired.map((tx) => tx._id)).to.deep.equal([txParams._id]);
+  });
+
+  it("it should purge the expired transactions and release their inputs", async function () {
+    const pruner = new DotcoinServer({ ...config, expiry: 1, path: databasePath });
+    const removed = await pruner.expireTransactions();
+    expect(removed).to.deep.equal([txParams._id]);
+    expect(await server.getTransaction(txParams._id)).to.be.null;
+    const { usable, pending } = await client1.getBalance(0);
+    expect(usable).to.be.equal(100);
+    expect(pending).to.be.equal(0);
+  });
+
+  it("it should purge the expired transactions when a block is added", async function () {
+    const pruner = new DotcoinServer({ ...config, expiry: 1, path: databasePath });
+    const { block, coinbase, transactions } = await client2.mine(0);
+    txParams = await client1.createTransaction(
+      0,
+      await client2.getReceivingAddress(0),
+      10,
+    );
+    await pruner.addTransaction(txParams);
+    await pruner.addBlock(block, coinbase, transactions);
+    expect(await server.getTransaction(txParams._id)).to.be.null;
+    const { usable } = await client1.getBalance(0);
+    expect(usable).to.be.equal(100);
+  });
+});
@@ -0,0 +1,83 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import * as common from "../core/common.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testFees";
+
+describe("Testing Transaction Fees", function () {
+  this.timeout(10000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let server;
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should reject an invalid fee", async function () {
+    const err = await client1
+      .createTransaction(0, await client2.getReceivingAddress(0), 10, -1)
+      .catch((err) => err);
+    expect(err.name).to.be.equal("ClientError");
+  });
+
+  it("it should add a transaction with a fee", async function () {
+    const txParams = await client1.createTransaction(
+      0,
+      await client2.getReceivingAddress(0),
+      10,
+      5,
+    );
+    expect(txParams.utxoOuts.map((utxo) => utxo.amount)).to.deep.equal([10, 85]);
+    const tx = await server.addTransaction(txParams);
+    expect(tx.fee).to.be.equal(5);
+  });
+
+  it("it should reject a coinbase that claims more than the amount and the fees", async function () {
+    const { block, coinbase, transactions } = await client2.mine(0);
+    coinbase.utxoOuts[0].amount += 1;
+    coinbase._id = utils.getTransactionHash(coinbase);
+    const candidate = common.findNonce(
+      {
+        ...block,
+        _id: null,
+        nonce: null,
+        root: utils.getMerkleRoot([coinbase._id, ...transactions]),
+      },
+      block.difficulty,
+    );
+    const err = await server
+      .addBlock(candidate, coinbase, transactions)
+      .catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.be.equal("Invalid coinbase transaction");
+  });
+
+  it("it should let the miner claim the fees", async function () {
+    const { block, coinbase, transactions } = await client2.mine(0);
+    expect(coinbase.utxoOuts[0].amount).to.be.equal(105);
+    await server.addBlock(block, coinbase, transactions);
+    const { usable: usable1 } = await client1.getBalance(0);
+    expect(usable1).to.be.equal(85);
+    const { usable: usable2 } = await client2.getBalance(0);
+    expect(usable2).to.be.equal(115);
+  });
+});
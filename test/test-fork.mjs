@@ -0,0 +1,205 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import * as common from "../core/common.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testFork";
+
+// mines a block on top of the given parent (regardless of the main chain tip)
+// with the given transactions (empty by default, they are returned in full)
+async function mineOn(client, server, parent, account, config, transactions = []) {
+  const address = await client.getReceivingAddress(account);
+  const coinbase = {
+    _id: null,
+    utxoIns: [],
+    utxoOuts: [{ address: common.getChildKeys(address, 0).publicKey, amount: 100 }],
+  };
+  coinbase._id = utils.getTransactionHash(coinbase);
+  const parentBlock = await server.getBlock(parent);
+  const getBlock = (hash) => server.getBlock(hash);
+  const difficulty = await common.getDifficulty(parentBlock, getBlock, config);
+  const medianTimePast = await common.getMedianTimePast(parentBlock, getBlock);
+  const block = common.findNonce(
+    {
+      _id: null,
+      previous: parent,
+      height: parentBlock.height + 1,
+      timestamp: Math.max(Date.now(), medianTimePast + 1),
+      difficulty,
+      root: utils.getMerkleRoot([coinbase._id, ...transactions.map((tx) => tx._id)]),
+      nonce: null,
+    },
+    difficulty,
+  );
+  return { block, coinbase, transactions };
+}
+
+describe("Testing Forks and Reorganizations", function () {
+  this.timeout(10000);
+  const config = {
+    difficulty: 1,
+    interval: 10,
+    blockTime: 60,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let client3;
+  let server;
+  let genesis;
+  let blockA;
+  let blockB;
+  let payment;
+  let spending;
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    client3 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should create the genesis block and a payment", async function () {
+    const { block, coinbase, transactions } = await client1.mine(0);
+    genesis = await server.addBlock(block, coinbase, transactions);
+    expect(genesis.height).to.be.equal(0);
+    payment = await client1.createTransaction(
+      0,
+      await client2.getReceivingAddress(0),
+      10,
+    );
+    await server.addTransaction(payment);
+  });
+
+  it("it should reject a double spend", async function () {
+    const conflict = await client1.createTransaction(
+      0,
+      await client3.getReceivingAddress(0),
+      10,
+    ).catch((err) => err);
+    expect(conflict.name).to.be.equal("ClientError");
+    const replay = { ...payment, utxoOuts: [payment.utxoOuts[0]] };
+    const err = await server.addTransaction(replay).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+  });
+
+  it("it should keep a competing block on a side branch", async function () {
+    blockA = await client1.mine(0);
+    blockB = await client2.mine(0);
+    expect(blockA.block.previous).to.be.equal(genesis._id);
+    expect(blockB.block.previous).to.be.equal(genesis._id);
+    await server.addBlock(blockA.block, blockA.coinbase, blockA.transactions);
+    await server.addBlock(blockB.block, blockB.coinbase, blockB.transactions);
+    const tip = await server.getTip();
+    expect(tip._id).to.be.equal(blockA.block._id);
+    const tx = await server.getTransaction(payment._id);
+    expect(tx.block).to.be.equal(blockA.block._id);
+    const { usable: usable2 } = await client2.getBalance(0);
+    expect(usable2).to.be.equal(10);
+  });
+
+  it("it should spend the coinbase of the main chain tip", async function () {
+    spending = await client1.createTransaction(
+      0,
+      await client3.getReceivingAddress(0),
+      95,
+    );
+    await server.addTransaction(spending);
+    const { usable, pending } = await client1.getBalance(0);
+    expect(usable).to.be.equal(0);
+    expect(pending).to.be.equal(95);
+  });
+
+  it("it should reorganize when a heavier branch appears", async function () {
+    const { block, coinbase, transactions } = await mineOn(
+      client3,
+      server,
+      blockB.block._id,
+      1,
+      config,
+    );
+    const blockC = await server.addBlock(block, coinbase, transactions);
+    expect(blockC.height).to.be.equal(2);
+    const tip = await server.getTip();
+    expect(tip._id).to.be.equal(blockC._id);
+    const tx = await server.getTransaction(payment._id);
+    expect(tx.block).to.be.equal(blockB.block._id);
+    expect(await server.getTransaction(blockA.coinbase._id)).to.be.null;
+    expect(await server.getTransaction(spending._id)).to.be.null;
+  });
+
+  it("it should return the balances of the new main chain", async function () {
+    const { usable: usable1, pending: pending1 } = await client1.getBalance(0);
+    expect(usable1).to.be.equal(90);
+    expect(pending1).to.be.equal(0);
+    const { usable: usable2 } = await client2.getBalance(0);
+    expect(usable2).to.be.equal(110);
+    const { usable: usable3 } = await client3.getBalance(1);
+    expect(usable3).to.be.equal(100);
+  });
+
+  it("it should put the transactions of dropped blocks back in the pool", async function () {
+    const { block, coinbase, transactions } = await mineOn(
+      client1,
+      server,
+      blockA.block._id,
+      1,
+      config,
+    );
+    await server.addBlock(block, coinbase, transactions);
+    const { block: next, coinbase: nextCoinbase } = await mineOn(
+      client1,
+      server,
+      block._id,
+      2,
+      config,
+    );
+    await server.addBlock(next, nextCoinbase, []);
+    const tip = await server.getTip();
+    expect(tip._id).to.be.equal(next._id);
+    const tx = await server.getTransaction(payment._id);
+    expect(tx.block).to.be.equal(blockA.block._id);
+    const { usable: usable2 } = await client2.getBalance(0);
+    expect(usable2).to.be.equal(10);
+  });
+
+  it("it should verify the transactions of a side branch when the branch is connected", async function () {
+    const pool = await server.getTransactions(0, Number.MAX_SAFE_INTEGER, 1, true);
+    const first = await mineOn(client3, server, blockA.block._id, 2, config);
+    await server.addBlock(first.block, first.coinbase, first.transactions);
+    // a transaction of the side branch spends the coinbase of the previous block of the branch
+    const [{ address }] = first.coinbase.utxoOuts;
+    const tx = await client3.signTransaction({
+      account: 2,
+      transaction: {
+        utxoIns: [address],
+        utxoOuts: [{ address: await client2.getReceivingAddress(0), amount: 100 }],
+        signatures: [],
+      },
+      inputs: [{ address, amount: 100, path: common.getDerivationPath(2, "receive", 0) }],
+      fee: 0,
+    });
+    const second = await mineOn(client3, server, first.block._id, 3, config, [tx]);
+    await server.addBlock(second.block, second.coinbase, second.transactions);
+    // the side branch does not change the transaction pool
+    expect((await server.getTip())._id).to.not.be.equal(second.block._id);
+    expect(await server.getTransaction(tx._id)).to.be.null;
+    expect(await server.getTransactions(0, Number.MAX_SAFE_INTEGER, 1, true)).to.deep.equal(pool);
+    // the transaction is verified and added once the branch becomes the main chain
+    const third = await mineOn(client3, server, second.block._id, 4, config);
+    await server.addBlock(third.block, third.coinbase, third.transactions);
+    expect((await server.getTip())._id).to.be.equal(third.block._id);
+    expect(await server.getTransaction(tx._id)).to.include({ block: second.block._id });
+    expect(await server.getUtxo(address)).to.include({ txIn: tx._id });
+    expect((await server.verifyChain()).valid).to.be.true;
+  });
+});
@@ -0,0 +1,103 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import * as common from "../core/common.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testGapLimit";
+
+// mines a block whose coinbase pays the given address
+async function mineTo(client, server, address) {
+  const { block, coinbase, transactions } = await client.mine(0);
+  coinbase.utxoOuts[0].address = address;
+  coinbase._id = utils.getTransactionHash(coinbase);
+  const candidate = common.findNonce(
+    {
+      ...block,
+      _id: null,
+      nonce: null,
+      root: utils.getMerkleRoot([coinbase._id, ...transactions]),
+    },
+    block.difficulty,
+  );
+  return server.addBlock(candidate, coinbase, transactions);
+}
+
+describe("Testing Gap Limit Address Discovery", function () {
+  this.timeout(10000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+    gapLimit: 5,
+  };
+  let mnemonic;
+  let miner;
+  let server;
+
+  before(async function () {
+    mnemonic = common.createMnemonic();
+    miner = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should find funds received out of order", async function () {
+    const client = new DotcoinClient({ ...config, mnemonic, path: databasePath });
+    const receiveKey = await client.getReceivingAddress(0);
+    await mineTo(miner, server, common.getChildKeys(receiveKey, 3).publicKey);
+    await mineTo(miner, server, common.getChildKeys(receiveKey, 8).publicKey);
+    const { usable } = await client.getBalance(0);
+    expect(usable).to.be.equal(200);
+    expect(client.getIndexes()).to.deep.equal({ 0: { receive: 8, change: -1 } });
+  });
+
+  it("it should scan the receive and change branches separately", async function () {
+    const client = new DotcoinClient({ ...config, mnemonic, path: databasePath });
+    const { change } = await client.getAccountKeys(0);
+    await mineTo(miner, server, common.getChildKeys(change.publicKey, 4).publicKey);
+    const { usable } = await client.getBalance(0);
+    expect(usable).to.be.equal(300);
+    expect(client.getIndexes()).to.deep.equal({ 0: { receive: 8, change: 4 } });
+  });
+
+  it("it should stop at the gap limit", async function () {
+    const client = new DotcoinClient({ ...config, mnemonic, path: databasePath });
+    const receiveKey = await client.getReceivingAddress(0);
+    await mineTo(miner, server, common.getChildKeys(receiveKey, 14).publicKey);
+    const { usable } = await client.getBalance(0);
+    expect(usable).to.be.equal(300);
+    const wider = new DotcoinClient({ ...config, gapLimit: 6, mnemonic, path: databasePath });
+    const { usable: found } = await wider.getBalance(0);
+    expect(found).to.be.equal(400);
+  });
+
+  it("it should rescan incrementally from the cached indexes", async function () {
+    const indexes = { 0: { receive: 14, change: 4 } };
+    const client = new DotcoinClient({ ...config, mnemonic, indexes, path: databasePath });
+    const receiveKey = await client.getReceivingAddress(0);
+    await mineTo(miner, server, common.getChildKeys(receiveKey, 19).publicKey);
+    const { usable } = await client.getBalance(0);
+    expect(usable).to.be.equal(500);
+    expect(client.getIndexes()).to.deep.equal({ 0: { receive: 19, change: 4 } });
+  });
+
+  it("it should spend the funds found beyond the first unused address", async function () {
+    const client = new DotcoinClient({ ...config, mnemonic, path: databasePath });
+    const txParams = await client.createTransaction(
+      0,
+      await miner.getReceivingAddress(0),
+      250,
+      0,
+      "largest-first",
+    );
+    expect(txParams.utxoIns).to.have.lengthOf(3);
+    await server.addTransaction(txParams);
+  });
+});
@@ -0,0 +1,117 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import * as common from "../core/common.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testHeader";
+
+// re-mines a block candidate after altering its header
+function remine(blockData, header) {
+  const block = common.findNonce(
+    { ...blockData.block, ...header, _id: null, nonce: null },
+    header.difficulty || blockData.block.difficulty,
+  );
+  return { ...blockData, block };
+}
+
+describe("Testing Block Headers and Difficulty Retargeting", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    interval: 3,
+    blockTime: 60,
+    amount: 100,
+    limit: 1024,
+  };
+  let client;
+  let server;
+
+  before(async function () {
+    client = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should commit the height, the timestamp and the difficulty in the block hash", async function () {
+    const { block } = await client.mine(0);
+    expect(block.height).to.be.equal(0);
+    expect(block.difficulty).to.be.equal(8);
+    expect(utils.getBlockHash(block)).to.be.equal(block._id);
+    expect(utils.getBlockHash({ ...block, timestamp: block.timestamp + 1 })).to.not.be.equal(block._id);
+    expect(utils.getBlockHash({ ...block, height: 1 })).to.not.be.equal(block._id);
+  });
+
+  it("it should mine the first blocks at the initial difficulty", async function () {
+    for (let height = 0; height < 3; height++) {
+      const { block, coinbase, transactions } = await client.mine(0);
+      const saved = await server.addBlock(block, coinbase, transactions);
+      expect(saved.height).to.be.equal(height);
+      expect(saved.difficulty).to.be.equal(8);
+    }
+  });
+
+  it("it should reject a block with a wrong height", async function () {
+    const blockData = remine(await client.mine(0), { height: 5 });
+    const err = await server
+      .addBlock(blockData.block, blockData.coinbase, blockData.transactions)
+      .catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("height");
+  });
+
+  it("it should reject a block that keeps the previous difficulty after the retarget interval", async function () {
+    const blockData = remine(await client.mine(0), { difficulty: 8 });
+    const err = await server
+      .addBlock(blockData.block, blockData.coinbase, blockData.transactions)
+      .catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("difficulty");
+  });
+
+  it("it should reject a block older than the median time past", async function () {
+    const tip = await server.getTip();
+    const blockData = remine(await client.mine(0), { timestamp: tip.timestamp - 1000 });
+    const err = await server
+      .addBlock(blockData.block, blockData.coinbase, blockData.transactions)
+      .catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("median time past");
+  });
+
+  it("it should reject a block too far in the future", async function () {
+    const blockData = remine(await client.mine(0), { timestamp: Date.now() + 3 * 3600 * 1000 });
+    const err = await server
+      .addBlock(blockData.block, blockData.coinbase, blockData.transactions)
+      .catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("future");
+  });
+
+  it("it should raise the difficulty when blocks are mined too fast", async function () {
+    const { block, coinbase, transactions } = await client.mine(0);
+    expect(block.difficulty).to.be.equal(10);
+    const saved = await server.addBlock(block, coinbase, transactions);
+    expect(saved.height).to.be.equal(3);
+    expect(utils.getLeadingZeroBits(saved._id)).to.be.at.least(10);
+    expect(saved.chainwork).to.be.equal(3 * 2 ** 8 + 2 ** 10);
+  });
+
+  it("it should lower the difficulty when blocks are mined too slowly", async function () {
+    const getBlock = async (hash) => blocks[hash];
+    const blocks = {
+      a: { _id: "a", previous: null, height: 0, timestamp: 0, difficulty: 12 },
+      b: { _id: "b", previous: "a", height: 1, timestamp: 240000, difficulty: 12 },
+      c: { _id: "c", previous: "b", height: 2, timestamp: 480000, difficulty: 12 },
+    };
+    expect(await common.getDifficulty(blocks.c, getBlock, config)).to.be.equal(10);
+    expect(await common.getDifficulty(blocks.b, getBlock, config)).to.be.equal(12);
+    expect(await common.getMedianTimePast(blocks.c, getBlock)).to.be.equal(240000);
+  });
+});
@@ -0,0 +1,107 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testHistory";
+
+describe("Testing Transaction History", function () {
+  this.timeout(10000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let server;
+  let genesis;
+  let payment;
+  let refund;
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    genesis = await client1.mine(0);
+    await server.addBlock(genesis.block, genesis.coinbase, genesis.transactions);
+    payment = await client1.createTransaction(
+      0,
+      await client2.getReceivingAddress(0),
+      30,
+      2,
+    );
+    await server.addTransaction(payment);
+    const { block, coinbase, transactions } = await client2.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+    refund = await client2.createTransaction(
+      0,
+      await client1.getReceivingAddress(0),
+      10,
+    );
+    await server.addTransaction(refund);
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should list the incoming and outgoing transactions of an account", async function () {
+    const history = await client1.getHistory(0);
+    expect(history.map((entry) => entry.transaction)).to.deep.equal([
+      genesis.coinbase._id,
+      payment._id,
+      refund._id,
+    ]);
+    const [mined, sent, received] = history;
+    expect(mined).to.include({
+      direction: "incoming",
+      amount: 100,
+      fee: null,
+      block: genesis.block._id,
+      height: 0,
+      status: "confirmed",
+    });
+    expect(sent).to.include({ direction: "outgoing", amount: -32, fee: 2, height: 1 });
+    expect(sent.counterparties).to.deep.equal([payment.utxoOuts[0]]);
+    expect(received).to.include({ direction: "incoming", amount: 10, block: null, status: "pending" });
+  });
+
+  it("it should list the transactions of the counterparty", async function () {
+    const history = await client2.getHistory(0);
+    expect(history.map((entry) => [entry.direction, entry.amount, entry.status])).to.deep.equal([
+      ["incoming", 30, "confirmed"],
+      ["incoming", 102, "confirmed"],
+      ["outgoing", -10, "pending"],
+    ]);
+  });
+
+  it("it should count each output of an address paid twice", async function () {
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+    const first = await server.addTransaction(
+      await client1.createTransaction(0, await client2.getReceivingAddress(0), 5),
+    );
+    const [{ address }] = first.utxoOuts;
+    const unsigned = await client1.buildTransaction(0, [{ address: await client2.getReceivingAddress(0), amount: 7 }]);
+    unsigned.transaction.utxoOuts[0].address = address;
+    const second = await server.addTransaction(await client1.signTransaction(unsigned));
+    const mined = await client1.mine(0);
+    await server.addBlock(mined.block, mined.coinbase, mined.transactions);
+    // both outputs of the address are spent together
+    const spend = await client2.createTransaction(0, await client1.getReceivingAddress(0), 10, 0, "smallest-first");
+    expect(spend.utxoIns).to.deep.equal([address, address]);
+    await server.addTransaction(spend);
+    for (const tx of [first, second]) {
+      expect((await server.getTransaction(tx._id)).utxoOuts[0].txIn).to.be.equal(spend._id);
+    }
+    const history = (await client2.getHistory(0)).slice(-3);
+    expect(history.map((entry) => [entry.transaction, entry.amount])).to.have.deep.members([
+      [first._id, 5],
+      [second._id, 7],
+      [spend._id, -10],
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+import chai from "chai";
+
+import * as common from "../core/common.mjs";
+import { DotcoinClient } from "../core/client.mjs";
+import { MiningEngine } from "../core/miner.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testMiner";
+
+describe("Testing Multi-Threaded Mining", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client;
+  let server;
+  let engine;
+
+  before(async function () {
+    client = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    engine = new MiningEngine(2);
+  });
+
+  after(async function () {
+    await engine.close();
+    server.destroy();
+  });
+
+  it("it should find the same nonce as the encoded search", function () {
+    const block = {
+      previous: null,
+      height: 0,
+      timestamp: 1700000000000,
+      difficulty: 8,
+      root: utils.getMerkleRoot(["tx"]),
+    };
+    const mined = common.findNonce({ ...block }, 8);
+    expect(utils.getLeadingZeroBits(mined._id)).to.be.at.least(8);
+    for (let counter = 0; ; counter++) {
+      const hash = utils.getBlockHash({ ...block, nonce: common.encodeNonce(counter) });
+      if (utils.getLeadingZeroBits(hash) >= 8) {
+        expect(common.encodeNonce(counter)).to.be.equal(mined.nonce);
+        break;
+      }
+    }
+  });
+
+  it("it should mine blocks on several threads", async function () {
+    for (let i = 0; i < 3; i++) {
+      const template = await server.getBlockTemplate();
+      const { block, coinbase, transactions } = await client.getBlockCandidate(0, template);
+      const mined = await engine.mine(block, template.difficulty);
+      expect(mined._id).to.be.equal(utils.getBlockHash(mined));
+      await server.addBlock(mined, coinbase, transactions);
+      expect(engine.getHashRate()).to.be.above(0);
+    }
+    expect((await server.getTip()).height).to.be.equal(2);
+  });
+
+  it("it should cancel a search", async function () {
+    const template = await server.getBlockTemplate();
+    const { block } = await client.getBlockCandidate(0, template);
+    // a search that cannot succeed
+    const search = engine.mine(block, 256);
+    setTimeout(() => engine.cancel(), 200);
+    expect(await search).to.be.null;
+  });
+
+  it("it should restart the search on a new template", async function () {
+    const template = await server.getBlockTemplate();
+    const { block, coinbase, transactions } = await client.getBlockCandidate(0, template);
+    const stale = engine.mine(block, 256);
+    const mined = await engine.mine(block, template.difficulty);
+    expect(await stale).to.be.null;
+    await server.addBlock(mined, coinbase, transactions);
+    expect((await server.getTip())._id).to.be.equal(mined._id);
+  });
+});
@@ -0,0 +1,122 @@
+import chai from "chai";
+
+import {
+  DotcoinClient,
+  checkPartialTransaction,
+  checkSignedTransaction,
+  createMultisigAddress,
+} from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testMultisig";
+
+describe("Testing Multisignature Outputs", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let cosigners;
+  let multisig;
+  let partial;
+  let server;
+
+  async function mine(client) {
+    const { block, coinbase, transactions } = await client.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+  }
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    cosigners = [];
+    for (let i = 0; i < 3; i++) {
+      cosigners.push(new DotcoinClient({ ...config, path: databasePath }));
+    }
+    server = new DotcoinServer({ ...config, path: databasePath });
+    await mine(client1);
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should create a 2-of-3 multisig address", async function () {
+    const keys = [];
+    for (const cosigner of cosigners) keys.push(await cosigner.getReceivingAddress(0));
+    multisig = createMultisigAddress(2, keys);
+    expect(utils.isMultisigAddress(multisig)).to.be.true;
+    expect(createMultisigAddress(2, [...keys].reverse())).to.be.equal(multisig);
+    const { m, keys: decoded } = utils.decodeMultisigAddress(multisig);
+    expect(m).to.be.equal(2);
+    expect(decoded).to.deep.equal([...keys].sort());
+    for (const [m, invalid] of [[0, keys], [4, keys], [1, [keys[0], keys[0]]], [1, ["abc"]]]) {
+      expect(() => createMultisigAddress(m, invalid)).to.throw();
+    }
+  });
+
+  it("it should fund the multisig address", async function () {
+    const txParams = await client1.createTransaction(0, multisig, 60);
+    const tx = await server.addTransaction(txParams);
+    const [output] = tx.utxoOuts;
+    expect(utils.isMultisigAddress(output.address)).to.be.true;
+    expect(output.address).to.not.be.equal(multisig);
+    await mine(client1);
+    const utxos = await client2.getMultisigUtxos(multisig);
+    expect(utxos).to.have.lengthOf(1);
+    expect(utxos[0].amount).to.be.equal(60);
+    expect(utxos[0].childIndex).to.be.equal(0);
+  });
+
+  it("it should build a partially signed transaction", async function () {
+    const address = await client2.getReceivingAddress(0);
+    partial = await client2.buildMultisigTransaction(multisig, [{ address, amount: 45 }], 5);
+    expect(partial.inputs).to.have.lengthOf(1);
+    expect(partial.transaction.signatures).to.deep.equal([[null, null, null]]);
+    expect(partial.transaction.utxoOuts[1].amount).to.be.equal(10);
+    expect(utils.isMultisigAddress(partial.transaction.utxoOuts[1].address)).to.be.true;
+    partial = JSON.parse(JSON.stringify(partial));
+  });
+
+  it("it should reject a transaction without enough signatures", async function () {
+    const err = await server.addTransaction(partial.transaction).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    partial = await cosigners[0].cosignTransaction(0, partial);
+    expect(() => checkPartialTransaction(partial)).to.not.throw();
+    expect(() => checkSignedTransaction(partial.transaction)).to.throw("requires 2 signatures");
+    const err2 = await server.addTransaction(partial.transaction).catch((err) => err);
+    expect(err2.name).to.be.equal("ValidationError");
+    expect(err2.message).to.contain("requires 2 signatures but only 1");
+  });
+
+  it("it should refuse a signature from a non-cosigner", async function () {
+    const err = await client1.cosignTransaction(0, partial).catch((err) => err);
+    expect(err.name).to.be.equal("ClientError");
+    const forged = JSON.parse(JSON.stringify(partial));
+    const position = forged.transaction.signatures[0].indexOf(null);
+    forged.transaction.signatures[0][position] = forged.transaction.signatures[0].find((sig) => sig);
+    forged.transaction._id = utils.getTransactionHash(forged.transaction);
+    expect(() => checkPartialTransaction(forged)).to.throw("Invalid signature");
+    const err2 = await server.addTransaction(forged.transaction).catch((err) => err);
+    expect(err2.name).to.be.equal("ValidationError");
+    expect(err2.message).to.contain("Invalid signature");
+  });
+
+  it("it should accept m signatures out of n", async function () {
+    partial = await cosigners[2].cosignTransaction(0, partial);
+    expect(() => checkSignedTransaction(partial.transaction)).to.not.throw();
+    const tx = await server.addTransaction(partial.transaction);
+    expect(tx.fee).to.be.equal(5);
+    await mine(client1);
+    const { usable } = await client2.getBalance(0);
+    expect(usable).to.be.equal(45);
+    const utxos = await client2.getMultisigUtxos(multisig);
+    expect(utxos.map((utxo) => utxo.amount)).to.deep.equal([10]);
+  });
+});
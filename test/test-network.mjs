@@ -0,0 +1,178 @@
+import { createServer } from "http";
+import { networkInterfaces } from "os";
+import axios from "axios";
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { DotcoinNetwork } from "../app/network.mjs";
+import { createApp } from "../app/api.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testNetwork";
+
+function startNode(index, config, peers, adminToken = null) {
+  const port = 3100 + index;
+  const url = `http://localhost:${port}`;
+  const server = new DotcoinServer({
+    ...config,
+    path: `${databasePath}/node${index}`,
+  });
+  const network = new DotcoinNetwork(server, { url, peers, adminToken });
+  const http = createServer(createApp(server, network, null, null, { adminToken }));
+  return new Promise(function (resolve) {
+    http.listen(port, function () {
+      resolve({ url, server, network, http });
+    });
+  });
+}
+
+describe("Testing Peer-to-Peer Gossip", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let node1;
+  let node2;
+  let node3;
+  let node4;
+  let node5;
+  let client1;
+  let client2;
+
+  before(async function () {
+    node1 = await startNode(1, config, []);
+    node2 = await startNode(2, config, [node1.url]);
+    await node2.network.connect();
+    client1 = new DotcoinClient({ ...config, path: `${databasePath}/node1` });
+    client2 = new DotcoinClient({ ...config, path: `${databasePath}/node2` });
+  });
+
+  after(function () {
+    for (const node of [node1, node2, node3, node4, node5]) {
+      if (!node) continue;
+      node.http.close();
+      node.server.destroy();
+    }
+  });
+
+  it("it should register the nodes as peers of each other", async function () {
+    expect(node1.network.getPeers()).to.deep.equal([node2.url]);
+    expect(node2.network.getPeers()).to.deep.equal([node1.url]);
+  });
+
+  it("it should relay a mined block", async function () {
+    const blockData = await client1.mine(0);
+    await axios.put(`${node1.url}/blocks/`, blockData);
+    const block = await node2.server.getBlock(blockData.block._id);
+    expect(block).to.not.be.null;
+    const { usable } = await client1.getBalance(0);
+    expect(usable).to.be.equal(100);
+  });
+
+  it("it should relay a transaction", async function () {
+    const txParams = await client1.createTransaction(
+      0,
+      await client2.getReceivingAddress(0),
+      10,
+    );
+    await axios.put(`${node1.url}/transactions/`, txParams);
+    const tx = await node2.server.getTransaction(txParams._id);
+    expect(tx).to.not.be.null;
+    expect(tx.block).to.be.null;
+  });
+
+  it("it should relay a block mined on another node", async function () {
+    const blockData = await client2.mine(0);
+    await axios.put(`${node2.url}/blocks/`, blockData);
+    const block = await node1.server.getBlock(blockData.block._id);
+    expect(block.transactions).to.have.lengthOf(1);
+    const { usable: usable1 } = await client1.getBalance(0);
+    expect(usable1).to.be.equal(90);
+    const { usable: usable2 } = await client2.getBalance(0);
+    expect(usable2).to.be.equal(110);
+  });
+
+  it("it should catch up when a node starts behind its peers", async function () {
+    const txParams = await client2.createTransaction(
+      0,
+      await client1.getReceivingAddress(0),
+      30,
+    );
+    await axios.put(`${node2.url}/transactions/`, txParams);
+    node3 = await startNode(3, config, [node2.url]);
+    await node3.network.connect();
+    expect(node3.network.getPeers()).to.have.members([node1.url, node2.url]);
+    const blocks = await node3.server.getBlocks(0, 10, 1);
+    expect(blocks).to.have.lengthOf(2);
+    const tx = await node3.server.getTransaction(txParams._id);
+    expect(tx.block).to.be.null;
+    expect(node1.network.getPeers()).to.include(node3.url);
+  });
+
+  it("it should only let the local host or the nodes with the admin token add peers", async function () {
+    const adminToken = "the admin token of the devnet";
+    node4 = await startNode(4, config, [], adminToken);
+    const http = axios.create({ proxy: false, validateStatus: () => true });
+    let res = await http.put(`${node4.url}/peers/`, { url: node1.url });
+    expect(res.status).to.be.equal(401);
+    res = await http.put(`${node4.url}/peers/`, { url: node1.url }, { headers: { Authorization: `Bearer ${adminToken}` } });
+    expect(res.status).to.be.equal(200);
+    // a node that shares the token announces itself
+    node5 = await startNode(5, config, [node4.url], adminToken);
+    await node5.network.connect();
+    expect(node4.network.getPeers()).to.include(node5.url);
+    // without a token, a node only accepts the announcements of its own host
+    const [external] = Object.values(networkInterfaces())
+      .flat()
+      .filter(({ family, internal }) => family === "IPv4" && !internal);
+    if (!external) return;
+    res = await http.put(`http://${external.address}:3101/peers/`, { url: "http://localhost:3199" });
+    expect(res.status).to.be.equal(403);
+    expect(res.data.code).to.be.equal("forbidden");
+    expect(node1.network.getPeers()).to.not.include("http://localhost:3199");
+  });
+
+  it("it should adopt a block confirming a transaction that conflicts with its pool", async function () {
+    // two payments spending the same utxos, each one known by one node only
+    const payment = await client1.createTransaction(0, await client2.getReceivingAddress(0), 5);
+    const conflicting = await client1.createTransaction(0, await client2.getReceivingAddress(0), 6);
+    expect(conflicting.utxoIns).to.include(payment.utxoIns[0]);
+    await node1.server.addTransaction(payment);
+    await node2.server.addTransaction(conflicting);
+    const { block, coinbase, transactions } = await client2.mine(0, await node2.server.getBlockTemplate());
+    expect(transactions).to.include(conflicting._id);
+    await node2.server.addBlock(block, coinbase, transactions);
+    await node1.network.synchronizeWith(node2.url);
+    expect((await node1.server.getTip())._id).to.be.equal(block._id);
+    expect(await node1.server.getTransaction(payment._id)).to.be.null;
+    expect((await node1.server.getTransaction(conflicting._id)).block).to.be.equal(block._id);
+    expect((await node1.server.verifyChain()).valid).to.be.true;
+  });
+
+  it("it should adopt a branch confirming a transaction that conflicts with its pool", async function () {
+    const local = await client1.mine(0, await node1.server.getBlockTemplate());
+    await node1.server.addBlock(local.block, local.coinbase, local.transactions);
+    const payment = await client2.createTransaction(0, await client1.getReceivingAddress(0), 5);
+    const conflicting = await client2.createTransaction(0, await client1.getReceivingAddress(0), 6);
+    expect(conflicting.utxoIns).to.include(payment.utxoIns[0]);
+    await node1.server.addTransaction(payment);
+    await node2.server.addTransaction(conflicting);
+    // node2 mines a heavier branch whose first block confirms the conflicting payment
+    const branch = [];
+    for (let i = 0; i < 2; i++) {
+      const { block, coinbase, transactions } = await client2.mine(0, await node2.server.getBlockTemplate());
+      await node2.server.addBlock(block, coinbase, transactions);
+      branch.push(block._id);
+    }
+    await node1.network.synchronizeWith(node2.url);
+    expect((await node1.server.getTip())._id).to.be.equal(branch[1]);
+    expect(await node1.server.getBlock(local.block._id)).to.include({ _id: local.block._id });
+    expect(await node1.server.getTransaction(payment._id)).to.be.null;
+    expect((await node1.server.getTransaction(conflicting._id)).block).to.be.equal(branch[0]);
+    expect((await node1.server.verifyChain()).valid).to.be.true;
+  });
+});
@@ -0,0 +1,117 @@
+import chai from "chai";
+
+import {
+  DotcoinClient,
+  checkSignedTransaction,
+  checkUnsignedTransaction,
+} from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testOffline";
+
+describe("Testing Offline Signing", function () {
+  this.timeout(10000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let watcher;
+  let signer;
+  let server;
+  let unsigned;
+  let signed;
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    // the watch-only wallet builds the transaction, the wallet (without database) signs it
+    watcher = new DotcoinClient({
+      ...config,
+      xpub: await client1.getAccountPublicKey(0),
+      path: databasePath,
+    });
+    signer = new DotcoinClient({
+      ...config,
+      mnemonic: client1.getMnemonic(),
+      path: "data/testOfflineSigner",
+    });
+    for (let i = 0; i < 2; i++) {
+      const { block, coinbase, transactions } = await client1.mine(0);
+      await server.addBlock(block, coinbase, transactions);
+    }
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should build an unsigned transaction", async function () {
+    const address = await client2.getReceivingAddress(0);
+    unsigned = await watcher.buildTransaction(0, [{ address, amount: 130 }], 5);
+    expect(unsigned.account).to.be.equal(0);
+    expect(unsigned.fee).to.be.equal(5);
+    expect(unsigned.transaction.signatures).to.have.lengthOf(0);
+    expect(unsigned.inputs.map((input) => input.path)).to.deep.equal([
+      "m/44'/1'/0'/1/0",
+      "m/44'/1'/0'/1/1",
+    ]);
+    expect(unsigned.inputs.map((input) => input.amount)).to.deep.equal([100, 100]);
+    // the file survives a round trip to disk
+    unsigned = JSON.parse(JSON.stringify(unsigned));
+  });
+
+  it("it should reject a tampered unsigned transaction", async function () {
+    const tampered = [
+      { ...unsigned, fee: 50 },
+      { ...unsigned, account: 1 },
+      { ...unsigned, inputs: unsigned.inputs.slice(1) },
+      {
+        ...unsigned,
+        inputs: [{ ...unsigned.inputs[0], path: "m/44'/1'/0'/2/0" }, unsigned.inputs[1]],
+      },
+      {
+        ...unsigned,
+        transaction: { ...unsigned.transaction, signatures: ["abc", "def"] },
+      },
+    ];
+    for (const file of tampered) {
+      expect(() => checkUnsignedTransaction(file)).to.throw();
+      const err = await signer.signTransaction(file).catch((err) => err);
+      expect(err.name).to.be.equal("ClientError");
+    }
+  });
+
+  it("it should refuse to sign inputs that do not belong to the wallet", async function () {
+    const other = { ...unsigned, inputs: unsigned.inputs.map((input) => ({ ...input })) };
+    other.inputs[0].path = "m/44'/1'/0'/1/5";
+    const err = await signer.signTransaction(other).catch((err) => err);
+    expect(err.name).to.be.equal("ClientError");
+    const err2 = await watcher.signTransaction(unsigned).catch((err) => err);
+    expect(err2.name).to.be.equal("ClientError");
+  });
+
+  it("it should sign the transaction offline", async function () {
+    signed = await signer.signTransaction(unsigned);
+    expect(signed.signatures).to.have.lengthOf(2);
+    expect(() => checkSignedTransaction(signed)).to.not.throw();
+    expect(() =>
+      checkSignedTransaction({ ...signed, signatures: [...signed.signatures].reverse() }),
+    ).to.throw("Invalid signature");
+    expect(() => checkSignedTransaction({ ...signed, _id: "abc" })).to.throw("_id");
+  });
+
+  it("it should broadcast the signed transaction", async function () {
+    const tx = await server.addTransaction(signed);
+    expect(tx._id).to.be.equal(signed._id);
+    expect(tx.fee).to.be.equal(5);
+    const { usable, pending } = await client2.getBalance(0);
+    expect(usable).to.be.equal(0);
+    expect(pending).to.be.equal(130);
+  });
+});
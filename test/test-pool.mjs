@@ -0,0 +1,184 @@
+import chai from "chai";
+
+import * as common from "../core/common.mjs";
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinPool } from "../core/pool.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { DotcoinNetwork } from "../app/network.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testPool";
+
+// returns the next nonce (from a counter) that satisfies the given difficulty
+function findShare(work, difficulty, start) {
+  const counter = common.searchNonce(work.block, difficulty, start, 1, Infinity);
+  return { counter, nonce: common.encodeNonce(counter) };
+}
+
+describe("Testing Mining Pool", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let server;
+  let pool;
+  let operator;
+  let miner1;
+  let miner2;
+  let address1;
+  let address2;
+
+  before(async function () {
+    server = new DotcoinServer({ ...config, path: databasePath });
+    operator = new DotcoinClient({ ...config, path: databasePath });
+    miner1 = new DotcoinClient({ ...config, path: databasePath });
+    miner2 = new DotcoinClient({ ...config, path: databasePath });
+    pool = new DotcoinPool(new DotcoinNetwork(server), operator, { shareDifficulty: 2, fee: 10 });
+    address1 = await miner1.getReceivingAddress(0);
+    address2 = await miner2.getReceivingAddress(0);
+  });
+
+  after(function () {
+    pool.close();
+    server.destroy();
+  });
+
+  it("it should hand out disjoint work at the share difficulty", async function () {
+    const work1 = await pool.getWork(address1);
+    const work2 = await pool.getWork(address2);
+    expect(work1.job).to.be.equal(work2.job);
+    expect(work1.shareDifficulty).to.be.equal(2);
+    expect(work1.difficulty).to.be.equal(8);
+    expect(work2.start).to.be.equal(work1.start + work1.count);
+    const err = await pool.getWork("not an address").catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+  });
+
+  it("it should validate the shares", async function () {
+    const work = await pool.getWork(address1);
+    const share = findShare(work, 2, work.start);
+    // a share that is not a block
+    let { counter, nonce } = share;
+    while (utils.getLeadingZeroBits(utils.getBlockHash({ ...work.block, nonce })) >= 8) {
+      ({ counter, nonce } = findShare(work, 2, counter + 1));
+    }
+    const result = await pool.submitShare({ address: address1, job: work.job, nonce });
+    expect(result).to.deep.equal({ accepted: true, block: null });
+    let err = await pool.submitShare({ address: address1, job: work.job, nonce }).catch((err) => err);
+    expect(err.message).to.be.equal("Duplicate share");
+    // a nonce whose hash does not satisfy the share difficulty
+    let weak = counter + 1;
+    while (utils.getLeadingZeroBits(utils.getBlockHash({ ...work.block, nonce: common.encodeNonce(weak) })) >= 2) weak++;
+    err = await pool.submitShare({ address: address1, job: work.job, nonce: common.encodeNonce(weak) }).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(pool.getStats().shares).to.deep.equal({ [address1]: 4 });
+  });
+
+  it("it should reject the nonces outside the ranges given to the miner", async function () {
+    const work = await pool.getWork(address1);
+    const other = await pool.getWork(address2);
+    // a share found in the range of another miner
+    let { nonce } = findShare(other, 2, other.start);
+    let err = await pool.submitShare({ address: address1, job: work.job, nonce }).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("outside the ranges");
+    // a share found after the end of the range
+    ({ nonce } = findShare(work, 2, work.start + work.count));
+    err = await pool.submitShare({ address: address1, job: work.job, nonce }).catch((err) => err);
+    expect(err.message).to.contain("outside the ranges");
+    // another encoding of a nonce counter of the range
+    const { counter } = findShare(work, 2, work.start);
+    err = await pool.submitShare({ address: address1, job: work.job, nonce: common.encodeNonce(`0${counter}`) }).catch((err) => err);
+    expect(err.message).to.be.equal("Invalid nonce");
+    expect(pool.getStats().shares).to.deep.equal({ [address1]: 4 });
+  });
+
+  it("it should submit a block and pay out the round proportionally", async function () {
+    const work = await pool.getWork(address2);
+    // miner2 submits 3 shares that are not blocks and then a block (so that the round's work is known)
+    let start = work.start;
+    for (let submitted = 0; submitted < 3; ) {
+      const { counter, nonce } = findShare(work, 2, start);
+      start = counter + 1;
+      if (utils.getLeadingZeroBits(utils.getBlockHash({ ...work.block, nonce })) >= 8) continue;
+      const result = await pool.submitShare({ address: address2, job: work.job, nonce });
+      expect(result.block).to.be.null;
+      submitted++;
+    }
+    const { nonce } = findShare(work, 8, start);
+    const result = await pool.submitShare({ address: address2, job: work.job, nonce });
+    const tip = await server.getTip();
+    expect(tip._id).to.be.equal(result.block);
+    const { rounds, shares } = pool.getStats();
+    expect(shares).to.deep.equal({});
+    expect(rounds).to.have.lengthOf(1);
+    const round = rounds[0];
+    expect(round.block).to.be.equal(tip._id);
+    expect(round.shares[address1]).to.be.equal(4);
+    expect(round.shares[address2]).to.be.equal(16);
+    const total = round.shares[address1] + round.shares[address2];
+    // the payout (minus the 10% pool fee) is pending in the transaction pool
+    const payout = await server.getTransaction(round.payout);
+    expect(payout.block).to.be.null;
+    const outputs = payout.utxoOuts.map(({ amount }) => amount);
+    expect(outputs).to.include(Math.floor((90 * 4) / total));
+    expect(outputs).to.include(Math.floor((90 * round.shares[address2]) / total));
+  });
+
+  it("it should load the shares and the rounds again", async function () {
+    const work = await pool.getWork(address1);
+    let { counter, nonce } = findShare(work, 2, work.start);
+    while (utils.getLeadingZeroBits(utils.getBlockHash({ ...work.block, nonce })) >= 8) {
+      ({ counter, nonce } = findShare(work, 2, counter + 1));
+    }
+    await pool.submitShare({ address: address1, job: work.job, nonce });
+    const stats = pool.getStats();
+    expect(stats.shares).to.deep.equal({ [address1]: 4 });
+    const reloaded = new DotcoinPool(new DotcoinNetwork(server), operator, { shareDifficulty: 2, fee: 10 });
+    await reloaded.load();
+    expect(reloaded.getStats()).to.deep.equal(stats);
+    reloaded.close();
+  });
+
+  it("it should reject the shares of a stale job", async function () {
+    const stale = await pool.getWork(address1);
+    const { block, coinbase, transactions } = await miner1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+    const { nonce } = findShare(stale, 2, stale.start);
+    const err = await pool.submitShare({ address: address1, job: stale.job, nonce }).catch((err) => err);
+    expect(err.message).to.contain("stale");
+    const work = await pool.getWork(address1);
+    expect(work.block.previous).to.be.equal(block._id);
+  });
+
+  it("it should drop the ranges of a job once it is replaced", async function () {
+    const replaced = await pool.getWork(address1);
+    await server.addTransaction(await miner1.createTransaction(0, address2, 10, 1));
+    const work = await pool.getWork(address1);
+    expect(work.job).to.not.be.equal(replaced.job);
+    expect(work.block.previous).to.be.equal(replaced.block.previous);
+    const { nonce } = findShare(replaced, 2, replaced.start);
+    const err = await pool.submitShare({ address: address1, job: replaced.job, nonce }).catch((err) => err);
+    expect(err.message).to.contain("stale");
+  });
+
+  it("it should credit a share submitted twice at once only once", async function () {
+    const work = await pool.getWork(address2);
+    let { counter, nonce } = findShare(work, 2, work.start);
+    while (utils.getLeadingZeroBits(utils.getBlockHash({ ...work.block, nonce })) >= 8) {
+      ({ counter, nonce } = findShare(work, 2, counter + 1));
+    }
+    const before = pool.getStats().shares[address2] || 0;
+    const results = await Promise.allSettled([
+      pool.submitShare({ address: address2, job: work.job, nonce }),
+      pool.submitShare({ address: address2, job: work.job, nonce }),
+    ]);
+    expect(results.map(({ status }) => status)).to.deep.equal(["fulfilled", "rejected"]);
+    expect(results[1].reason.message).to.be.equal("Duplicate share");
+    expect(pool.getStats().shares[address2]).to.be.equal(before + 4);
+  });
+});
@@ -0,0 +1,115 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { HeaderChain } from "../core/spv.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testSpv";
+
+describe("Testing Merkle Proofs and SPV", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let server;
+  let chain;
+  let txIds;
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    for (let i = 0; i < 4; i++) {
+      const { block, coinbase, transactions } = await client1.mine(0);
+      await server.addBlock(block, coinbase, transactions);
+    }
+    txIds = [];
+    for (let i = 1; i <= 4; i++) {
+      const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), i);
+      txIds.push((await server.addTransaction(txParams))._id);
+    }
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should verify merkle paths for any number of leaves", function () {
+    for (let n = 1; n <= 7; n++) {
+      const ids = [...Array(n).keys()].map((i) => `tx${i}`);
+      const root = utils.getMerkleRoot(ids);
+      ids.forEach(function (id, i) {
+        const proof = utils.getMerkleProof(ids, i);
+        expect(utils.verifyMerkleProof(id, proof, root)).to.be.true;
+        expect(utils.verifyMerkleProof("other", proof, root)).to.be.false;
+      });
+    }
+  });
+
+  it("it should verify the header chain", async function () {
+    chain = new HeaderChain(config);
+    const headers = await server.getHeaders(0, 100, 1);
+    expect(headers).to.have.lengthOf(5);
+    expect(headers[0]).to.not.have.property("transactions");
+    await chain.addHeaders(headers);
+    expect(chain.getTip()._id).to.be.equal((await server.getTip())._id);
+  });
+
+  it("it should reject invalid headers", async function () {
+    const [genesis, header] = await server.getHeaders(0, 2, 1);
+    const tampered = [
+      { ...header, root: genesis.root },
+      { ...header, _id: undefined, height: 5 },
+      { ...header, _id: undefined, previous: header._id },
+    ];
+    for (const headers of tampered) {
+      const err = await new HeaderChain(config).addHeaders([genesis, headers]).catch((err) => err);
+      expect(err.name).to.be.equal("ClientError");
+    }
+    // a header whose hash does not satisfy the proof-of-work
+    const forged = { ...header };
+    delete forged._id;
+    for (let i = 1; utils.getLeadingZeroBits(utils.getBlockHash(forged)) >= forged.difficulty; i++) {
+      forged.timestamp = header.timestamp + i;
+    }
+    const err = await new HeaderChain(config).addHeaders([genesis, forged]).catch((err) => err);
+    expect(err.message).to.contain("proof-of-work");
+  });
+
+  it("it should prove that transactions are confirmed", async function () {
+    const tip = await server.getTip();
+    for (const txId of [...txIds, tip.coinbase._id]) {
+      const proof = await server.getTransactionProof(txId);
+      expect(proof.header._id).to.be.equal(tip._id);
+      const result = chain.verifyProof(JSON.parse(JSON.stringify(proof)));
+      expect(result).to.deep.equal({ transaction: txId, block: tip._id, height: 4, confirmations: 1 });
+    }
+    const tx = await server.getTransaction(txIds[0]);
+    const txProof = await server.getTransactionProof(txIds[0]);
+    expect(() => chain.verifyProof(txProof, tx)).to.not.throw();
+    const genesis = (await server.getHeaders(0, 1, 1))[0];
+    const proof = await server.getTransactionProof(txIds[1]);
+    expect(() => chain.verifyProof(proof, tx)).to.throw("does not match");
+    expect(() => chain.verifyProof({ ...proof, transaction: txIds[0] })).to.throw("is not confirmed");
+    expect(() => chain.verifyProof({ ...proof, header: genesis })).to.throw("is not confirmed");
+    expect(() => chain.verifyProof({ ...proof, header: { ...proof.header, nonce: genesis.nonce } })).to.throw("not a verified header");
+  });
+
+  it("it should count the confirmations", async function () {
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+    await chain.addHeaders(await server.getHeaders(0, 100, 1));
+    const { confirmations } = chain.verifyProof(await server.getTransactionProof(txIds[0]));
+    expect(confirmations).to.be.equal(2);
+    expect(await server.getTransactionProof("unknown")).to.be.null;
+  });
+});
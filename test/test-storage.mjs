@@ -0,0 +1,140 @@
+import chai from "chai";
+import { mkdirSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { DatabaseRead } from "../database/database-read.mjs";
+import { DatabaseWrite } from "../database/database-write.mjs";
+import { openCollection } from "../database/storage.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testStorage";
+
+describe("Testing Storage Backends", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+
+  // mines two blocks, pays client2 and mines the payment
+  async function fill(client1, client2, server) {
+    for (let i = 0; i < 2; i++) {
+      const { block, coinbase, transactions } = await client1.mine(0);
+      await server.addBlock(block, coinbase, transactions);
+    }
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 30);
+    await server.addTransaction(txParams);
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+  }
+
+  // returns the content of a database (all blocks and transactions in insertion order)
+  async function dump(db) {
+    return {
+      tip: await db.getTip(),
+      blocks: await db.getBlocks(0, Number.MAX_SAFE_INTEGER),
+      transactions: await db.getTransactions(0, Number.MAX_SAFE_INTEGER),
+    };
+  }
+
+  for (const storage of ["memory", "log"]) {
+    describe(`with the ${storage} backend`, function () {
+      const path = join(databasePath, storage);
+      let client1;
+      let client2;
+      let server;
+
+      before(async function () {
+        client1 = new DotcoinClient({ ...config, storage, path });
+        client2 = new DotcoinClient({ ...config, storage, path });
+        server = new DotcoinServer({ ...config, storage, path });
+        await fill(client1, client2, server);
+      });
+
+      after(function () {
+        server.destroy();
+      });
+
+      it("it should share the collections between the instances of the process", async function () {
+        expect((await server.getTip()).height).to.be.equal(2);
+        expect(await client2.getBalance(0)).to.deep.equal({ usable: 30, pending: 0, locked: 0 });
+        expect(await client1.getBalance(0)).to.deep.equal({ usable: 270, pending: 0, locked: 0 });
+        expect((await server.verifyChain()).valid).to.be.true;
+      });
+
+      it("it should keep the timestamps and the unique _ids", async function () {
+        const blocks = await server.getBlocks(0, 10, -1);
+        expect(blocks.map((block) => block.height)).to.deep.equal([2, 1, 0]);
+        const tip = await server.getTip();
+        const err = await server.db.addBlock(tip).catch((err) => err);
+        expect(err.errorType).to.be.equal("uniqueViolated");
+      });
+    });
+  }
+
+  it("it should read an append-only log again once closed", async function () {
+    const path = join(databasePath, "reopen");
+    const server = new DotcoinServer({ ...config, storage: "log", path });
+    const client = new DotcoinClient({ ...config, storage: "log", path });
+    await fill(client, new DotcoinClient({ ...config, storage: "log", path }), server);
+    const content = await dump(server.db);
+    // every batch is added to the journal and removed from it
+    const journal = join(path, "journal.log");
+    expect(readFileSync(journal, "utf-8").trim().split("\n")).to.have.lengthOf(8);
+    for (const collection of Object.values(server.db.getCollections())) collection.close();
+    const db = new DatabaseWrite(path, false, "log");
+    expect(await dump(db)).to.deep.equal(content);
+    expect(await db.getUtxos(content.tip.coinbase.utxoOuts.map((utxo) => utxo.address))).to.have.lengthOf(1);
+    // the journal log holds more changes than elements so it has been rewritten when read again
+    expect(await db.recover()).to.deep.equal({ batches: 0, released: 0 });
+    expect(readFileSync(journal, "utf-8")).to.be.equal("");
+    db.destroy();
+  });
+
+  it("it should drop a partial last line of a log but reject any other unreadable line", async function () {
+    const path = join(databasePath, "corrupted");
+    const filename = join(path, "elements.log");
+    mkdirSync(path, { recursive: true });
+    const line = (change) => JSON.stringify(change) + "\n";
+    // the process stopped while appending the third change
+    writeFileSync(filename, line({ put: [{ _id: "a", value: 1 }] }) + line({ put: [{ _id: "b", value: 2 }] }) + '{"put":[{"_id":"c"');
+    let collection = openCollection("log", path, "elements");
+    expect((await collection.find({}, { _id: 1 }, 0, 10)).map(({ _id }) => _id)).to.deep.equal(["a", "b"]);
+    await collection.insert({ _id: "d", value: 4 });
+    collection.close();
+    expect(readFileSync(filename, "utf-8").split("\n")).to.have.lengthOf(4);
+    collection = openCollection("log", path, "elements");
+    expect((await collection.find({}, { _id: 1 }, 0, 10)).map(({ _id }) => _id)).to.deep.equal(["a", "b", "d"]);
+    collection.close();
+    // a line that cannot be read is not the last one anymore
+    writeFileSync(filename, '{"put":[{"_id":"c"\n' + line({ put: [{ _id: "a", value: 1 }] }));
+    collection = openCollection("log", path, "elements");
+    const err = await collection.find({}, { _id: 1 }, 0, 10).catch((err) => err);
+    expect(err.message).to.contain("is corrupted at line 1");
+    collection.close();
+  });
+
+  it("it should migrate a database to another backend", async function () {
+    const path = join(databasePath, "migrate");
+    const server = new DotcoinServer({ ...config, path });
+    await fill(
+      new DotcoinClient({ ...config, path }),
+      new DotcoinClient({ ...config, path }),
+      server,
+    );
+    const target = new DatabaseWrite(path, false, "log");
+    expect(await target.copyFrom(server.db)).to.deep.equal({ transactions: 4, blocks: 3, utxos: 5, journal: 0 });
+    expect(await dump(target)).to.deep.equal(await dump(server.db));
+    const migrated = new DotcoinServer({ ...config, storage: "log", path });
+    expect(await migrated.verifyChain()).to.include({ valid: true, blocks: 3 });
+    migrated.destroy();
+  });
+
+  it("it should reject an unknown backend", function () {
+    expect(() => new DatabaseRead(databasePath, "sql")).to.throw("Unknown storage backend sql");
+  });
+});
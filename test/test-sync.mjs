@@ -0,0 +1,149 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import * as common from "../core/common.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testSync";
+const localPath = "data/testSyncLocal";
+
+// mines an empty block on top of the given parent (regardless of the main chain tip)
+async function mineOn(client, server, parent, account, config) {
+  const address = await client.getReceivingAddress(account);
+  const coinbase = {
+    _id: null,
+    utxoIns: [],
+    utxoOuts: [{ address: common.getChildKeys(address, 0).publicKey, amount: 100 }],
+  };
+  coinbase._id = utils.getTransactionHash(coinbase);
+  const parentBlock = await server.getBlock(parent);
+  const getBlock = (hash) => server.getBlock(hash);
+  const difficulty = await common.getDifficulty(parentBlock, getBlock, config);
+  const medianTimePast = await common.getMedianTimePast(parentBlock, getBlock);
+  const block = common.findNonce(
+    {
+      _id: null,
+      previous: parent,
+      height: parentBlock.height + 1,
+      timestamp: Math.max(Date.now(), medianTimePast + 1),
+      difficulty,
+      root: utils.getMerkleRoot([coinbase._id]),
+      nonce: null,
+    },
+    difficulty,
+  );
+  return server.addBlock(block, coinbase, []);
+}
+
+describe("Testing Incremental Synchronization", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    interval: 10,
+    blockTime: 60,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let local;
+  let server;
+  let time = 0;
+
+  // synchronizes the local database with the server (a couple of blocks at a time)
+  async function sync() {
+    let reorganized = false;
+    let data = { more: true };
+    while (data.more) {
+      data = await server.getBlocksSince({ hash: await local.getLocalTip() }, 2);
+      reorganized = (await local.applyBlocks(JSON.parse(JSON.stringify(data)))) || reorganized;
+    }
+    const mempool = await server.getMempoolSince(time);
+    await local.applyMempool(JSON.parse(JSON.stringify(mempool)));
+    time = mempool.time;
+    return { reorganized, mempool };
+  }
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    // the same wallet with its own local copy of the chain
+    local = new DotcoinClient({ ...config, mnemonic: client1.getMnemonic(), path: localPath });
+    for (let i = 0; i < 3; i++) {
+      const { block, coinbase, transactions } = await client1.mine(0);
+      await server.addBlock(block, coinbase, transactions);
+    }
+  });
+
+  after(function () {
+    server.destroy();
+    local.db.destroy();
+  });
+
+  it("it should download the chain from the genesis block", async function () {
+    const { reorganized } = await sync();
+    expect(reorganized).to.be.false;
+    expect(await local.getLocalTip()).to.be.equal((await server.getTip())._id);
+    expect(await local.getBalance(0)).to.deep.equal(await client1.getBalance(0));
+  });
+
+  it("it should only download the new blocks", async function () {
+    const tip = await local.getLocalTip();
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+    const data = await server.getBlocksSince({ hash: tip }, 100);
+    expect(data.fork).to.be.equal(tip);
+    expect(data.reorganized).to.be.false;
+    expect(data.more).to.be.false;
+    expect(data.blocks.map((block) => block._id)).to.deep.equal([block._id]);
+    expect(data.transactions.map((tx) => tx._id)).to.deep.equal([coinbase._id]);
+    const byHeight = await server.getBlocksSince({ height: 2 }, 100);
+    expect(byHeight.fork).to.be.equal(tip);
+    await sync();
+    expect(await local.getLocalTip()).to.be.equal(block._id);
+  });
+
+  it("it should apply the changes of the transaction pool", async function () {
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 30);
+    await server.addTransaction(txParams);
+    const { mempool } = await sync();
+    expect(mempool.transactions.map((tx) => tx._id)).to.deep.equal([txParams._id]);
+    expect(mempool.pool).to.deep.equal([txParams._id]);
+    expect(await local.getBalance(0)).to.deep.equal(await client1.getBalance(0));
+    expect((await sync()).mempool.transactions).to.have.lengthOf(0);
+  });
+
+  it("it should drop the transactions that the node removed", async function () {
+    await mineOn(client2, server, await local.getLocalTip(), 1, config);
+    const pruner = new DotcoinServer({ ...config, expiry: 1, path: databasePath });
+    expect(await pruner.expireTransactions()).to.have.lengthOf(1);
+    const { mempool } = await sync();
+    expect(mempool.pool).to.have.lengthOf(0);
+    expect(await local.getBalance(0)).to.deep.equal({ usable: 400, pending: 0, locked: 0 });
+  });
+
+  it("it should detect that its tip has been reorganized away", async function () {
+    const tip = await server.getBlock(await local.getLocalTip());
+    const side1 = await mineOn(client2, server, tip.previous, 2, config);
+    await mineOn(client2, server, side1._id, 3, config);
+    const data = await server.getBlocksSince({ hash: tip._id }, 100);
+    expect(data.reorganized).to.be.true;
+    expect(data.fork).to.be.equal(tip.previous);
+    const { reorganized } = await sync();
+    expect(reorganized).to.be.true;
+    expect(await local.getLocalTip()).to.be.equal((await server.getTip())._id);
+    expect(await local.db.getBlock(tip._id)).to.be.null;
+    expect(await local.getBalance(0)).to.deep.equal(await client1.getBalance(0));
+  });
+
+  it("it should start over when its tip is unknown", async function () {
+    const data = await server.getBlocksSince({ hash: "unknown" }, 100);
+    expect(data.fork).to.be.null;
+    expect(data.reorganized).to.be.true;
+    expect(data.blocks[0].height).to.be.equal(0);
+  });
+});
@@ -0,0 +1,80 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testTemplate";
+
+describe("Testing Block Templates", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 3,
+    poolSize: 4,
+  };
+  let client1;
+  let client2;
+  let server;
+  let txIds;
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    for (let i = 0; i < 5; i++) {
+      const { block, coinbase, transactions } = await client1.mine(0);
+      await server.addBlock(block, coinbase, transactions);
+    }
+    txIds = [];
+    for (let i = 1; i <= 4; i++) {
+      const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 10, i);
+      txIds.push((await server.addTransaction(txParams))._id);
+    }
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should serve a template no bigger than the limit", async function () {
+    const tip = await server.getTip();
+    const template = await server.getBlockTemplate();
+    expect(template.previous).to.be.equal(tip._id);
+    expect(template.height).to.be.equal(tip.height + 1);
+    expect(template.difficulty).to.be.equal(tip.difficulty);
+    expect(template.limit).to.be.equal(3);
+    // the coinbase is part of the limit
+    expect(template.transactions.map((tx) => tx._id)).to.deep.equal(txIds.slice(0, 2));
+    expect(template.reward).to.be.equal(100 + 1 + 2);
+  });
+
+  it("it should reject a transaction when the pool is full", async function () {
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 10, 1);
+    const err = await server.addTransaction(txParams).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("pool is full");
+  });
+
+  it("it should mine a block on the template", async function () {
+    const { block, coinbase, transactions } = await client1.mine(0, await server.getBlockTemplate());
+    expect(transactions).to.deep.equal(txIds.slice(0, 2));
+    await server.addBlock(block, coinbase, transactions);
+    const template = await server.getBlockTemplate();
+    expect(template.previous).to.be.equal(block._id);
+    expect(template.transactions.map((tx) => tx._id)).to.deep.equal(txIds.slice(2));
+  });
+
+  it("it should reject a block above the limit", async function () {
+    const template = await server.getBlockTemplate();
+    const transactions = await Promise.all(txIds.slice(2).map((txId) => server.getTransaction(txId)));
+    // a miner that does not check the limit
+    const overfull = { ...template, limit: 1024, transactions: [...transactions, ...transactions.slice(0, 1)] };
+    const blockData = await client1.mine(0, overfull);
+    const err = await server.addBlock(blockData.block, blockData.coinbase, blockData.transactions).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("limit");
+  });
+});
@@ -0,0 +1,155 @@
+import chai from "chai";
+
+import * as common from "../core/common.mjs";
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testTimelock";
+
+describe("Testing Timelocks", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let client3;
+  let server;
+  let heightLocked;
+  let timeLocked;
+
+  async function mine(client) {
+    const { block, coinbase, transactions } = await client.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+    return transactions;
+  }
+
+  // mines a block with the given transactions on top of the given parent (regardless of the main chain tip)
+  async function mineOn(parent, transactions) {
+    const getBlock = (hash) => server.getBlock(hash);
+    const template = {
+      ...(await server.getBlockTemplate()),
+      previous: parent._id,
+      height: parent.height + 1,
+      difficulty: await common.getDifficulty(parent, getBlock, server),
+      medianTimePast: await common.getMedianTimePast(parent, getBlock),
+      transactions,
+      reward: config.amount,
+    };
+    const { block, coinbase } = await new DotcoinClient({ ...config, path: databasePath }).mine(0, template);
+    return { block, coinbase, transactions };
+  }
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    client3 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    for (let i = 0; i < 3; i++) await mine(client1);
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should keep a transaction locked until a block height in the pool", async function () {
+    const tip = await server.getTip();
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 10, 0, "in-order", tip.height + 3);
+    heightLocked = await server.addTransaction(txParams);
+    expect(heightLocked.lockTime).to.be.equal(tip.height + 3);
+    expect(heightLocked.entryHeight).to.be.equal(tip.height + 2);
+    expect(await mine(client1)).to.not.include(heightLocked._id);
+  });
+
+  it("it should keep a transaction locked until a date in the pool", async function () {
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 20, 0, "in-order", Date.now() + 3600 * 1000);
+    timeLocked = await server.addTransaction(txParams);
+    expect(await mine(client1)).to.deep.equal([]);
+    // a locked transaction does not expire while it waits
+    const pruner = new DotcoinServer({ ...config, expiry: 1, path: databasePath });
+    expect(await pruner.getExpiredTransactions(0, 10)).to.have.lengthOf(0);
+  });
+
+  it("it should reject a block that confirms a locked transaction", async function () {
+    const miner = new DotcoinClient({ ...config, path: databasePath });
+    const template = { ...(await server.getBlockTemplate()), transactions: [await server.getTransaction(timeLocked._id)] };
+    const { block, coinbase, transactions } = await miner.mine(0, template);
+    const err = await server.addBlock(block, coinbase, transactions).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("timelocked");
+  });
+
+  it("it should reject a branch that confirms a locked transaction", async function () {
+    const tip = await server.getTip();
+    const fork = await server.getBlock(tip.previous);
+    // the branch confirms the transaction one block before its lock time
+    const first = await mineOn(fork, [await server.getTransaction(heightLocked._id)]);
+    await server.addBlock(first.block, first.coinbase, first.transactions.map((tx) => tx._id));
+    const second = await mineOn(await server.getBlock(first.block._id), []);
+    const err = await server.addBlock(second.block, second.coinbase, second.transactions).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("timelocked");
+    expect((await server.getTip())._id).to.be.equal(tip._id);
+    expect(await server.getTransaction(heightLocked._id)).to.include({ block: null });
+  });
+
+  it("it should reject a tampered lock time", async function () {
+    const tip = await server.getTip();
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 5, 0, "in-order", tip.height + 10);
+    const err = await server.addTransaction({ ...txParams, lockTime: 0 }).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+  });
+
+  it("it should confirm the transaction once the height is reached", async function () {
+    expect(await mine(client1)).to.deep.equal([heightLocked._id]);
+    const { usable } = await client2.getBalance(0);
+    expect(usable).to.be.equal(10);
+  });
+
+  it("it should lock an output for some blocks after its confirmation", async function () {
+    const txParams = await client1.createTransaction(0, await client3.getReceivingAddress(0), 30, 0, "in-order", 0, 2);
+    const tx = await server.addTransaction(txParams);
+    expect(tx.utxoOuts[0].lock).to.be.equal(2);
+    await mine(client1);
+    expect(await client3.getBalance(0)).to.deep.equal({ usable: 0, pending: 0, locked: 30 });
+    const err = await client3.createTransaction(0, await client2.getReceivingAddress(0), 30).catch((err) => err);
+    expect(err.message).to.be.equal("Insufficient funds");
+  });
+
+  it("it should reject a block that spends a locked output too early", async function () {
+    const spender = new DotcoinClient({ ...config, mnemonic: client3.getMnemonic(), path: databasePath });
+    spender.getSpendableUtxos = async (account) => (await spender.scanAccount(account)).filter((utxo) => !utxo.txIn);
+    const tx = await server.addTransaction(await spender.createTransaction(0, await client2.getReceivingAddress(0), 30));
+    const miner = new DotcoinClient({ ...config, path: databasePath });
+    const template = { ...(await server.getBlockTemplate()), transactions: [await server.getTransaction(tx._id)] };
+    const { block, coinbase, transactions } = await miner.mine(0, template);
+    const err = await server.addBlock(block, coinbase, transactions).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(await mine(client1)).to.not.include(tx._id);
+    // the output is unlocked 2 blocks after its confirmation
+    expect(await mine(client1)).to.deep.equal([tx._id]);
+    const { usable } = await client2.getBalance(0);
+    expect(usable).to.be.equal(40);
+  });
+
+  it("it should check the lock of the output that a pool transaction spends", async function () {
+    const first = await server.addTransaction(
+      await client1.createTransaction(0, await client3.getReceivingAddress(0), 5),
+    );
+    const [{ address }] = first.utxoOuts;
+    await mine(client1);
+    const unsigned = await client1.buildTransaction(0, [{ address: await client3.getReceivingAddress(0), amount: 6, lock: 10 }]);
+    unsigned.transaction.utxoOuts[0].address = address;
+    await server.addTransaction(await client1.signTransaction(unsigned));
+    await mine(client1);
+    expect(await client3.getBalance(0)).to.deep.equal({ usable: 5, pending: 0, locked: 6 });
+    // the transaction spends the oldest output of the address, which is not locked
+    const tx = await server.addTransaction(await client3.createTransaction(0, await client2.getReceivingAddress(0), 5));
+    expect((await server.getBlockTemplate()).transactions.map((tx) => tx._id)).to.include(tx._id);
+    expect(await mine(client1)).to.deep.equal([tx._id]);
+  });
+});
@@ -0,0 +1,142 @@
+import chai from "chai";
+
+import * as common from "../core/common.mjs";
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { addElement, getElements, removeElements } from "../database/database-core.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testUtxoIndex";
+
+describe("Testing UTXO Index", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let server;
+  let tx;
+
+  // returns the content of the utxos collection (sorted by transaction and output)
+  async function getIndex() {
+    const entries = await getElements(server.db.utxos, {}, 0, Number.MAX_SAFE_INTEGER, { _id: 1 });
+    return entries.map(({ _id, address, amount, txIn, transaction, block }) => ({ _id, address, amount, txIn, transaction, block }));
+  }
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    for (let i = 0; i < 2; i++) {
+      const { block, coinbase, transactions } = await client1.mine(0);
+      await server.addBlock(block, coinbase, transactions);
+    }
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should index the outputs of pending and confirmed transactions", async function () {
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 30);
+    tx = await server.addTransaction(txParams);
+    const [input] = tx.utxoIns;
+    const [payment, change] = tx.utxoOuts;
+    expect(await server.getUtxo(input)).to.include({ txIn: tx._id });
+    expect(await server.getUtxo(payment.address)).to.deep.equal({
+      address: payment.address,
+      amount: 30,
+      transaction: tx._id,
+      block: null,
+    });
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+    expect(await server.getUtxo(payment.address)).to.include({ block: block._id });
+    // the transaction records are kept in step with the index
+    const record = await server.getTransaction(tx._id);
+    expect(record.block).to.be.equal(block._id);
+    const funding = await server.getTransaction((await server.getUtxo(input)).transaction);
+    expect(funding.utxoOuts.find((utxo) => utxo.address === input).txIn).to.be.equal(tx._id);
+    expect(change.amount).to.be.equal(70);
+  });
+
+  it("it should query the unspent utxos of a list of addresses", async function () {
+    const [input] = tx.utxoIns;
+    const [payment, change] = tx.utxoOuts;
+    const addresses = [change.address, input, "unknown", payment.address];
+    expect((await server.db.getUtxos(addresses)).map((utxo) => utxo.address)).to.deep.equal([
+      change.address,
+      input,
+      payment.address,
+    ]);
+    expect((await server.db.getUnspentUtxos(addresses)).map((utxo) => utxo.address)).to.deep.equal([
+      change.address,
+      payment.address,
+    ]);
+  });
+
+  it("it should index every output paid to an address used several times", async function () {
+    const [payment] = tx.utxoOuts;
+    const unsigned = await client1.buildTransaction(0, [{ address: await client2.getReceivingAddress(0), amount: 20 }]);
+    unsigned.transaction.utxoOuts[0].address = payment.address;
+    const reuse = await server.addTransaction(await client1.signTransaction(unsigned));
+    const utxos = await server.db.getUtxos([payment.address]);
+    expect(utxos.map(({ transaction, amount }) => [transaction, amount])).to.deep.equal([
+      [tx._id, 30],
+      [reuse._id, 20],
+    ]);
+    // the outputs of the address are spent one at a time, the oldest first
+    expect(await server.getUtxo(payment.address)).to.include({ transaction: tx._id, amount: 30 });
+    await server.db.spendUtxos("spender", [payment.address]);
+    expect(await server.getUtxo(payment.address)).to.include({ transaction: reuse._id, amount: 20 });
+    await server.db.spendUtxos("spender", [payment.address]);
+    expect(await server.getUtxo(payment.address)).to.include({ transaction: reuse._id, amount: 20 });
+    await server.db.releaseUtxos(["spender"]);
+    expect(await server.getUtxo(payment.address)).to.include({ transaction: tx._id });
+  });
+
+  it("it should rebuild the index from the transactions", async function () {
+    const index = await getIndex();
+    expect(await server.db.upgrade()).to.be.false;
+    await removeElements(server.db.utxos, {});
+    expect(await server.getUtxo(tx.utxoOuts[0].address)).to.be.null;
+    expect(await server.db.upgrade()).to.be.true;
+    expect(await getIndex()).to.deep.equal(index);
+    expect(await server.db.rebuildUtxos()).to.be.equal(index.length);
+    expect(await getIndex()).to.deep.equal(index);
+    // an index keyed by address (i.e without the address field) is rebuilt as well
+    await removeElements(server.db.utxos, {});
+    await addElement(server.db.utxos, { _id: tx.utxoOuts[0].address, amount: 30, transaction: tx._id, output: 0 });
+    expect(await server.db.upgrade()).to.be.true;
+    expect(await getIndex()).to.deep.equal(index);
+  });
+
+  it("it should reject a coinbase that already exists", async function () {
+    const tip = await server.getTip();
+    // the same amount paid to the same address gives the same coinbase _id
+    const coinbase = { _id: tip.coinbase._id, utxoIns: [], utxoOuts: tip.coinbase.utxoOuts };
+    const getBlock = (hash) => server.getBlock(hash);
+    const difficulty = await common.getDifficulty(tip, getBlock, config);
+    const medianTimePast = await common.getMedianTimePast(tip, getBlock);
+    const block = common.findNonce(
+      {
+        _id: null,
+        previous: tip._id,
+        height: tip.height + 1,
+        timestamp: Math.max(Date.now(), medianTimePast + 1),
+        difficulty,
+        root: utils.getMerkleRoot([coinbase._id]),
+        nonce: null,
+      },
+      difficulty,
+    );
+    const err = await server.addBlock(block, coinbase, []).catch((err) => err);
+    expect(err.name).to.be.equal("ValidationError");
+    expect(err.message).to.contain("already exists");
+  });
+});
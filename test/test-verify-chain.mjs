@@ -0,0 +1,117 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { addElement, removeElements, updateElement } from "../database/database-core.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testVerifyChain";
+
+describe("Testing Full-Chain Verification", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let server;
+  let txId;
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    for (let i = 0; i < 3; i++) {
+      const { block, coinbase, transactions } = await client1.mine(0);
+      await server.addBlock(block, coinbase, transactions);
+    }
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 120, 5);
+    txId = (await server.addTransaction(txParams))._id;
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should replay a valid chain and rebuild the UTXO set", async function () {
+    const report = await server.verifyChain();
+    expect(report.valid).to.be.true;
+    expect(report.blocks).to.be.equal(4);
+    expect(report.transactions).to.be.equal(1);
+    // 4 coinbase outputs, the payment and its change, minus the 2 coinbase outputs spent by the payment
+    expect(report.utxos).to.be.equal(4);
+    expect(report.supply).to.be.equal(400);
+    expect(report).to.not.have.property("differences");
+  });
+
+  it("it should report the stored UTXOs that differ from the chain", async function () {
+    const tx = await server.getTransaction(txId);
+    const [payment, change] = tx.utxoOuts;
+    // a spent output marked as unspent, an edited amount, a missing output and an output that belongs to no transaction
+    const [spent] = await server.db.getUtxos([tx.utxoIns[0]]);
+    await updateElement(server.db.utxos, { _id: `${spent.transaction}:0` }, { $unset: { txIn: true } });
+    await updateElement(server.db.utxos, { _id: `${txId}:0` }, { $set: { amount: payment.amount + 10 } });
+    await removeElements(server.db.utxos, { _id: `${txId}:1` });
+    await addElement(server.db.utxos, { _id: "unknown:0", address: change.address, amount: 10, transaction: "unknown", block: null, output: 0 });
+    const report = await server.verifyChain();
+    expect(report).to.include({ valid: false, blocks: 4, transactions: 1, utxos: 4, supply: 400 });
+    expect(report.differences).to.have.deep.members([
+      { utxo: `${spent.transaction}:0`, error: `UTXO should be spent by transaction ${txId}` },
+      { utxo: `${txId}:0`, error: "UTXO does not match its transaction output" },
+      { utxo: `${txId}:1`, error: "UTXO is missing" },
+      { utxo: "unknown:0", error: "UTXO does not belong to the main chain or the transaction pool" },
+    ]);
+    await server.db.rebuildUtxos();
+    expect((await server.verifyChain()).valid).to.be.true;
+  });
+
+  it("it should accept outputs of the main chain spent by the transaction pool", async function () {
+    const txParams = await client2.createTransaction(0, await client1.getReceivingAddress(0), 20);
+    await server.addTransaction(txParams);
+    const report = await server.verifyChain();
+    expect(report.valid).to.be.true;
+    expect(report.transactions).to.be.equal(1);
+  });
+
+  it("it should name the transaction whose content has been edited", async function () {
+    const tx = await server.getTransaction(txId);
+    const utxoOuts = tx.utxoOuts.map((utxo, i) => (i === 0 ? { ...utxo, amount: utxo.amount + 10 } : utxo));
+    await updateElement(server.db.transactions, { _id: txId }, { $set: { utxoOuts } });
+    const report = await server.verifyChain();
+    expect(report.valid).to.be.false;
+    expect(report.height).to.be.equal(3);
+    expect(report.block).to.be.equal(tx.block);
+    expect(report.transaction).to.be.equal(txId);
+    expect(report.error).to.match(/hash does not match/);
+    await updateElement(server.db.transactions, { _id: txId }, { $set: { utxoOuts: tx.utxoOuts } });
+  });
+
+  it("it should name the transaction whose signature has been forged", async function () {
+    const tx = await server.getTransaction(txId);
+    const signatures = [tx.signatures[1], tx.signatures[0]];
+    await updateElement(server.db.transactions, { _id: txId }, { $set: { signatures } });
+    const report = await server.verifyChain();
+    expect(report.valid).to.be.false;
+    expect(report.transaction).to.be.equal(txId);
+    // the signatures are part of the transaction hash
+    expect(report.error).to.be.equal("Transaction hash does not match its content");
+    await updateElement(server.db.transactions, { _id: txId }, { $set: { signatures: tx.signatures } });
+  });
+
+  it("it should name the first block whose header has been edited", async function () {
+    const [, block] = await server.getBlocks(0, 2, 1);
+    await updateElement(server.db.blocks, { _id: block._id }, { $set: { timestamp: block.timestamp + 1 } });
+    const report = await server.verifyChain();
+    expect(report.valid).to.be.false;
+    expect(report.height).to.be.equal(1);
+    expect(report.block).to.be.equal(block._id);
+    expect(report.transaction).to.be.null;
+    await updateElement(server.db.blocks, { _id: block._id }, { $set: { timestamp: block.timestamp } });
+    expect((await server.verifyChain()).valid).to.be.true;
+  });
+});
@@ -0,0 +1,81 @@
+import chai from "chai";
+
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testWatchOnly";
+
+describe("Testing Watch-Only Wallets", function () {
+  this.timeout(10000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  let client1;
+  let client2;
+  let watcher;
+  let server;
+
+  before(async function () {
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    server = new DotcoinServer({ ...config, path: databasePath });
+    for (let i = 0; i < 2; i++) {
+      const { block, coinbase, transactions } = await client1.mine(1);
+      await server.addBlock(block, coinbase, transactions);
+    }
+    const txParams = await client1.createTransaction(
+      1,
+      await client2.getReceivingAddress(0),
+      30,
+    );
+    await server.addTransaction(txParams);
+  });
+
+  after(function () {
+    server.destroy();
+  });
+
+  it("it should export the account public key", async function () {
+    const xpub = await client1.getAccountPublicKey(1);
+    expect(xpub).to.match(/^xpub/);
+    expect(xpub).to.not.be.equal(await client1.getAccountPublicKey(0));
+    watcher = new DotcoinClient({ ...config, xpub, path: databasePath });
+    expect(watcher.isWatchOnly()).to.be.true;
+    expect(await watcher.getAccountPublicKey(1)).to.be.equal(xpub);
+  });
+
+  it("it should derive the same addresses as the wallet", async function () {
+    expect(await watcher.getReceivingAddress(1)).to.be.equal(
+      await client1.getReceivingAddress(1),
+    );
+    expect(await watcher.getAccountKeys(1)).to.deep.equal({
+      receive: { publicKey: (await client1.getAccountKeys(1)).receive.publicKey },
+      change: { publicKey: (await client1.getAccountKeys(1)).change.publicKey },
+    });
+  });
+
+  it("it should return the balance and the history", async function () {
+    expect(await watcher.getBalance(1)).to.deep.equal(await client1.getBalance(1));
+    expect(await watcher.getHistory(1)).to.deep.equal(await client1.getHistory(1));
+    const { usable, pending } = await watcher.getBalance(1);
+    expect(usable).to.be.equal(100);
+    expect(pending).to.be.equal(70);
+  });
+
+  it("it should only watch the account of the public key", async function () {
+    const err = await watcher.getBalance(0).catch((err) => err);
+    expect(err.name).to.be.equal("ClientError");
+  });
+
+  it("it should refuse to sign", async function () {
+    const err = await watcher
+      .createTransaction(1, await client2.getReceivingAddress(0), 10)
+      .catch((err) => err);
+    expect(err.name).to.be.equal("ClientError");
+    expect(() => watcher.getMnemonic()).to.throw("watch-only");
+  });
+});
@@ -0,0 +1,288 @@
+import { createServer } from "http";
+import axios from "axios";
+import chai from "chai";
+
+import * as common from "../core/common.mjs";
+import { DotcoinClient } from "../core/client.mjs";
+import { DotcoinServer } from "../core/server.mjs";
+import { DotcoinNetwork } from "../app/network.mjs";
+import { createApp } from "../app/api.mjs";
+import { WebhookDispatcher, sign } from "../app/webhooks.mjs";
+import * as utils from "../utils/utils.mjs";
+
+const expect = chai.expect;
+
+const databasePath = "data/testWebhooks";
+
+// a local receiver that records the deliveries and answers 500 to the given number of requests
+function createReceiver() {
+  const receiver = { requests: [], failures: 0 };
+  receiver.server = createServer(function (req, res) {
+    let body = "";
+    req.setEncoding("utf-8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", function () {
+      receiver.requests.push({ headers: req.headers, body });
+      if (receiver.failures > 0) {
+        receiver.failures--;
+        res.writeHead(500);
+        return res.end();
+      }
+      res.writeHead(200);
+      return res.end();
+    });
+  });
+  return receiver;
+}
+
+// mines an empty block on top of the given parent (regardless of the main chain tip)
+async function mineOn(client, server, parent, config) {
+  const address = await client.getReceivingAddress(0);
+  const coinbase = {
+    _id: null,
+    utxoIns: [],
+    utxoOuts: [{ address: common.getChildKeys(address, parent.height + 100).publicKey, amount: 100 }],
+  };
+  coinbase._id = utils.getTransactionHash(coinbase);
+  const getBlock = (hash) => server.getBlock(hash);
+  const difficulty = await common.getDifficulty(parent, getBlock, config);
+  const medianTimePast = await common.getMedianTimePast(parent, getBlock);
+  const block = common.findNonce(
+    {
+      _id: null,
+      previous: parent._id,
+      height: parent.height + 1,
+      timestamp: Math.max(Date.now(), medianTimePast + 1),
+      difficulty,
+      root: utils.getMerkleRoot([coinbase._id]),
+      nonce: null,
+    },
+    difficulty,
+  );
+  return server.addBlock(block, coinbase, []);
+}
+
+// waits until the condition holds
+async function waitFor(condition) {
+  for (let i = 0; i < 200 && !(await condition()); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe("Testing Payment Webhooks", function () {
+  this.timeout(20000);
+  const config = {
+    difficulty: 1,
+    amount: 100,
+    limit: 1024,
+  };
+  const url = "http://localhost:3500";
+  const receiverUrl = "http://localhost:3501/payments";
+  const secret = "a secret shared with the receiver";
+  const adminToken = "the admin token of the node";
+  const http = axios.create({
+    baseURL: url,
+    proxy: false,
+    validateStatus: () => true,
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+  let server;
+  let client1;
+  let client2;
+  let webhooks;
+  let receiver;
+  let node;
+  let webhook;
+  let failing;
+
+  before(async function () {
+    server = new DotcoinServer({ ...config, path: databasePath });
+    client1 = new DotcoinClient({ ...config, path: databasePath });
+    client2 = new DotcoinClient({ ...config, path: databasePath });
+    webhooks = new WebhookDispatcher(server, { retryDelay: 20, maxAttempts: 3 });
+    await webhooks.load();
+    node = createServer(createApp(server, new DotcoinNetwork(server, { url }), null, webhooks, { adminToken }));
+    await new Promise((resolve) => node.listen(3500, resolve));
+    receiver = createReceiver();
+    await new Promise((resolve) => receiver.server.listen(3501, resolve));
+    for (let i = 0; i < 2; i++) {
+      const { block, coinbase, transactions } = await client1.mine(0);
+      await server.addBlock(block, coinbase, transactions);
+    }
+  });
+
+  after(async function () {
+    await webhooks.close();
+    receiver.server.close();
+    node.close();
+    server.destroy();
+  });
+
+  it("it should register a webhook without sending its secret back", async function () {
+    const key = await client2.getAccountPublicKey(0);
+    const res = await http.put("/webhooks/", { key, url: receiverUrl, confirmations: 2, secret });
+    expect(res.status).to.be.equal(200);
+    webhook = res.data;
+    expect(webhook).to.include({ key, url: receiverUrl, confirmations: 2 });
+    expect(webhook).to.not.have.property("secret");
+    expect((await http.get("/webhooks/")).data).to.deep.equal([webhook]);
+  });
+
+  it("it should require the admin token", async function () {
+    const key = await client2.getAccountPublicKey(0);
+    let res = await http.put("/webhooks/", { key, url: receiverUrl, secret }, { headers: { Authorization: null } });
+    expect(res.status).to.be.equal(401);
+    expect(res.data.code).to.be.equal("unauthorized");
+    res = await http.get("/webhooks/", { headers: { Authorization: "Bearer not the token" } });
+    expect(res.status).to.be.equal(401);
+    res = await http.get(`/webhooks/${webhook._id}/deliveries/`, { headers: { Authorization: adminToken } });
+    expect(res.status).to.be.equal(401);
+    expect((await http.get("/webhooks/")).data).to.deep.equal([webhook]);
+    // the other routes are public
+    expect((await http.get("/status/", { headers: { Authorization: null } })).status).to.be.equal(200);
+  });
+
+  it("it should reject an invalid webhook", async function () {
+    const key = await client2.getAccountPublicKey(0);
+    let res = await http.put("/webhooks/", { key, url: "ftp://localhost/", secret });
+    expect(res.status).to.be.equal(400);
+    expect(res.data).to.include({ code: "invalid_request", path: "url" });
+    res = await http.put("/webhooks/", { key, url: receiverUrl, secret: "short" });
+    expect(res.data).to.include({ code: "invalid_request", path: "secret" });
+    res = await http.put("/webhooks/", { key: "not a key", url: receiverUrl, secret });
+    expect(res.status).to.be.equal(400);
+    expect(res.data).to.include({ code: "invalid_request", path: "key" });
+    expect((await http.get("/webhooks/")).data).to.have.lengthOf(1);
+  });
+
+  it("it should deliver a signed notification when the payment is pending and once it is confirmed", async function () {
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 30);
+    await server.addTransaction(txParams);
+    await waitFor(() => receiver.requests.length === 1);
+    const [pending] = receiver.requests;
+    expect(pending.headers["x-dotcoin-event"]).to.be.equal("payment.pending");
+    expect(pending.headers["x-dotcoin-signature"]).to.be.equal(`sha256=${sign(secret, pending.body)}`);
+    const [payment] = txParams.utxoOuts;
+    expect(JSON.parse(pending.body)).to.deep.equal({
+      delivery: pending.headers["x-dotcoin-delivery"],
+      event: "payment.pending",
+      address: payment.address,
+      amount: 30,
+      transaction: txParams._id,
+      block: null,
+      confirmations: 0,
+      watched: webhook.key,
+    });
+    // the change of the payer is not watched and the webhook waits for 2 confirmations
+    const confirming = await client1.mine(0);
+    await server.addBlock(confirming.block, confirming.coinbase, confirming.transactions);
+    const { block, coinbase, transactions } = await client1.mine(0);
+    await server.addBlock(block, coinbase, transactions);
+    await waitFor(() => receiver.requests.length === 2);
+    expect(receiver.requests).to.have.lengthOf(2);
+    const confirmed = JSON.parse(receiver.requests[1].body);
+    expect(confirmed).to.include({
+      event: "payment.confirmed",
+      transaction: txParams._id,
+      block: confirming.block._id,
+      confirmations: 2,
+    });
+  });
+
+  it("it should retry a failed delivery with backoff", async function () {
+    receiver.requests = [];
+    receiver.failures = 2;
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 10);
+    await server.addTransaction(txParams);
+    const isDelivered = async () => {
+      const [delivery] = await webhooks.getDeliveries(webhook._id, 0, 1);
+      return delivery.payload.transaction === txParams._id && delivery.status === "delivered";
+    };
+    await waitFor(isDelivered);
+    expect(receiver.requests).to.have.lengthOf(3);
+    const ids = receiver.requests.map(({ headers }) => headers["x-dotcoin-delivery"]);
+    expect(new Set(ids).size).to.be.equal(1);
+    const res = await http.get(`/webhooks/${webhook._id}/deliveries/`, { params: { limit: 1 } });
+    expect(res.status).to.be.equal(200);
+    expect(res.data[0]).to.include({
+      _id: ids[0],
+      event: "payment.pending",
+      status: "delivered",
+      attempts: 3,
+      responseStatus: 200,
+      error: null,
+    });
+  });
+
+  it("it should give up on a delivery after the maximum number of attempts", async function () {
+    const receive = await client2.getReceivingAddress(1);
+    const res = await http.put("/webhooks/", { key: receive, url: "http://localhost:3599/", secret });
+    failing = res.data;
+    const txParams = await client1.createTransaction(0, receive, 10);
+    await server.addTransaction(txParams);
+    const isFailed = async () => {
+      const [delivery] = await webhooks.getDeliveries(failing._id, 0, 1);
+      return delivery && delivery.status === "failed";
+    };
+    await waitFor(isFailed);
+    const [delivery] = await webhooks.getDeliveries(failing._id, 0, 1);
+    expect(delivery).to.include({ status: "failed", attempts: 3, responseStatus: null });
+    expect(delivery.error).to.be.a("string");
+  });
+
+  it("it should revert a confirmed payment whose block is disconnected", async function () {
+    receiver.requests = [];
+    // the client reads the node's database files: each block is mined once the events of the previous one are processed
+    const addBlock = async ({ block, coinbase, transactions }) => {
+      await server.addBlock(block, coinbase, transactions);
+      await webhooks.queue;
+    };
+    const txParams = await client1.createTransaction(0, await client2.getReceivingAddress(0), 20);
+    await server.addTransaction(txParams);
+    const fork = await server.getTip();
+    const confirming = await client1.mine(0);
+    await addBlock(confirming);
+    await addBlock(await client1.mine(0));
+    const events = () => receiver.requests.map(({ body }) => JSON.parse(body)).filter((payload) => payload.transaction === txParams._id);
+    await waitFor(() => events().length === 2);
+    // a heavier branch without the payment is mined from the fork point
+    let tip = fork;
+    for (let i = 0; i < 3; i++) tip = await mineOn(client1, server, tip, config);
+    expect((await server.getTip())._id).to.be.equal(tip._id);
+    await webhooks.queue;
+    await waitFor(() => events().length === 3);
+    const reverted = events()[2];
+    expect(reverted).to.include({
+      event: "payment.reverted",
+      transaction: txParams._id,
+      block: confirming.block._id,
+      confirmations: 0,
+      amount: 20,
+    });
+    expect(reverted.delivery).to.not.be.equal(events()[1].delivery);
+    // the payment is back in the transaction pool and it is confirmed again by the new main chain
+    expect((await server.getTransaction(txParams._id)).block).to.be.null;
+    const reconfirming = await client1.mine(0);
+    await addBlock(reconfirming);
+    await addBlock(await client1.mine(0));
+    await waitFor(() => events().length === 4);
+    expect(events()[3]).to.include({ event: "payment.confirmed", block: reconfirming.block._id, confirmations: 2 });
+  });
+
+  it("it should load the webhooks again and remove them", async function () {
+    const reloaded = new WebhookDispatcher(server);
+    await reloaded.load();
+    expect(reloaded.getWebhooks()).to.deep.equal([webhook, failing]);
+    await reloaded.close();
+    // the collections that hold the secrets are not served with the database files
+    expect((await http.get("/.webhooks/webhooks.db")).status).to.be.equal(404);
+    let res = await http.delete(`/webhooks/${failing._id}/`);
+    expect(res.status).to.be.equal(200);
+    expect(res.data).to.deep.equal(failing);
+    res = await http.get(`/webhooks/${failing._id}/deliveries/`);
+    expect(res.status).to.be.equal(404);
+    res = await http.delete(`/webhooks/${failing._id}/`);
+    expect(res.status).to.be.equal(404);
+    expect((await http.get("/webhooks/")).data).to.deep.equal([webhook]);
+  });
+});
@@ -2,11 +2,16 @@
  */
 
 import { keccak_256 } from "@noble/hashes/sha3";
+import { sha256 } from "@noble/hashes/sha256";
 import { HDKey } from "@scure/bip32";
 import { base58check } from "@scure/base";
 import { MerkleTree } from 'merkletreejs';
 
 const base58 = base58check(keccak_256);
+const base58key = base58check(sha256); // encoding of the extended keys
+
+const MULTISIG_PREFIX = "msig";
+const EXTENDED_KEY_LENGTH = 78;
 
 /**
  * converts a base58-encoded key into a Uint8Array
@@ -17,6 +22,78 @@ export function keyToUint8Array(k) {
   return key.publicKey;
 }
 
+/**
+ * returns true if the address is a multisig address (i.e an address that requires m signatures out of n keys)
+ * @param {string} address - the address
+ */
+export function isMultisigAddress(address) {
+  return typeof address === "string" && address.startsWith(MULTISIG_PREFIX);
+}
+
+/**
+ * returns the multisig address that requires m signatures out of the given keys
+ * @param {number} m - the number of required signatures
+ * @param {array<string>} keys - the base58-encoded public keys of the cosigners
+ */
+export function encodeMultisigAddress(m, keys) {
+  const bytes = [m];
+  for (const key of keys) bytes.push(...base58key.decode(key));
+  return MULTISIG_PREFIX + base58.encode(new Uint8Array(bytes));
+}
+
+/**
+ * returns the {m, keys} of a multisig address (as returned by encodeMultisigAddress)
+ * @param {string} address - the multisig address
+ */
+export function decodeMultisigAddress(address) {
+  if (!isMultisigAddress(address)) throw new Error(`${address} is not a multisig address`);
+  const bytes = base58.decode(address.slice(MULTISIG_PREFIX.length));
+  if ((bytes.length - 1) % EXTENDED_KEY_LENGTH !== 0) {
+    throw new Error(`Malformed multisig address ${address}`);
+  }
+  const keys = [];
+  for (let i = 1; i < bytes.length; i += EXTENDED_KEY_LENGTH) {
+    keys.push(base58key.encode(bytes.slice(i, i + EXTENDED_KEY_LENGTH)));
+  }
+  return { m: bytes[0], keys };
+}
+
+/**
+ * converts an address (either a base58-encoded key or a multisig address) into a Uint8Array
+ * @param {string} address - the address
+ */
+export function addressToUint8Array(address) {
+  if (!isMultisigAddress(address)) return keyToUint8Array(address);
+  const { m, keys } = decodeMultisigAddress(address);
+  return new Uint8Array([m, ...keys.flatMap((key) => [...keyToUint8Array(key)])]);
+}
+
+/**
+ * returns true if the address is a base58-encoded extended key or a well-formed multisig address
+ * @param {string} address - the address
+ */
+export function isAddress(address) {
+  try {
+    addressToUint8Array(address);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * returns true if the string is base58-encoded with a valid checksum (as hashes, nonces and signatures are)
+ * @param {string} s - the string
+ */
+export function isBase58(s) {
+  try {
+    base58.decode(s);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
 /**
  * converts a string into a Uint8Array
  * @param {string} s - string
@@ -42,43 +119,122 @@ export function numToUint8Array(num) {
 /**
  * returns the transaction hash
  * @param {object} transaction - the transaction object that may of may not have the "signatures" field set
+ * (the signature of a multisig input is the list of the cosigners' signatures)
+ * the lock time and the relative locks of the outputs are committed in the hash when they are set
  */
 export function getTransactionHash(tx) {
   let output = new Uint8Array();
   if ("utxoIns" in tx) {
     for (let utxoIn of tx.utxoIns) {
-      output = new Uint8Array([...output, ...keyToUint8Array(utxoIn)]);
+      output = new Uint8Array([...output, ...addressToUint8Array(utxoIn)]);
     }
   }
   for (let utxoOut of tx.utxoOuts) {
     output = new Uint8Array([
       ...output,
-      ...keyToUint8Array(utxoOut.address),
+      ...addressToUint8Array(utxoOut.address),
       ...numToUint8Array(utxoOut.amount),
     ]);
+    if (utxoOut.lock) {
+      output = new Uint8Array([...output, ...numToUint8Array(utxoOut.lock)]);
+    }
+  }
+  if (tx.lockTime) {
+    output = new Uint8Array([...output, ...numToUint8Array(tx.lockTime)]);
   }
   if ("signatures" in tx) {
     for (let signature of tx.signatures) {
-      output = new Uint8Array([...output, base58.decode(signature)]);
+      if (Array.isArray(signature)) {
+        // multisig input: one (possibly missing) signature per cosigner key
+        for (const sig of signature) {
+          if (sig) output = new Uint8Array([...output, ...base58.decode(sig)]);
+        }
+      } else {
+        output = new Uint8Array([...output, ...base58.decode(signature)]);
+      }
     }
   }
   return base58.encode(keccak_256(output));
 }
 
 /**
- * returns the block hash
+ * returns the utxo spent by each input of a transaction (or null if there is none left), in the order of its inputs
+ * an input names an address and an address given n times spends n of its utxos: the ones that the transaction spends already first,
+ * then the unspent ones and last the ones spent by other transactions (the oldest first in each group)
+ * @param {object} tx - the transaction (its _id can be null when it is not signed yet)
+ * @param {array<object>} utxos - the utxos paid to the input addresses, the oldest first (each with its txIn when it is spent)
+ */
+export function selectInputs(tx, utxos) {
+  const rank = (utxo) => (!utxo.txIn ? 1 : tx._id && utxo.txIn === tx._id ? 0 : 2);
+  const available = new Map();
+  for (const utxo of [...utxos].sort((a, b) => rank(a) - rank(b))) {
+    available.set(utxo.address, [...(available.get(utxo.address) || []), utxo]);
+  }
+  return tx.utxoIns.map((address) => (available.get(address) || []).shift() || null);
+}
+
+/**
+ * returns the bytes of a block header without its nonce (the nonce bytes are appended to them to compute the block hash)
  * @param {object} block - the block object
  */
-export function getBlockHash(block) {
+export function getHeaderBytes(block) {
   const previous = block.previous
     ? base58.decode(block.previous)
     : new Uint8Array(0);
   const root = base58.decode(block.root);
+  return new Uint8Array([
+    ...previous,
+    ...numToUint8Array(block.height),
+    ...numToUint8Array(block.timestamp),
+    ...numToUint8Array(block.difficulty),
+    ...root,
+  ]);
+}
+
+/**
+ * returns the block hash
+ * the header fields (previous, height, timestamp, difficulty, root and nonce) are committed in the hash
+ * @param {object} block - the block object
+ */
+export function getBlockHash(block) {
   const nonce = base58.decode(block.nonce);
-  const output = new Uint8Array([...previous, ...root, ...nonce]);
+  const output = new Uint8Array([...getHeaderBytes(block), ...nonce]);
   return base58.encode(keccak_256(output));
 }
 
+/**
+ * returns the number of leading zero bits of a hash
+ * @param {string} hash - base58-encoded hash
+ */
+export function getLeadingZeroBits(hash) {
+  return countLeadingZeroBits(base58.decode(hash));
+}
+
+/**
+ * returns the number of leading zero bits of a byte array
+ * @param {Uint8Array} bytes - the raw hash
+ */
+export function countLeadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+/**
+ * returns the expected number of hashes needed to mine a block, i.e the amount of work that a block represents
+ * @param {number} difficulty - the number of leading zero bits of the block _id
+ */
+export function getWork(difficulty) {
+  return 2 ** difficulty;
+}
+
 /**
  * returns the merkle root hash
  * @param {array<string>} leaves - the list of transaction _ids
@@ -88,3 +244,34 @@ export function getMerkleRoot(ids) {
 	const tree = new MerkleTree(leaves, keccak_256);
 	return base58.encode(tree.getRoot());
 }
+
+/**
+ * returns the merkle path that proves that a transaction is one of the leaves of the merkle tree
+ * as a list of {position, hash} where position tells whether the sibling hash is on the left or on the right
+ * @param {array<string>} leaves - the list of transaction _ids
+ * @param {number} index - the index of the transaction in the list
+ */
+export function getMerkleProof(ids, index) {
+	const leaves = ids.map(x => keccak_256(x));
+	const tree = new MerkleTree(leaves, keccak_256);
+	return tree.getProof(leaves[index], index).map(function ({ position, data }) {
+		return { position, hash: base58.encode(data) };
+	});
+}
+
+/**
+ * returns true or false whether the merkle path leads from the transaction _id to the merkle root hash
+ * @param {string} id - the transaction _id
+ * @param {array<object>} proof - the merkle path (as returned by getMerkleProof)
+ * @param {string} root - the base58-encoded merkle root hash
+ */
+export function verifyMerkleProof(id, proof, root) {
+	let hash = keccak_256(id);
+	for (const { position, hash: sibling } of proof) {
+		const data = base58.decode(sibling);
+		if (position === "left") hash = keccak_256(new Uint8Array([...data, ...hash]));
+		else if (position === "right") hash = keccak_256(new Uint8Array([...hash, ...data]));
+		else return false;
+	}
+	return base58.encode(hash) === root;
+}